@@ -0,0 +1,134 @@
+/**
+ * AntigravityZone.js - Regiones que alteran la gravedad del pájaro
+ * Se generan entre pares de tuberías y avanzan con ellas. Dentro de una zona
+ * "invert" la gravedad empuja hacia arriba; en una "dampen" se reduce
+ */
+
+class AntigravityZone {
+  /**
+   * @param {Object} options
+   * @param {number} options.x - Borde izquierdo
+   * @param {number} options.y - Borde superior
+   * @param {number} options.width - Ancho de la zona
+   * @param {number} options.height - Alto de la zona
+   * @param {string} options.type - "invert" o "dampen"
+   * @param {number} options.gravityScale - Multiplicador de la gravedad dentro
+   * @param {number} options.speed - Velocidad horizontal (la de las tuberías)
+   */
+  constructor({ x, y, width, height, type, gravityScale, speed }) {
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.width = width;
+    this.height = height;
+    this.type = type;
+    this.gravityScale = gravityScale;
+    this.velocityX = -speed;
+
+    // Animación del aviso visual
+    this.timeAlive = 0;
+  }
+
+  /**
+   * Colores de cada tipo de zona
+   */
+  static get COLORS() {
+    return {
+      invert: { fill: "rgba(170, 90, 255, 0.18)", edge: "#C792FF" },
+      dampen: { fill: "rgba(90, 200, 255, 0.15)", edge: "#7FDBFF" },
+    };
+  }
+
+  /**
+   * Avanza la zona
+   * @returns {boolean} false cuando ya salió por la izquierda
+   */
+  update(deltaTime = 1) {
+    this.prevX = this.x;
+    this.x += this.velocityX * deltaTime;
+    this.timeAlive += deltaTime;
+
+    return this.x + this.width > 0;
+  }
+
+  /**
+   * Indica si el centro del objeto está dentro de la zona
+   */
+  contains(object) {
+    const centerX = object.x + object.width / 2;
+    const centerY = object.y + object.height / 2;
+
+    return (
+      centerX >= this.x &&
+      centerX <= this.x + this.width &&
+      centerY >= this.y &&
+      centerY <= this.y + this.height
+    );
+  }
+
+  /**
+   * Renderiza la zona: campo translúcido con flechas que indican hacia
+   * dónde empuja (arriba al invertir, abajo y lentas al amortiguar)
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} alpha - Interpolación entre el tick anterior y el actual
+   */
+  render(context, alpha = 1) {
+    const x = this.prevX + (this.x - this.prevX) * alpha;
+    const colors = AntigravityZone.COLORS[this.type];
+    const pulse = (Math.sin(this.timeAlive * 0.08) + 1) / 2;
+
+    context.save();
+
+    // Campo
+    context.fillStyle = colors.fill;
+    context.fillRect(x, this.y, this.width, this.height);
+
+    // Bordes discontinuos que se desplazan
+    context.strokeStyle = colors.edge;
+    context.globalAlpha = 0.5 + pulse * 0.5;
+    context.lineWidth = 2;
+    context.setLineDash([8, 6]);
+    context.lineDashOffset = -this.timeAlive;
+    context.strokeRect(x, this.y, this.width, this.height);
+    context.setLineDash([]);
+
+    // Flechas
+    const inverted = this.type === "invert";
+    const direction = inverted ? -1 : 1;
+    const spacing = 40;
+    const travel = (this.timeAlive * (inverted ? 1.5 : 0.5)) % spacing;
+
+    context.beginPath();
+    for (let row = -1; row <= this.height / spacing; row++) {
+      const offset = inverted ? spacing - travel : travel;
+      const arrowY = this.y + row * spacing + offset;
+      if (arrowY < this.y + 8 || arrowY > this.y + this.height - 8) continue;
+
+      const centerX = x + this.width / 2;
+      context.moveTo(centerX - 10, arrowY - 6 * direction);
+      context.lineTo(centerX, arrowY + 4 * direction);
+      context.lineTo(centerX + 10, arrowY - 6 * direction);
+    }
+    context.stroke();
+
+    context.restore();
+  }
+
+  /**
+   * Información de la zona
+   */
+  getStats() {
+    return {
+      x: this.x,
+      y: this.y,
+      width: this.width,
+      height: this.height,
+      type: this.type,
+      gravityScale: this.gravityScale,
+    };
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AntigravityZone;
+}
@@ -4,10 +4,14 @@
  */
 
 class Bird {
-  constructor(config, canvas) {
+  /**
+   * @param {Object} config - Configuración del juego
+   * @param {Object} bounds - Límites del mundo ({ width, height }, o el canvas)
+   */
+  constructor(config, bounds) {
     // Configuración básica
     this.config = config.BIRD;
-    this.canvas = canvas;
+    this.bounds = bounds;
 
     // Posición y dimensiones
     this.x = this.config.INITIAL_X;
@@ -15,11 +19,19 @@ class Bird {
     this.width = this.config.WIDTH;
     this.height = this.config.HEIGHT;
 
+    // Estado del tick anterior (para interpolar el render)
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevRotation = 0;
+
     // Física
     this.velocityY = 0;
     this.gravity = this.config.GRAVITY;
     this.jumpVelocity = this.config.JUMP_VELOCITY;
     this.maxFallSpeed = this.config.MAX_FALL_SPEED;
+    this.gravityScale = 1; // < 1 o negativa dentro de zonas antigravedad
+    this.windForce = { x: 0, y: 0 }; // Racha actual (WindSystem)
+    this.windDrift = 200; // Desplazamiento horizontal por unidad de fuerza
 
     // Estados del pájaro
     this.states = {
@@ -44,31 +56,42 @@ class Bird {
     this.trail = [];
     this.maxTrailLength = 8;
 
-    // Assets
+    // Partículas compartidas (ParticleSystem); null en la simulación headless
+    this.particleSystem = null;
+
+    // Sprite precargado que entrega el juego (setSprite); null en headless
     this.image = null;
     this.imageLoaded = false;
 
+    // Máscara de colisión: rectangular mientras no haya sprite
+    this.mask = CollisionMask.solid(this.width, this.height);
+
     // Estadísticas
     this.totalJumps = 0;
     this.timeAlive = 0;
     this.maxHeight = this.y;
+  }
 
-    this.loadImage(config.ASSETS.IMAGES.BIRD);
+  /**
+   * Asigna el sprite del pájaro y su máscara de colisión
+   * @param {Object|null} sprite - { image, mask }; null = caja rectangular
+   */
+  setSprite(sprite) {
+    this.image = sprite ? sprite.image : null;
+    this.imageLoaded = !!sprite;
+    this.mask = sprite
+      ? sprite.mask
+      : CollisionMask.solid(this.width, this.height);
   }
 
   /**
-   * Carga la imagen del pájaro
+   * Ajusta la física del pájaro (cada nivel define la suya)
+   * @param {number} gravity - Aceleración por frame
+   * @param {number} jumpVelocity - Velocidad vertical al saltar (negativa)
    */
-  loadImage(src) {
-    this.image = new Image();
-    this.image.onload = () => {
-      this.imageLoaded = true;
-      console.log("Bird image loaded successfully");
-    };
-    this.image.onerror = () => {
-      console.warn("Error loading bird image:", src);
-    };
-    this.image.src = src;
+  setPhysics(gravity, jumpVelocity) {
+    this.gravity = gravity;
+    this.jumpVelocity = jumpVelocity;
   }
 
   /**
@@ -85,6 +108,13 @@ class Bird {
     // Efecto de rotación hacia arriba
     this.rotation = Math.max(this.rotation - 15, -this.maxRotation);
 
+    // Plumas que se sueltan con el aleteo
+    this.particleSystem?.emit(
+      "feathers",
+      this.x + this.width * 0.3,
+      this.y + this.height / 2
+    );
+
     console.log(`Bird jumped! Total jumps: ${this.totalJumps}`);
   }
 
@@ -92,12 +122,21 @@ class Bird {
    * Actualiza la física y estado del pájaro
    */
   update(deltaTime = 1) {
+    // Guardar estado previo para la interpolación
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevRotation = this.rotation;
+
     // Actualizar tiempo vivo
     this.timeAlive += deltaTime;
 
-    // Aplicar gravedad
-    this.velocityY += this.gravity * deltaTime;
-    this.velocityY = Math.min(this.velocityY, this.maxFallSpeed);
+    // Aplicar gravedad (invertida, la velocidad de subida también se limita)
+    this.velocityY += this.gravity * this.gravityScale * deltaTime;
+    this.velocityY += this.windForce.y * deltaTime;
+    this.velocityY = Math.max(
+      -this.maxFallSpeed,
+      Math.min(this.velocityY, this.maxFallSpeed)
+    );
 
     // Actualizar posición
     const oldY = this.y;
@@ -106,6 +145,10 @@ class Bird {
     // Limitar al tope de la pantalla
     this.y = Math.max(this.y, 0);
 
+    // El viento empuja al pájaro en horizontal; sin viento vuelve a su columna
+    const targetX = this.config.INITIAL_X + this.windForce.x * this.windDrift;
+    this.x += (targetX - this.x) * Math.min(1, 0.05 * deltaTime);
+
     // Actualizar altura máxima
     this.maxHeight = Math.min(this.maxHeight, this.y);
 
@@ -113,22 +156,13 @@ class Bird {
     this.updateState();
 
     // Actualizar rotación basada en velocidad
-    this.updateRotation();
+    this.updateRotation(deltaTime);
 
     // Actualizar escala
-    this.updateScale();
+    this.updateScale(deltaTime);
 
     // Actualizar trail
     this.updateTrail();
-
-    // Verificar colisión con el suelo
-    if (this.y > this.canvas.height - this.height) {
-      this.y = this.canvas.height - this.height;
-      this.die();
-      return false; // Indica colisión con el suelo
-    }
-
-    return true; // Pájaro sigue vivo
   }
 
   /**
@@ -148,8 +182,9 @@ class Bird {
 
   /**
    * Actualiza la rotación del pájaro para dar sensación de vuelo
+   * @param {number} deltaTime - Escala del tick (1 = 60 Hz)
    */
-  updateRotation() {
+  updateRotation(deltaTime = 1) {
     if (this.currentState === this.states.DEAD) return;
 
     // Rotación basada en velocidad vertical
@@ -158,20 +193,24 @@ class Bird {
       -this.maxRotation
     );
 
-    // Interpolación suave hacia la rotación objetivo
-    this.rotation += (targetRotation - this.rotation) * 0.1;
+    // Interpolación suave hacia la rotación objetivo (10% por tick de 60 Hz,
+    // compuesto para que la cámara lenta no cambie la forma de colisión)
+    const ease = 1 - Math.pow(0.9, deltaTime);
+    this.rotation += (targetRotation - this.rotation) * ease;
   }
 
   /**
    * Actualiza la escala para efectos visuales
+   * @param {number} deltaTime - Escala del tick (1 = 60 Hz)
    */
-  updateScale() {
+  updateScale(deltaTime = 1) {
     // Interpolación suave hacia la escala objetivo
-    this.scale += (this.targetScale - this.scale) * this.scaleSpeed;
+    const ease = 1 - Math.pow(1 - this.scaleSpeed, deltaTime);
+    this.scale += (this.targetScale - this.scale) * ease;
 
     // Volver gradualmente a escala normal
     if (this.targetScale > 1) {
-      this.targetScale -= 0.02;
+      this.targetScale -= 0.02 * deltaTime;
       this.targetScale = Math.max(this.targetScale, 1);
     }
   }
@@ -198,48 +237,111 @@ class Bird {
     });
   }
 
+  /**
+   * Apoya al pájaro en el suelo y lo marca como muerto
+   * @param {number} groundY - Altura del suelo
+   */
+  land(groundY) {
+    this.y = groundY - this.height;
+    this.die();
+  }
+
   /**
    * Marca al pájaro como muerto
    */
   die() {
     this.currentState = this.states.DEAD;
     this.velocityY = 0;
+
+    // Polvo al golpear el suelo
+    this.particleSystem?.emit(
+      "dust",
+      this.x + this.width / 2,
+      this.y + this.height,
+      { width: this.width }
+    );
     console.log(
       `Bird died! Survived ${(this.timeAlive / 60).toFixed(1)} seconds`
     );
   }
 
   /**
-   * Verifica colisión con un rectángulo
+   * Rectángulo alineado con los ejes que contiene al pájaro girado y
+   * escalado (fase amplia de las colisiones)
+   * @returns {Object} { x, y, width, height }
    */
-  checkCollision(rect) {
-    // Usar hitbox ligeramente más pequeña para mejor gameplay
-    const hitboxPadding = 2;
-
-    return (
-      this.x + hitboxPadding < rect.x + rect.width &&
-      this.x + this.width - hitboxPadding > rect.x &&
-      this.y + hitboxPadding < rect.y + rect.height &&
-      this.y + this.height - hitboxPadding > rect.y
+  getCollisionBox() {
+    const radians = (this.rotation * Math.PI) / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    const width = (this.width * cos + this.height * sin) * this.scale;
+    const height = (this.width * sin + this.height * cos) * this.scale;
+
+    return {
+      x: this.x + (this.width - width) / 2,
+      y: this.y + (this.height - height) / 2,
+      width: width,
+      height: height,
+    };
+  }
+
+  /**
+   * Verifica colisión con un rectángulo: primero las cajas y, si se tocan,
+   * los píxeles de las máscaras con el giro y la escala del pájaro
+   * @param {Object} rect - { x, y, width, height }
+   * @param {CollisionMask} mask - Máscara del rectángulo (sin ella, sólido)
+   */
+  checkCollision(rect, mask = null) {
+    const box = this.getCollisionBox();
+    const overlap = {
+      left: Math.max(box.x, rect.x),
+      top: Math.max(box.y, rect.y),
+      right: Math.min(box.x + box.width, rect.x + rect.width),
+      bottom: Math.min(box.y + box.height, rect.y + rect.height),
+    };
+    if (overlap.left >= overlap.right || overlap.top >= overlap.bottom) {
+      return false;
+    }
+
+    return CollisionMask.overlaps(
+      {
+        mask: this.mask,
+        x: this.x,
+        y: this.y,
+        rotation: this.rotation,
+        scale: this.scale,
+      },
+      {
+        mask: mask || CollisionMask.solid(rect.width, rect.height),
+        x: rect.x,
+        y: rect.y,
+      },
+      overlap
     );
   }
 
   /**
    * Renderiza el pájaro en el canvas
+   * @param {CanvasRenderingContext2D} context - Contexto del canvas
+   * @param {number} alpha - Interpolación entre el tick anterior y el actual
    */
-  render(context) {
+  render(context, alpha = 1) {
     context.save();
 
     // Renderizar trail primero (atrás)
     this.renderTrail(context);
 
-    // Posición del centro para rotación
-    const centerX = this.x + this.width / 2;
-    const centerY = this.y + this.height / 2;
+    // Posición interpolada del centro para rotación
+    const x = this.prevX + (this.x - this.prevX) * alpha;
+    const y = this.prevY + (this.y - this.prevY) * alpha;
+    const rotation =
+      this.prevRotation + (this.rotation - this.prevRotation) * alpha;
+    const centerX = x + this.width / 2;
+    const centerY = y + this.height / 2;
 
     // Aplicar transformaciones
     context.translate(centerX, centerY);
-    context.rotate((this.rotation * Math.PI) / 180);
+    context.rotate((rotation * Math.PI) / 180);
     context.scale(this.scale, this.scale);
 
     // Renderizar pájaro
@@ -339,9 +441,15 @@ class Bird {
       context.fillText(text, this.x + this.width + 5, y);
     });
 
-    // Hitbox
+    // Caja de la fase amplia y máscara con el giro y la escala del pájaro
+    const box = this.getCollisionBox();
     context.strokeStyle = "red";
-    context.strokeRect(this.x + 2, this.y + 2, this.width - 4, this.height - 4);
+    context.strokeRect(box.x, box.y, box.width, box.height);
+
+    context.translate(this.x + this.width / 2, this.y + this.height / 2);
+    context.rotate((this.rotation * Math.PI) / 180);
+    context.scale(this.scale, this.scale);
+    this.mask.render(context, -this.width / 2, -this.height / 2);
 
     context.restore();
   }
@@ -352,7 +460,14 @@ class Bird {
   reset() {
     this.x = this.config.INITIAL_X;
     this.y = this.config.INITIAL_Y;
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevRotation = 0;
     this.velocityY = 0;
+    this.gravity = this.config.GRAVITY;
+    this.jumpVelocity = this.config.JUMP_VELOCITY;
+    this.gravityScale = 1;
+    this.windForce = { x: 0, y: 0 };
     this.rotation = 0;
     this.scale = 1;
     this.targetScale = 1;
@@ -379,3 +494,7 @@ class Bird {
     };
   }
 }
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Bird;
+}
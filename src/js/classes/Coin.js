@@ -0,0 +1,136 @@
+/**
+ * Coin.js - Moneda recogible en los huecos de las tuberías y entre ellas
+ * Avanza con el mundo; cuando el pájaro entra en el radio del imán vuela
+ * hacia él hasta recogerla
+ */
+
+class Coin {
+  /**
+   * @param {Object} options
+   * @param {number} options.x - Centro horizontal
+   * @param {number} options.y - Centro vertical
+   * @param {number} options.speed - Velocidad horizontal (la de las tuberías)
+   * @param {number} options.radius - Radio de recogida
+   * @param {number} options.value - Monedas que vale
+   */
+  constructor({ x, y, speed, radius = 8, value = 1 }) {
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.radius = radius;
+    this.value = value;
+    this.velocityX = -speed;
+    this.timeAlive = 0;
+
+    // Atraída por el imán: ya no sigue al mundo sino al pájaro
+    this.attracted = false;
+    this.magnetVelocity = 0;
+  }
+
+  /**
+   * Avanza la moneda
+   * @param {number} deltaTime - Escala del tick (1 = 60 Hz)
+   * @param {Bird} bird - Pájaro que la atrae
+   * @param {Object} magnet - { radius, speed } del imán
+   * @returns {boolean} false cuando ya salió por la izquierda
+   */
+  update(deltaTime, bird, magnet) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.timeAlive += deltaTime;
+
+    const targetX = bird.x + bird.width / 2;
+    const targetY = bird.y + bird.height / 2;
+    const distance = Math.hypot(targetX - this.x, targetY - this.y);
+
+    if (!this.attracted && distance < magnet.radius) {
+      this.attracted = true;
+      this.magnetVelocity = magnet.speed;
+    }
+
+    if (this.attracted) {
+      // Acelera hacia el pájaro hasta alcanzarlo
+      this.magnetVelocity += 0.3 * deltaTime;
+      const step = Math.min(distance, this.magnetVelocity * deltaTime);
+      if (distance > 0) {
+        this.x += ((targetX - this.x) / distance) * step;
+        this.y += ((targetY - this.y) / distance) * step;
+      }
+    } else {
+      this.x += this.velocityX * deltaTime;
+    }
+
+    return this.x + this.radius > 0;
+  }
+
+  /**
+   * Indica si el objeto (el pájaro) la toca
+   */
+  collides(object) {
+    const closestX = Math.max(
+      object.x,
+      Math.min(this.x, object.x + object.width)
+    );
+    const closestY = Math.max(
+      object.y,
+      Math.min(this.y, object.y + object.height)
+    );
+
+    return Math.hypot(this.x - closestX, this.y - closestY) < this.radius;
+  }
+
+  /**
+   * Renderiza la moneda girando
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} alpha - Interpolación entre el tick anterior y el actual
+   */
+  render(context, alpha = 1) {
+    const x = this.prevX + (this.x - this.prevX) * alpha;
+    const y = this.prevY + (this.y - this.prevY) * alpha;
+    const spin = Math.abs(Math.cos(this.timeAlive * 0.08));
+
+    Coin.renderIcon(context, x, y, this.radius, spin);
+  }
+
+  /**
+   * Dibuja una moneda (también la usa el HUD)
+   * @param {number} spin - Anchura visible (1 = de frente, 0 = de canto)
+   */
+  static renderIcon(context, x, y, radius, spin = 1) {
+    const width = Math.max(0.15, spin) * radius;
+
+    context.save();
+    context.shadowColor = "#FFD700";
+    context.shadowBlur = 6;
+
+    context.fillStyle = "#FFC107";
+    context.strokeStyle = "#B8860B";
+    context.lineWidth = 2;
+    context.beginPath();
+    context.ellipse(x, y, width, radius, 0, 0, Math.PI * 2);
+    context.fill();
+    context.stroke();
+
+    // Brillo
+    context.shadowBlur = 0;
+    context.fillStyle = "rgba(255, 255, 255, 0.7)";
+    context.beginPath();
+    context.ellipse(
+      x - width * 0.3,
+      y - radius * 0.35,
+      width * 0.25,
+      radius * 0.25,
+      0,
+      0,
+      Math.PI * 2
+    );
+    context.fill();
+
+    context.restore();
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Coin;
+}
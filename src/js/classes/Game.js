@@ -21,33 +21,91 @@ class Game {
       PLAYING: "playing",
       PAUSED: "paused",
       GAME_OVER: "gameOver",
+      REPLAY_MENU: "replayMenu",
+      REPLAY: "replay",
+      LEADERBOARD: "leaderboard",
+      ACHIEVEMENTS: "achievements",
+      LEVEL_SELECT: "levelSelect",
     };
-    this.currentState = this.states.LOADING;
-    this.previousState = null;
 
-    // Entidades del juego
-    this.bird = new Bird(config, this.canvas);
-    this.pipePool = new PipePool(config);
+    // Cada estado es una clase registrada en el StateManager; los overlays
+    // (pausa, leaderboard) se apilan sobre el estado que cubren
+    this.stateManager = new StateManager(this);
+    this.stateManager.setTransitionDuration(config.UI.animationDuration);
+    this.fadeTransitions = config.UI.fadeTransitions;
+    this.registerStates();
+
+    // Simulación (pájaro, tuberías, puntuación, niveles) sin dependencias
+    // del DOM; Game solo añade input, audio, render y persistencia
+    this.simulation = new GameSimulation(config);
 
     // Sistema de puntuación
-    this.score = 0;
     this.bestScore = this.loadBestScore();
     this.isNewRecord = false;
 
-    // Sistema de niveles
-    this.currentLevel = 1;
+    // Monedas acumuladas entre partidas (se cargan del StorageManager)
+    this.coinBalance = 0;
+
+    // Niveles desbloqueados y nivel inicial elegido en el selector (se
+    // cargan del StorageManager)
+    this.levelProgress = {
+      currentLevel: config.LEVEL_SETTINGS.defaultLevel,
+      unlockedLevels: [config.LEVEL_SETTINGS.defaultLevel],
+      completedLevels: [],
+    };
+
+    // Transición visual de nivel
     this.levelTransitionTimer = 0;
     this.isLevelTransitioning = false;
 
     // Control de tiempo
     this.lastFrameTime = 0;
     this.deltaTime = 0;
-    this.gameTime = 0;
     this.pausedTime = 0;
 
-    // Generación de tuberías
-    this.lastPipeTime = 0;
-    this.pipeInterval = config.PIPES.SPAWN_INTERVAL;
+    // Bucle de paso fijo: la simulación siempre avanza en ticks iguales
+    // y el render interpola entre el tick anterior y el actual
+    this.fixedTimeStep = this.simulation.fixedTimeStep;
+    this.maxFrameTime = config.PERFORMANCE.maxFrameTime;
+    this.accumulator = 0;
+
+    // Semilla elegida por el jugador (null = aleatoria en cada partida)
+    this.fixedSeed = null;
+
+    // Práctica elegida en el selector de nivel ({ level, startPipe }; null =
+    // partidas normales)
+    this.practiceOptions = null;
+
+    // Contrarreloj elegida en el menú ({ pipes }; null = partidas normales),
+    // sus mejores marcas por categoría (se cargan del StorageManager) y la
+    // marca con la que se comparan los parciales de la última partida
+    this.timeAttackOptions = null;
+    this.timeAttackBests = {};
+    this.timeAttackPrevious = null;
+
+    // Aviso breve en pantalla (punto de control, parcial o penalización)
+    this.runMessage = null;
+
+    // Bus de eventos: audio, estadísticas, repeticiones y UI se suscriben
+    // aquí en lugar de ser llamados desde el gameplay
+    this.events = new EventEmitter(GAME_EVENTS);
+
+    // Plugins (window.FlappyBirdGame.registerPlugin) y modos de juego
+    // que añaden; null = modo clásico
+    this.plugins = new PluginManager(this);
+    this.selectedMode = null;
+    this.activeMode = null;
+
+    // Dificultad adaptativa (config.json o la preferencia guardada); las
+    // partidas adaptativas no puntúan en el leaderboard
+    this.adaptiveEnabled = !!config.DIFFICULTY.adaptive;
+
+    // Logros de levels.json (progression.achievements)
+    this.achievements = new AchievementManager(this);
+
+    // Repeticiones: grabación de inputs y reproducción
+    this.replayManager = new ReplayManager(config);
+    this.isSeeking = false; // Simulando sin audio (scrub de repetición)
 
     // Referencias a managers externos
     this.firebaseManager = null;
@@ -55,15 +113,12 @@ class Game {
     this.storageManager = null;
     this.assetManager = null;
 
-    // NUEVO: Estados para Game Over (evitar loop infinito)
-    this.gameOverStateChecked = false;
-    this.gameOverUserState = null; // 'permanent', 'anonymous', 'offline'
-
     // Sistema de audio
     this.audio = {
       jump: new Audio(config.ASSETS.AUDIO.JUMP),
       gameOver: new Audio(config.ASSETS.AUDIO.GAME_OVER),
       score: new Audio(config.ASSETS.AUDIO.SCORE),
+      coin: new Audio(config.ASSETS.AUDIO.COIN),
     };
     this.setupAudio();
 
@@ -76,15 +131,10 @@ class Game {
 
     // Efectos visuales
     this.screenShake = 0;
-    this.backgroundOffset = 0;
-
-    // Control de logs para evitar spam
-    this.gameOverLogged = false;
-    this.gameOverStateLogged = false;
-    this.gameOverPromptLogged = false;
-    this.gameOverFallbackLogged = false;
-    this.registrationPromptLogged = false;
-    this.registrationPromptRenderedLogged = false;
+    this.background = new ParallaxBackground(config, this.canvas);
+    this.particles = new ParticleSystem(config, this.canvas);
+    this.simulation.setParticleSystem(this.particles);
+    this.scorePopups = new ScorePopupSystem(config);
 
     // Estadísticas
     this.stats = {
@@ -104,9 +154,11 @@ class Game {
     };
 
     // Debug
-    window.DEBUG_MODE = false;
+    window.DEBUG_MODE = !!config.DEVELOPMENT.debugMode;
 
     // Inicialización
+    this.setupEventSubscribers();
+    this.stateManager.changeState(this.states.LOADING, {}, false);
     this.setupEventListeners();
     this.loadAssets().then(() => {
       this.changeState(this.states.MENU);
@@ -116,6 +168,187 @@ class Game {
     console.log("Game initialized");
   }
 
+  /**
+   * Registra las clases de estado (src/js/states) en el StateManager
+   */
+  registerStates() {
+    const stateClasses = {
+      [this.states.LOADING]: LoadingState,
+      [this.states.MENU]: MenuState,
+      [this.states.PLAYING]: PlayingState,
+      [this.states.PAUSED]: PausedState,
+      [this.states.GAME_OVER]: GameOverState,
+      [this.states.REPLAY_MENU]: ReplayMenuState,
+      [this.states.REPLAY]: ReplayState,
+      [this.states.LEADERBOARD]: LeaderboardState,
+      [this.states.ACHIEVEMENTS]: AchievementsState,
+      [this.states.LEVEL_SELECT]: LevelSelectState,
+    };
+
+    Object.entries(stateClasses).forEach(([name, StateClass]) => {
+      this.stateManager.registerState(name, StateClass);
+    });
+
+    this.stateManager.setStateChangeCallback((name) => {
+      console.log(`State changed -> ${name}`);
+    });
+  }
+
+  /**
+   * Suscripciones internas al bus de eventos
+   */
+  setupEventSubscribers() {
+    const events = this.events;
+
+    // Audio
+    events.on(GAME_EVENTS.BIRD_JUMP, () => this.playSound("jump"));
+    events.on(GAME_EVENTS.SCORE_UPDATE, () => this.playSound("score"));
+    events.on(GAME_EVENTS.GAME_OVER, () => this.playSound("gameOver"));
+    events.on(GAME_EVENTS.POWERUP_COLLECT, () => this.playSound("score"));
+    events.on(GAME_EVENTS.COIN_COLLECT, () => this.playSound("coin"));
+    events.on(GAME_EVENTS.PRACTICE_CHECKPOINT, () => this.playSound("score"));
+    events.on(GAME_EVENTS.TIME_ATTACK_SPLIT, () => this.playSound("score"));
+
+    // Efectos visuales
+    events.on(GAME_EVENTS.BIRD_COLLISION, () => {
+      this.screenShake = 20;
+    });
+    events.on(GAME_EVENTS.LEVEL_CHANGE, ({ level }) =>
+      this.onLevelChange(level)
+    );
+    events.on(GAME_EVENTS.SCORE_UPDATE, ({ score }) => {
+      console.log(`Score: ${score}`);
+    });
+    events.on(GAME_EVENTS.POWERUP_END, ({ reason }) => {
+      if (reason === "consumed") this.screenShake = 8;
+    });
+    events.on(GAME_EVENTS.PIPE_BREAK, () => {
+      this.screenShake = 10;
+    });
+    events.on(GAME_EVENTS.PRACTICE_CHECKPOINT, ({ pipe }) => {
+      this.showRunMessage(`CHECKPOINT ${pipe}`);
+    });
+    events.on(GAME_EVENTS.PRACTICE_RESPAWN, ({ pipe }) => {
+      this.scorePopups.clear();
+      this.showRunMessage(`BACK TO PIPE ${pipe}`);
+    });
+    events.on(GAME_EVENTS.TIME_ATTACK_SPLIT, ({ pipe, time }) => {
+      this.showRunMessage(
+        `PIPE ${pipe}  ${TimeAttackSystem.formatTime(time)}`,
+        "#87CEEB"
+      );
+    });
+    events.on(GAME_EVENTS.TIME_ATTACK_PENALTY, ({ penalty }) => {
+      this.scorePopups.clear();
+      this.showRunMessage(`+${(penalty / 1000).toFixed(1)}s`, "#FF6347");
+    });
+
+    // Estadísticas locales
+    events.on(GAME_EVENTS.GAME_START, () => {
+      this.stats.gamesPlayed++;
+    });
+    events.on(GAME_EVENTS.GAME_OVER, (result) => this.recordStats(result));
+    events.on(GAME_EVENTS.GAME_OVER, (result) => this.recordCoins(result));
+
+    // Niveles desbloqueados
+    events.on(GAME_EVENTS.LEVEL_CHANGE, (change) =>
+      this.recordLevelUnlock(change)
+    );
+    events.on(GAME_EVENTS.GAME_OVER, (result) =>
+      this.recordLevelReached(result)
+    );
+
+    // Grabación de repeticiones
+    events.on(GAME_EVENTS.GAME_START, (run) => {
+      this.replayManager.startRecording(run);
+    });
+    events.on(GAME_EVENTS.BIRD_JUMP, ({ tick }) => {
+      this.replayManager.record("jump", tick, this.gameTime);
+    });
+    events.on(GAME_EVENTS.GAME_PAUSE, ({ tick, gameTime }) => {
+      this.replayManager.record("pause", tick, gameTime);
+    });
+    events.on(GAME_EVENTS.GAME_RESUME, ({ tick, gameTime }) => {
+      this.replayManager.record("resume", tick, gameTime);
+    });
+    events.on(GAME_EVENTS.GAME_OVER, (result) => this.saveReplay(result));
+
+    // Historial de la dificultad adaptativa
+    events.on(GAME_EVENTS.GAME_OVER, (result) =>
+      this.recordAdaptiveRun(result)
+    );
+
+    // Leaderboard online
+    events.on(GAME_EVENTS.GAME_OVER, (result) => this.submitScore(result));
+  }
+
+  /**
+   * Dispara un evento del juego con el tick actual y si viene de una
+   * repetición
+   * @param {string} eventName - Valor de GAME_EVENTS
+   * @param {Object} payload - Datos propios del evento
+   */
+  emit(eventName, payload = {}) {
+    this.events.emit(eventName, {
+      tick: this.tick,
+      replay: this.currentState === this.states.REPLAY,
+      ...payload,
+    });
+  }
+
+  /**
+   * Salto del pájaro (jugador o repetición)
+   */
+  jump() {
+    if (!this.simulation.jump()) return;
+
+    this.emit(GAME_EVENTS.BIRD_JUMP, {
+      y: this.bird.y,
+      velocityY: this.bird.velocityY,
+      totalJumps: this.bird.totalJumps,
+    });
+  }
+
+  /**
+   * Nombre del estado activo (el de arriba del stack)
+   */
+  get currentState() {
+    return this.stateManager.getCurrentStateName() || this.states.LOADING;
+  }
+
+  // Estado de la partida: vive en la simulación
+  get bird() {
+    return this.simulation.bird;
+  }
+
+  get pipePool() {
+    return this.simulation.pipePool;
+  }
+
+  get score() {
+    return this.simulation.score;
+  }
+
+  get currentLevel() {
+    return this.simulation.currentLevel;
+  }
+
+  get coins() {
+    return this.simulation.coins.collected;
+  }
+
+  get tick() {
+    return this.simulation.tick;
+  }
+
+  get gameTime() {
+    return this.simulation.gameTime;
+  }
+
+  get seed() {
+    return this.simulation.seed;
+  }
+
   /**
    * Configura el sistema de audio
    */
@@ -137,6 +370,19 @@ class Game {
     this.audioManager = managers.audio;
     this.storageManager = managers.storage;
     this.assetManager = managers.asset;
+    this.replayManager.setStorage(this.storageManager);
+    this.plugins.setStorage(this.storageManager);
+    this.achievements.setStorage(this.storageManager);
+    this.coinBalance = this.storageManager.loadCoinBalance();
+    this.timeAttackBests = this.storageManager.loadTimeAttackBests();
+    this.loadLevelProgress();
+    this.applySprites();
+
+    const adaptive = this.storageManager.loadAdaptiveDifficulty();
+    if (typeof adaptive.enabled === "boolean") {
+      this.adaptiveEnabled = adaptive.enabled;
+    }
+    this.simulation.adaptive.setHistory(adaptive.history);
 
     // NUEVO: Configurar callback para cambios de estado de autenticación
     if (
@@ -150,9 +396,6 @@ class Game {
           user ? user.displayName || user.email || "anónimo" : "ninguno"
         );
 
-        // Resetear flags de logging cuando cambia el estado de auth
-        this.gameOverStateLogged = false;
-        this.gameOverPromptLogged = false;
       });
     }
 
@@ -164,6 +407,37 @@ class Game {
     });
   }
 
+  /**
+   * Entrega a la simulación y al fondo los sprites que precargó el
+   * AssetManager, con las máscaras de colisión al tamaño al que se dibujan
+   */
+  applySprites() {
+    if (!this.assetManager) return;
+
+    const images = {};
+    Object.keys(this.config.ASSETS.IMAGES).forEach((key) => {
+      const image = this.assetManager.getImage(key);
+      if (image) images[key] = image;
+    });
+    this.background.setImages(images);
+
+    const { bird } = this.simulation;
+    const { WIDTH, HEIGHT } = this.config.PIPES;
+    const pipes = {};
+    Object.values(this.config.LEVELS).forEach((level) => {
+      [level.pipes.top, level.pipes.bottom].forEach((key) => {
+        const sprite = this.assetManager.getSprite(key, WIDTH, HEIGHT);
+        if (sprite) pipes[key] = sprite;
+      });
+    });
+
+    this.simulation.setSprites({
+      bird: this.assetManager.getSprite("BIRD", bird.width, bird.height),
+      pipes,
+      terrain: images,
+    });
+  }
+
   /**
    * Carga assets del juego
    */
@@ -220,19 +494,25 @@ class Game {
     });
 
     // Touch/Click events - también verificar modales
-    this.canvas.addEventListener("click", (e) => {
-      if (this.isModalActive()) {
-        return;
-      }
-      this.handleClick(e);
-    });
+    const { MOUSE, TOUCH } = this.config.CONTROLS;
 
-    this.canvas.addEventListener("touchstart", (e) => {
-      if (this.isModalActive()) {
-        return;
-      }
-      this.handleTouch(e);
-    });
+    if (MOUSE.ENABLED && MOUSE.JUMP_ON_CLICK) {
+      this.canvas.addEventListener("click", (e) => {
+        if (this.isModalActive()) {
+          return;
+        }
+        this.handleClick(e);
+      });
+    }
+
+    if (TOUCH.ENABLED && TOUCH.JUMP_ON_TAP) {
+      this.canvas.addEventListener("touchstart", (e) => {
+        if (this.isModalActive()) {
+          return;
+        }
+        this.handleTouch(e);
+      });
+    }
 
     // Prevenir contexto de click derecho
     this.canvas.addEventListener("contextmenu", (e) => e.preventDefault());
@@ -254,54 +534,59 @@ class Game {
       return;
     }
 
-    switch (e.code) {
-      case "Space":
-      case "ArrowUp":
-      case "KeyX":
-        e.preventDefault();
-        this.handleJumpInput();
-        break;
-      case "KeyP":
-      case "Escape":
-        e.preventDefault();
-        if (this.currentState === this.states.PLAYING) {
-          this.pause();
-        } else if (this.currentState === this.states.PAUSED) {
-          this.resume();
-        }
-        break;
-      case "KeyR":
-        e.preventDefault();
-        // NUEVO: Solo reiniciar si NO hay modal activo
-        if (!this.isModalActive()) {
-          this.restart();
-        }
-        break;
-      case "KeyD":
-        e.preventDefault();
-        window.DEBUG_MODE = !window.DEBUG_MODE;
-        console.log("Debug mode:", window.DEBUG_MODE);
-        break;
+    const keyboard = this.config.CONTROLS.KEYBOARD;
+    if (!keyboard.ENABLED) return;
+
+    if (e.code === "KeyD") {
+      e.preventDefault();
+      window.DEBUG_MODE = !window.DEBUG_MODE;
+      console.log("Debug mode:", window.DEBUG_MODE);
+      return;
+    }
+
+    // Traducir la tecla a una acción; el estado activo decide qué hace
+    let action = "key";
+    if (keyboard.JUMP.includes(e.code)) {
+      action = "jump";
+    } else if (keyboard.PAUSE.includes(e.code)) {
+      action = "pause";
+    } else if (keyboard.RESTART.includes(e.code)) {
+      action = "restart";
+    }
+
+    const handled = this.handleInput(action, e);
+    if (handled || action !== "key") {
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * Envía una acción al estado activo
+   * Un click/tap que el estado no usa como puntero cuenta como salto
+   * @param {string} action - "jump", "pause", "restart", "pointer" o "key"
+   * @param {Event|Object} event - Evento original
+   * @returns {boolean} true si el estado la consumió
+   */
+  handleInput(action, event) {
+    const handled = this.stateManager.handleInput(action, event);
+    if (!handled && action === "pointer") {
+      return this.stateManager.handleInput("jump", event);
     }
+    return handled;
   }
 
   /**
    * Maneja eventos de teclado (soltar)
    */
   handleKeyUp(e) {
-    switch (e.code) {
-      case "Space":
-      case "ArrowUp":
-      case "KeyX":
-        this.controls.jump = false;
-        break;
-      case "KeyP":
-      case "Escape":
-        this.controls.pause = false;
-        break;
-      case "KeyR":
-        this.controls.restart = false;
-        break;
+    const keyboard = this.config.CONTROLS.KEYBOARD;
+
+    if (keyboard.JUMP.includes(e.code)) {
+      this.controls.jump = false;
+    } else if (keyboard.PAUSE.includes(e.code)) {
+      this.controls.pause = false;
+    } else if (keyboard.RESTART.includes(e.code)) {
+      this.controls.restart = false;
     }
   }
 
@@ -310,7 +595,7 @@ class Game {
    */
   handleClick(e) {
     e.preventDefault();
-    this.handleJumpInput();
+    this.handleInput("pointer", { clientX: e.clientX, clientY: e.clientY });
   }
 
   /**
@@ -318,54 +603,12 @@ class Game {
    */
   handleTouch(e) {
     e.preventDefault();
-    this.handleJumpInput();
-  }
-
-  /**
-   * Procesa input de salto según el estado del juego
-   */
-  handleJumpInput() {
-    switch (this.currentState) {
-      case this.states.MENU:
-        this.startGame();
-        break;
-      case this.states.PLAYING:
-        this.bird.jump();
-        this.playSound("jump");
-        break;
-      case this.states.GAME_OVER:
-        console.log("🔥 Game: handleJumpInput in GAME_OVER state");
-        // ACTUALIZADO: Usar getUserInfo para detección precisa
-        if (this.firebaseManager && this.firebaseManager.isReady()) {
-          const userInfo = this.firebaseManager.getUserInfo();
-          console.log("🔥 Game: Firebase listo, verificando estado real...");
-          console.log("🔥 Game: Info de usuario:", userInfo);
-
-          if (userInfo && userInfo.isPermanent) {
-            // Usuario registrado permanentemente - mostrar leaderboard
-            console.log("🔥 Game: Usuario permanente - mostrando leaderboard");
-            this.showLeaderboard();
-            return; // IMPORTANTE: No continuar con restart
-          } else if (userInfo && userInfo.isAnonymous) {
-            // Usuario anónimo - mostrar modal de registro
-            console.log(
-              "🔥 Game: Usuario anónimo - mostrando modal de registro"
-            );
-            this.showRegistrationModal();
-            return; // IMPORTANTE: No continuar con restart
-          }
-        }
 
-        // Fallback - reiniciar juego si no hay Firebase o hay error
-        console.log(
-          "🔥 Game: Firebase no disponible o error, reiniciando juego"
-        );
-        this.restart();
-        break;
-      case this.states.PAUSED:
-        this.resume();
-        break;
-    }
+    const touch = e.touches && e.touches[0];
+    this.handleInput(
+      "pointer",
+      touch ? { clientX: touch.clientX, clientY: touch.clientY } : {}
+    );
   }
 
   /**
@@ -416,43 +659,40 @@ class Game {
       // Obtener datos del leaderboard usando el nuevo backend
       console.log("🔥 Game: Obteniendo datos del leaderboard...");
 
-      const [globalLeaderboard, userRanking] = await Promise.all([
-        this.firebaseManager.getGlobalLeaderboard(10),
-        this.firebaseManager.getUserRanking(),
-      ]);
+      // Tras una contrarreloj se muestra su categoría (sin ranking global)
+      const timeAttack = this.simulation.timeAttack.getState();
+      const [globalLeaderboard, userRanking] = await Promise.all(
+        timeAttack
+          ? [
+              this.firebaseManager.getTimeAttackLeaderboard(
+                timeAttack.pipes,
+                10
+              ),
+              null,
+            ]
+          : [
+              this.firebaseManager.getGlobalLeaderboard(10),
+              this.firebaseManager.getUserRanking(),
+            ]
+      );
 
       console.log("🔥 Game: ✅ Datos del leaderboard obtenidos");
       console.log("📊 Global Leaderboard:", globalLeaderboard);
       console.log("👤 User Ranking:", userRanking);
 
-      // Temporal: Mostrar información en consola hasta implementar UI en Etapa 6
       const currentNickname = await this.firebaseManager.getUserNickname();
 
-      let leaderboardInfo = `🎮 ¡Hola, ${currentNickname}!\n\n`;
-
-      if (userRanking && userRanking.bestScore > 0) {
-        leaderboardInfo += `🏆 Tu mejor puntuación: ${userRanking.bestScore}\n`;
-        leaderboardInfo += `📍 Tu posición: #${userRanking.rank}\n`;
-        leaderboardInfo += `🎮 Juegos totales: ${userRanking.totalGames}\n`;
-        leaderboardInfo += `📊 Promedio: ${userRanking.averageScore}\n\n`;
-      }
-
-      leaderboardInfo += `� TOP 10 GLOBAL:\n`;
-      globalLeaderboard.forEach((entry, index) => {
-        const indicator = entry.isCurrentUser ? "👤" : "🏅";
-        leaderboardInfo += `${indicator} #${entry.rank} ${entry.nickname}: ${entry.score}\n`;
-      });
-
-      leaderboardInfo += `\n🔄 UI del leaderboard se implementará en Etapa 6`;
-
-      this.showTemporaryMessage(
-        "📋 Leaderboard Backend Activo",
-        leaderboardInfo.replace(/\n/g, "<br>")
+      // El ranking se muestra como overlay sobre la pantalla de game over
+      this.stateManager.pushState(
+        this.states.LEADERBOARD,
+        {
+          globalLeaderboard,
+          userRanking,
+          nickname: currentNickname,
+          timeAttack: timeAttack ? timeAttack.pipes : null,
+        },
+        this.fadeTransitions
       );
-
-      setTimeout(() => {
-        this.restart();
-      }, 8000); // Más tiempo para ver los datos
     } catch (error) {
       console.error("🔥 Game: Error mostrando leaderboard:", error);
       this.restart();
@@ -1368,102 +1608,61 @@ class Game {
   }
 
   /**
-   * Verifica el estado del usuario UNA SOLA VEZ al entrar a Game Over
-   */
-  checkUserStateForGameOver() {
-    console.log("🔥 Game: Verificando estado de usuario para Game Over...");
-
-    if (!this.firebaseManager || !this.firebaseManager.isReady()) {
-      console.log("🔥 Game: Firebase no disponible");
-      this.gameOverUserState = "offline";
-      return;
-    }
-
-    try {
-      const userInfo = this.firebaseManager.getUserInfo();
-      console.log("🔥 Game: Estado de usuario detectado:", userInfo);
-
-      if (userInfo && userInfo.isPermanent) {
-        console.log("🔥 Game: Usuario permanente - mostrando leaderboard");
-        this.gameOverUserState = "permanent";
-      } else if (userInfo && userInfo.isAnonymous) {
-        console.log("🔥 Game: Usuario anónimo - mostrando registro");
-        this.gameOverUserState = "anonymous";
-      } else {
-        console.log("🔥 Game: Estado desconocido - fallback");
-        this.gameOverUserState = "offline";
-      }
-    } catch (error) {
-      console.error("🔥 Game: Error verificando estado:", error);
-      this.gameOverUserState = "offline";
-    }
-  }
-
-  /**
-   * Cambia el estado del juego
+   * Cambia el estado del juego (sustituye también los overlays apilados)
+   * @param {string} newState - Nombre del estado (this.states)
+   * @param {Object} data - Datos para el nuevo estado
+   * @returns {Promise<boolean>} false si había una transición en curso
    */
-  changeState(newState) {
-    if (this.currentState === newState) return;
-
-    this.previousState = this.currentState;
-    this.currentState = newState;
-
-    // CRÍTICO: Resetear estados de game over
-    if (newState === this.states.GAME_OVER) {
-      this.gameOverStateChecked = false;
-      this.gameOverUserState = null;
-    }
-
-    // Resetear flags de logging solo en cambios de estado
-    if (newState !== this.states.GAME_OVER) {
-      this.gameOverLogged = false;
-      this.gameOverStateLogged = false;
-      this.gameOverPromptLogged = false;
-      this.gameOverFallbackLogged = false;
-      this.registrationPromptLogged = false;
-      this.registrationPromptRenderedLogged = false;
-    }
-
-    console.log(`State changed: ${this.previousState} -> ${this.currentState}`);
-
-    // Acciones específicas por estado
-    switch (newState) {
-      case this.states.PLAYING:
-        this.resumeGame();
-        break;
-      case this.states.PAUSED:
-        this.pauseGame();
-        break;
-      case this.states.GAME_OVER:
-        this.endGame();
-        break;
-    }
+  changeState(newState, data = {}) {
+    return this.stateManager.changeState(newState, data, this.fadeTransitions);
   }
 
   /**
    * Inicia el juego
    */
   startGame() {
+    if (this.stateManager.isTransitioning) return;
+
     this.resetGame();
     this.changeState(this.states.PLAYING);
-    this.stats.gamesPlayed++;
+    const adaptive = this.simulation.adaptive;
+    this.emit(GAME_EVENTS.GAME_START, {
+      seed: this.seed,
+      level: this.currentLevel,
+      mode: this.activeMode ? this.activeMode.id : null,
+      adaptiveSkill: adaptive.enabled ? adaptive.startSkill : null,
+      practice: this.simulation.practice.getOptions(),
+      timeAttack: this.simulation.timeAttack.getOptions(),
+    });
   }
 
   /**
-   * Pausa el juego
+   * Pausa el juego (overlay apilado sobre la partida). El evento solo se
+   * publica si el overlay llega a abrirse: durante otra transición el
+   * StateManager rechaza el cambio
    */
-  pause() {
+  async pause() {
     if (this.currentState === this.states.PLAYING) {
-      this.changeState(this.states.PAUSED);
+      const paused = await this.stateManager.pushState(
+        this.states.PAUSED,
+        {},
+        this.fadeTransitions
+      );
+      if (paused) {
+        this.emit(GAME_EVENTS.GAME_PAUSE, { gameTime: this.gameTime });
+      }
     }
   }
 
   /**
-   * Reanuda el juego
+   * Reanuda el juego (igual que pause, solo si el overlay se cierra)
    */
-  resume() {
+  async resume() {
     if (this.currentState === this.states.PAUSED) {
-      this.changeState(this.states.PLAYING);
+      const resumed = await this.stateManager.popState(this.fadeTransitions);
+      if (resumed) {
+        this.emit(GAME_EVENTS.GAME_RESUME, { gameTime: this.gameTime });
+      }
     }
   }
 
@@ -1471,132 +1670,608 @@ class Game {
    * Reinicia el juego
    */
   restart() {
-    this.resetGame();
-    this.changeState(this.states.PLAYING);
-    this.stats.gamesPlayed++;
+    if (this.stateManager.isTransitioning) return;
+
+    this.emit(GAME_EVENTS.GAME_RESTART, { previousScore: this.score });
+    this.startGame();
   }
 
   /**
    * Reinicia todas las variables del juego
+   * @param {number|string|null} seed - Semilla forzada (repeticiones)
+   * @param {string|null} mode - Modo de la partida (por defecto el elegido)
+   * @param {number|null} adaptiveSkill - Habilidad inicial de la dificultad
+   * adaptativa (por defecto la del historial si está activada; null = fija)
+   * @param {number} level - Nivel inicial (por defecto el del selector)
+   * @param {Object|null} practice - Práctica ({ level, startPipe, interval });
+   * por defecto la elegida en el selector, null = partida normal
+   * @param {Object|null} timeAttack - Contrarreloj ({ pipes, penalty,
+   * splits }); por defecto la elegida en el menú, null = partida normal
    */
-  resetGame() {
-    this.bird.reset();
-    this.pipePool.clear();
-    this.score = 0;
-    this.currentLevel = 1;
+  resetGame(
+    seed = null,
+    mode = this.selectedMode,
+    adaptiveSkill = this.getAdaptiveStartSkill(),
+    level = this.selectedLevel,
+    practice = this.practiceOptions,
+    timeAttack = this.timeAttackOptions
+  ) {
+    // Nueva semilla por partida salvo que el jugador haya fijado una
+    if (seed === null) {
+      seed =
+        this.fixedSeed !== null ? this.fixedSeed : SeededRandom.generateSeed();
+    }
+
+    // La práctica empieza en su propio nivel y nunca es adaptativa
+    if (practice) {
+      level = practice.level ?? level;
+      adaptiveSkill = null;
+    }
+
+    // La contrarreloj siempre empieza en el primer nivel y sin adaptativa,
+    // para que los tiempos de una categoría sean comparables
+    if (timeAttack) {
+      level = this.config.LEVEL_SETTINGS.defaultLevel;
+      adaptiveSkill = null;
+    }
+    this.simulation.reset(seed, {
+      adaptiveSkill,
+      level,
+      practice,
+      timeAttack,
+    });
+    this.activeMode = this.plugins.getMode(mode);
+    this.plugins.resetRun();
+
     this.isNewRecord = false;
-    this.gameTime = 0;
-    this.lastPipeTime = 0;
+    this.accumulator = 0;
     this.screenShake = 0;
-    this.backgroundOffset = 0;
+    this.background.reset(this.currentLevel);
+    this.particles.clear();
+    this.scorePopups.clear();
     this.isLevelTransitioning = false;
     this.levelTransitionTimer = 0;
+    this.runMessage = null;
 
     // Actualizar clase del canvas
-    this.canvas.className = "level-1";
+    this.canvas.className = `level-${this.currentLevel}`;
 
-    console.log("Game reset");
+    console.log(`Game reset (seed: ${this.seed})`);
   }
 
   /**
-   * Acciones al reanudar el juego
+   * Fija la semilla de las próximas partidas
+   * @param {number|string|null} seed - Semilla, o null para volver a aleatoria
    */
-  resumeGame() {
-    // Sincronizar timer
-    this.lastFrameTime = performance.now();
+  setSeed(seed) {
+    this.fixedSeed = seed === undefined || seed === "" ? null : seed;
+    console.log(
+      this.fixedSeed !== null
+        ? `Seed fixed to: ${this.fixedSeed} (applies on next run)`
+        : "Seed cleared, runs will use random seeds"
+    );
   }
 
   /**
-   * Acciones al pausar el juego
+   * Elige el modo de las próximas partidas
+   * @param {string|null} mode - Id de un modo registrado, o null para el clásico
    */
-  pauseGame() {
-    // Incrementar tiempo pausado
-    this.pausedTime += this.deltaTime;
+  setMode(mode) {
+    if (mode !== null && !this.plugins.getMode(mode)) {
+      console.warn("Mode not found:", mode);
+      return false;
+    }
+    this.selectedMode = mode;
+    return true;
   }
 
   /**
-   * Acciones al terminar el juego
+   * Nivel con el que empiezan las próximas partidas
    */
+  get selectedLevel() {
+    return this.levelProgress.currentLevel;
+  }
+
   /**
-   * Finaliza el juego y guarda estadísticas (ACTUALIZADO CON LEADERBOARD)
+   * Niveles de levels.json con su estado para el selector
+   * @returns {Array<Object>} { level, name, description, unlockScore,
+   *   unlocked, completed, selected }
    */
-  async endGame() {
-    this.playSound("gameOver");
-    this.screenShake = 20;
-
-    // Calcular tiempo de juego en segundos
-    const gameTimeInSeconds = this.gameTime / 1000;
+  getLevels() {
+    const { completedLevels } = this.levelProgress;
+
+    return Object.keys(this.config.LEVELS)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map((level) => {
+        const { name, description, unlockScore } = this.config.LEVELS[level];
+        return {
+          level: level,
+          name: name,
+          description: description,
+          unlockScore: unlockScore,
+          unlocked: this.isLevelUnlocked(level),
+          completed: completedLevels.includes(level),
+          selected: level === this.selectedLevel,
+        };
+      });
+  }
 
-    // Actualizar estadísticas locales
-    this.stats.totalScore += this.score;
-    this.stats.totalTime += this.gameTime;
-    this.stats.totalJumps += this.bird.totalJumps;
+  /**
+   * Indica si un nivel se puede elegir en el selector
+   */
+  isLevelUnlocked(level) {
+    return this.levelProgress.unlockedLevels.includes(level);
+  }
 
-    if (this.gameTime > this.stats.bestTime) {
-      this.stats.bestTime = this.gameTime;
+  /**
+   * Elige el nivel inicial de las próximas partidas
+   * @param {number} level - Nivel desbloqueado de levels.json
+   * @returns {boolean} false si no existe o sigue bloqueado
+   */
+  selectLevel(level) {
+    if (!this.config.LEVELS[level] || !this.isLevelUnlocked(level)) {
+      console.warn("Level not available:", level);
+      return false;
     }
+    this.levelProgress.currentLevel = level;
+    this.saveLevelProgress();
+    return true;
+  }
 
-    // Verificar nuevo record
-    if (this.score > this.bestScore) {
-      this.bestScore = this.score;
-      this.isNewRecord = true;
-      this.saveBestScore();
+  /**
+   * Carga el progreso de niveles guardado (descartando niveles que ya no
+   * existen en levels.json)
+   */
+  loadLevelProgress() {
+    const defaultLevel = this.config.LEVEL_SETTINGS.defaultLevel;
+    const saved = this.storageManager.loadLevelProgress();
+    const exists = (level) => !!this.config.LEVELS[level];
+
+    const unlockedLevels = (saved.unlockedLevels || []).filter(exists);
+    if (!unlockedLevels.includes(defaultLevel)) {
+      unlockedLevels.unshift(defaultLevel);
     }
 
-    // Calcular estadísticas del juego para Firebase
-    const gameStats = {
-      totalJumps: this.bird?.totalJumps || 0,
-      accuracy: this.calculateAccuracy(),
-      survivalTime: gameTimeInSeconds,
-      maxHeight: this.bird?.maxHeight || 0,
-      averageHeight: this.bird?.averageHeight || 0,
+    this.levelProgress = {
+      currentLevel: unlockedLevels.includes(saved.currentLevel)
+        ? saved.currentLevel
+        : defaultLevel,
+      unlockedLevels: unlockedLevels.sort((a, b) => a - b),
+      completedLevels: (saved.completedLevels || []).filter(exists),
     };
+  }
 
-    // Guardar estadísticas locales
-    this.saveStats();
+  saveLevelProgress() {
+    if (!this.storageManager) return;
+    this.storageManager.saveLevelProgress(this.levelProgress);
+  }
 
-    // Intentar guardar en Firebase si el usuario está registrado
-    if (
-      this.firebaseManager &&
-      this.firebaseManager.isUserPermanentlyRegistered()
-    ) {
-      try {
-        console.log("🔥 Game: Guardando puntuación en Firebase...");
-        const saveSuccess = await this.firebaseManager.saveScore(
-          this.score,
-          this.currentLevel,
-          gameTimeInSeconds,
-          gameStats
-        );
+  /**
+   * Desbloquea el nivel alcanzado y marca como completados los anteriores
+   * (las repeticiones y la contrarreloj, donde chocar no termina la
+   * partida, no cuentan)
+   * @param {Object} change - Payload de LEVEL_CHANGE
+   */
+  recordLevelUnlock({ level, previousLevel, replay, timeAttack }) {
+    if (replay || timeAttack) return;
 
-        if (saveSuccess) {
-          console.log("🔥 Game: ✅ Puntuación guardada en Firebase");
-        } else {
-          console.warn(
-            "🔥 Game: ⚠️ No se pudo guardar la puntuación en Firebase"
-          );
-        }
-      } catch (error) {
-        console.error("🔥 Game: ❌ Error guardando puntuación:", error);
+    const progress = this.levelProgress;
+    let changed = false;
+
+    if (!progress.unlockedLevels.includes(level)) {
+      progress.unlockedLevels.push(level);
+      progress.unlockedLevels.sort((a, b) => a - b);
+      console.log(`🔓 Level ${level} unlocked`);
+      changed = true;
+    }
+    for (let completed = previousLevel; completed < level; completed++) {
+      if (!progress.completedLevels.includes(completed)) {
+        progress.completedLevels.push(completed);
+        changed = true;
       }
     }
 
-    console.log(
-      `Game over! Score: ${this.score}, Time: ${gameTimeInSeconds.toFixed(1)}s`
-    );
+    if (changed) this.saveLevelProgress();
   }
 
   /**
-   * Calcula precisión de saltos
-   * @returns {number} Porcentaje de precisión (0-100)
+   * Con keepLevelOnRestart (levels.json) la siguiente partida empieza en el
+   * nivel alcanzado
+   * @param {Object} result - Payload de GAME_OVER
    */
-  calculateAccuracy() {
-    if (!this.bird || !this.bird.totalJumps) return 0;
-
-    const totalJumps = this.bird.totalJumps;
-    const effectiveJumps = Math.max(1, this.score * 2); // Estimación de saltos efectivos
-
-    return Math.min(100, Math.round((effectiveJumps / totalJumps) * 100));
+  recordLevelReached({ level, replay, practice, timeAttack }) {
+    if (replay || practice || timeAttack) return;
+    if (!this.config.LEVEL_SETTINGS.keepLevelOnRestart) return;
+    this.selectLevel(level);
+  }
+
+  /**
+   * Indica si la partida actual es de práctica
+   */
+  get isPractice() {
+    return this.simulation.practice.enabled;
+  }
+
+  /**
+   * Elige la práctica de las próximas partidas (cualquier nivel, también
+   * los bloqueados: la práctica no desbloquea ni puntúa nada)
+   * @param {Object|null} options - { level, startPipe }, o null para volver
+   *   a las partidas normales
+   * @returns {boolean} false si el nivel no existe
+   */
+  setPractice(options) {
+    if (!options) {
+      this.practiceOptions = null;
+      return true;
+    }
+    if (!this.config.LEVELS[options.level]) {
+      console.warn("Level not found:", options.level);
+      return false;
+    }
+
+    const maxStartPipe = this.config.PRACTICE.MAX_START_PIPE;
+    const startPipe = Math.max(
+      0,
+      Math.min(maxStartPipe, options.startPipe || 0)
+    );
+    this.practiceOptions = { level: options.level, startPipe };
+    this.timeAttackOptions = null;
+    console.log(`🎯 Practice: level ${options.level} from pipe ${startPipe}`);
+    return true;
+  }
+
+  /**
+   * Termina la partida de práctica en curso (la práctica no muere) y
+   * muestra su resumen
+   */
+  quitPractice() {
+    const { PLAYING, PAUSED } = this.states;
+    if (!this.isPractice) return;
+    if (this.currentState !== PLAYING && this.currentState !== PAUSED) return;
+
+    this.endGame();
+    this.changeState(this.states.GAME_OVER);
+  }
+
+  /**
+   * Indica si la partida actual es una contrarreloj
+   */
+  get isTimeAttack() {
+    return this.simulation.timeAttack.enabled;
+  }
+
+  /**
+   * Elige la contrarreloj de las próximas partidas (desactiva la práctica)
+   * @param {number|null} pipes - Una de las categorías de
+   *   config.TIME_ATTACK.TARGETS, o null para volver a las partidas normales
+   * @returns {boolean} false si la categoría no existe
+   */
+  setTimeAttack(pipes) {
+    if (pipes === null || pipes === undefined) {
+      this.timeAttackOptions = null;
+      return true;
+    }
+    if (!this.config.TIME_ATTACK.TARGETS.includes(pipes)) {
+      console.warn("Time attack category not found:", pipes);
+      return false;
+    }
+
+    this.timeAttackOptions = { pipes };
+    this.practiceOptions = null;
+    console.log(`⏱️ Time attack: ${pipes} pipes`);
+    return true;
+  }
+
+  /**
+   * Pasa a la siguiente categoría de contrarreloj (menú); después de la
+   * última vuelve a las partidas normales
+   */
+  cycleTimeAttack() {
+    const targets = this.config.TIME_ATTACK.TARGETS;
+    const current = this.timeAttackOptions
+      ? targets.indexOf(this.timeAttackOptions.pipes)
+      : -1;
+    this.setTimeAttack(targets[current + 1] ?? null);
+  }
+
+  /**
+   * Mejor marca guardada de una categoría de contrarreloj (null si no hay)
+   * @param {number} pipes
+   */
+  getTimeAttackBest(pipes) {
+    return this.timeAttackBests[pipes] || null;
+  }
+
+  /**
+   * Abandona la contrarreloj en curso: termina sin tiempo válido
+   */
+  quitTimeAttack() {
+    const { PLAYING, PAUSED } = this.states;
+    if (!this.isTimeAttack) return;
+    if (this.currentState !== PLAYING && this.currentState !== PAUSED) return;
+
+    this.endGame();
+    this.changeState(this.states.GAME_OVER);
+  }
+
+  /**
+   * Aviso breve en el centro de la pantalla (práctica y contrarreloj)
+   * @param {string} text
+   * @param {string} color
+   */
+  showRunMessage(text, color = "#7CFC00") {
+    this.runMessage = { text, color, timer: 1200 };
+  }
+
+  /**
+   * Pasa al siguiente modo disponible (menú)
+   */
+  cycleMode() {
+    const modes = this.plugins.getModes();
+    const index = modes.findIndex((mode) => mode.id === this.selectedMode);
+    this.setMode(modes[(index + 1) % modes.length].id);
+  }
+
+  /**
+   * Activa o desactiva la dificultad adaptativa (desde la próxima partida)
+   * @param {boolean} enabled
+   */
+  setAdaptiveDifficulty(enabled) {
+    this.adaptiveEnabled = !!enabled;
+    this.saveAdaptiveDifficulty();
+    console.log(
+      `🎚️ Adaptive difficulty ${this.adaptiveEnabled ? "enabled" : "disabled"}`
+    );
+  }
+
+  /**
+   * Habilidad inicial de la próxima partida (null si no es adaptativa)
+   */
+  getAdaptiveStartSkill() {
+    if (!this.adaptiveEnabled) return null;
+    return this.simulation.adaptive.getStartingSkill();
+  }
+
+  /**
+   * Añade la partida terminada al historial de la dificultad adaptativa
+   * (también las no adaptativas: así ya hay historial al activarla)
+   * @param {Object} result - Payload de GAME_OVER
+   */
+  recordAdaptiveRun({ score, gameTime, replay, practice, timeAttack }) {
+    if (replay || practice || timeAttack) return;
+
+    this.simulation.adaptive.recordRun({ score, gameTime });
+    this.saveAdaptiveDifficulty();
+  }
+
+  saveAdaptiveDifficulty() {
+    if (!this.storageManager) return;
+
+    this.storageManager.saveAdaptiveDifficulty({
+      enabled: this.adaptiveEnabled,
+      history: this.simulation.adaptive.history,
+    });
+  }
+
+  /**
+   * Acciones al reanudar el juego
+   */
+  resumeGame() {
+    // Sincronizar timer
+    this.lastFrameTime = performance.now();
+    this.accumulator = 0;
+  }
+
+  /**
+   * Acciones al pausar el juego
+   */
+  pauseGame() {
+    // Incrementar tiempo pausado
+    this.pausedTime += this.deltaTime;
+  }
+
+  /**
+   * Finaliza la partida: fija el récord y publica GAME_OVER
+   * Sonido, estadísticas, repetición y leaderboard cuelgan de ese evento
+   */
+  endGame() {
+    const gameTimeInSeconds = this.gameTime / 1000;
+    const practice = this.simulation.practice.getState();
+    const timeAttack = this.simulation.timeAttack.getState();
+
+    // Verificar nuevo record (en contrarreloj, el de su categoría; la
+    // práctica nunca cuenta)
+    if (timeAttack) {
+      this.recordTimeAttack(timeAttack);
+    } else if (!practice && this.score > this.bestScore) {
+      this.bestScore = this.score;
+      this.isNewRecord = true;
+      this.saveBestScore();
+    }
+
+    // Estadísticas de la partida (también las que se envían a Firebase)
+    const gameStats = {
+      totalJumps: this.bird?.totalJumps || 0,
+      accuracy: this.calculateAccuracy(),
+      survivalTime: gameTimeInSeconds,
+      maxHeight: this.bird?.maxHeight || 0,
+      averageHeight: this.bird?.averageHeight || 0,
+      coins: this.coins,
+      bestCombo: this.simulation.scoring.bestCombo,
+      perfectPasses: this.simulation.scoring.perfects,
+    };
+
+    this.emit(GAME_EVENTS.GAME_OVER, {
+      score: this.score,
+      bestScore: this.bestScore,
+      isNewRecord: this.isNewRecord,
+      level: this.currentLevel,
+      startLevel: this.simulation.startLevel,
+      seed: this.seed,
+      mode: this.activeMode ? this.activeMode.id : null,
+      adaptive: this.simulation.adaptive.enabled,
+      coins: this.coins,
+      breakdown: { ...this.simulation.scoring.breakdown },
+      practice: practice,
+      timeAttack: timeAttack,
+      gameTime: this.gameTime,
+      stats: gameStats,
+    });
+
+    console.log(
+      `Game over! Score: ${this.score}, Time: ${gameTimeInSeconds.toFixed(1)}s`
+    );
+  }
+
+  /**
+   * Guarda la marca de una contrarreloj terminada si mejora la de su
+   * categoría. La anterior se conserva para comparar los parciales
+   * @param {Object} result - Estado final de TimeAttackSystem
+   */
+  recordTimeAttack({ pipes, time, penalties, splits, completed }) {
+    this.timeAttackPrevious = this.getTimeAttackBest(pipes);
+    if (!completed) return;
+    if (this.timeAttackPrevious && this.timeAttackPrevious.time <= time) return;
+
+    this.timeAttackBests[pipes] = {
+      time: time,
+      penalties: penalties,
+      splits: splits,
+      date: Date.now(),
+    };
+    this.isNewRecord = true;
+    if (this.storageManager) {
+      this.storageManager.saveTimeAttackBests(this.timeAttackBests);
+    }
+    const formatted = TimeAttackSystem.formatTime(time);
+    console.log(`⏱️ New time attack record (${pipes} pipes): ${formatted}`);
+  }
+
+  /**
+   * Acumula las estadísticas locales de una partida terminada
+   * @param {Object} result - Payload de GAME_OVER
+   */
+  recordStats({ score, gameTime, stats, practice }) {
+    if (practice) return;
+
+    this.stats.totalScore += score;
+    this.stats.totalTime += gameTime;
+    this.stats.totalJumps += stats.totalJumps;
+
+    if (gameTime > this.stats.bestTime) {
+      this.stats.bestTime = gameTime;
+    }
+
+    this.saveStats();
+  }
+
+  /**
+   * Suma las monedas de la partida al saldo guardado (las repeticiones y la
+   * práctica no cuentan)
+   * @param {Object} result - Payload de GAME_OVER
+   */
+  recordCoins({ coins, replay, practice }) {
+    if (replay || practice || coins <= 0) return;
+
+    this.coinBalance += coins;
+    if (this.storageManager) {
+      this.storageManager.saveCoinBalance(this.coinBalance);
+    }
+  }
+
+  /**
+   * Cierra la grabación de la partida y la guarda si está activado
+   * @param {Object} result - Payload de GAME_OVER
+   */
+  saveReplay({ score, level, tick, gameTime }) {
+    const replay = this.replayManager.stopRecording({
+      score: score,
+      level: level,
+      ticks: tick,
+      gameTime: gameTime,
+    });
+    if (this.config.STORAGE.saveReplays) {
+      this.replayManager.saveReplay(replay);
+    }
+  }
+
+  /**
+   * Envía la puntuación a Firebase si el usuario está registrado
+   * Los modos de plugins solo puntúan si se declaran `ranked`, y las
+   * partidas de práctica, con dificultad adaptativa o empezadas en otro
+   * nivel desde el selector nunca. Las contrarrelojes completadas van a su
+   * propia categoría
+   * @param {Object} result - Payload de GAME_OVER
+   */
+  async submitScore(result) {
+    const { score, level, startLevel, adaptive, gameTime, stats } = result;
+    if (this.activeMode && !this.activeMode.ranked) return;
+    if (result.practice || adaptive) return;
+    if (startLevel !== this.config.LEVEL_SETTINGS.defaultLevel) return;
+    if (result.timeAttack && !result.timeAttack.completed) return;
+
+    if (
+      !this.firebaseManager ||
+      !this.firebaseManager.isUserPermanentlyRegistered()
+    ) {
+      return;
+    }
+
+    if (result.timeAttack) {
+      this.submitTimeAttack(result);
+      return;
+    }
+
+    try {
+      console.log("🔥 Game: Guardando puntuación en Firebase...");
+      const saveSuccess = await this.firebaseManager.saveScore(
+        score,
+        level,
+        gameTime / 1000,
+        stats
+      );
+
+      if (saveSuccess) {
+        console.log("🔥 Game: ✅ Puntuación guardada en Firebase");
+      } else {
+        console.warn("🔥 Game: ⚠️ No se pudo guardar la puntuación en Firebase");
+      }
+    } catch (error) {
+      console.error("🔥 Game: ❌ Error guardando puntuación:", error);
+    }
+  }
+
+  /**
+   * Envía a Firebase el tiempo de una contrarreloj completada
+   * @param {Object} result - Payload de GAME_OVER
+   */
+  async submitTimeAttack({ timeAttack, level, coins }) {
+    try {
+      const isRecord = await this.firebaseManager.saveTimeAttackTime(
+        Math.round(timeAttack.time),
+        timeAttack.pipes,
+        { ...timeAttack, level, coins }
+      );
+      if (isRecord) {
+        console.log("🔥 Game: ✅ Nuevo record de contrarreloj en Firebase");
+      }
+    } catch (error) {
+      console.error("🔥 Game: ❌ Error guardando contrarreloj:", error);
+    }
+  }
+
+  /**
+   * Calcula precisión de saltos
+   * @returns {number} Porcentaje de precisión (0-100)
+   */
+  calculateAccuracy() {
+    if (!this.bird || !this.bird.totalJumps) return 0;
+
+    const totalJumps = this.bird.totalJumps;
+    const effectiveJumps = Math.max(1, this.score * 2); // Estimación de saltos efectivos
+
+    return Math.min(100, Math.round((effectiveJumps / totalJumps) * 100));
   }
 
   /**
@@ -1604,16 +2279,28 @@ class Game {
    */
   start() {
     const gameLoop = (currentTime) => {
-      // Calcular delta time
-      this.deltaTime = currentTime - this.lastFrameTime;
+      // Calcular delta time (limitado para que un tirón no acumule segundos)
+      this.deltaTime = Math.min(
+        currentTime - this.lastFrameTime,
+        this.maxFrameTime
+      );
       this.lastFrameTime = currentTime;
 
       // Actualizar performance
       this.updatePerformance(currentTime);
 
-      // Actualizar y renderizar según el estado
-      this.update(this.deltaTime);
-      this.render();
+      // Avanzar la simulación en pasos fijos
+      this.accumulator += this.deltaTime;
+      while (this.accumulator >= this.fixedTimeStep) {
+        this.update(this.fixedTimeStep);
+        this.accumulator -= this.fixedTimeStep;
+      }
+
+      // Renderizar interpolando entre los dos últimos ticks
+      const alpha = this.isSimulationRunning()
+        ? this.accumulator / this.fixedTimeStep
+        : 1;
+      this.render(alpha);
 
       // Continuar el bucle
       requestAnimationFrame(gameLoop);
@@ -1624,134 +2311,213 @@ class Game {
   }
 
   /**
-   * Actualiza la lógica del juego
+   * Actualiza la lógica del juego (un tick de simulación)
+   * @param {number} deltaTime - Duración fija del tick en ms
    */
   update(deltaTime) {
-    switch (this.currentState) {
-      case this.states.PLAYING:
-        this.updateGameplay(deltaTime);
-        break;
-      case this.states.PAUSED:
-        // No actualizar gameplay cuando está pausado
-        break;
-    }
+    // Solo PlayingState y ReplayState avanzan la simulación
+    this.stateManager.update(deltaTime);
 
     // Actualizar efectos visuales
     this.updateVisualEffects(deltaTime);
   }
 
   /**
-   * Actualiza lógica de gameplay
+   * Avanza la simulación un tick y reacciona a sus eventos
    */
-  updateGameplay(deltaTime) {
-    this.gameTime += deltaTime;
-
-    // Actualizar pájaro
-    const birdAlive = this.bird.update(deltaTime / 16); // Normalizar a ~60fps
-    if (!birdAlive) {
-      this.changeState(this.states.GAME_OVER);
-      return;
-    }
+  updateGameplay() {
+    const events = this.simulation.step();
+    events.forEach((event) => this.handleSimulationEvent(event));
 
-    // Generar tuberías
-    this.generatePipes();
+    if (this.simulation.isOver) return;
 
-    // Actualizar tuberías
-    this.pipePool.updateActive(deltaTime / 16);
+    this.updateLevelParticles();
+    this.plugins.update(this.fixedTimeStep);
+    this.achievements.update();
+    this.background.scroll(this.simulation.scrollSpeed);
+  }
 
-    // Verificar colisiones
-    const collidedPipe = this.pipePool.checkCollisions(this.bird);
-    if (collidedPipe) {
-      this.changeState(this.states.GAME_OVER);
-      return;
+  /**
+   * Partículas ambientales del nivel (effects.particleType), arrastradas
+   * por el viento
+   */
+  updateLevelParticles() {
+    const effects = this.config.LEVELS[this.currentLevel].effects || {};
+
+    this.particles.wind = this.simulation.wind.force;
+    if (effects.particles && effects.particleType) {
+      this.particles.emitAmbient(
+        effects.particleType,
+        this.simulation.tickScale
+      );
     }
+  }
 
-    // Verificar puntuación
-    const passedPipes = this.pipePool.checkPassed(this.bird);
-    if (passedPipes.length > 0) {
-      const points = this.pipePool.processScoring(passedPipes);
-      if (points > 0) {
-        this.score += points;
-        this.playSound("score");
-        console.log(`Score: ${this.score}`);
-      }
+  /**
+   * Efectos de navegador (audio, canvas, estado) de un evento de la simulación
+   * @param {Object} event - Evento devuelto por GameSimulation.step()
+   */
+  handleSimulationEvent(event) {
+    switch (event.type) {
+      case "score":
+        this.scorePopups.add(event);
+        this.emit(GAME_EVENTS.PIPE_PASSED, {
+          points: event.points,
+          score: event.score,
+          combo: event.comboCount,
+          perfect: event.isPerfect,
+        });
+        this.emit(GAME_EVENTS.SCORE_UPDATE, {
+          score: event.score,
+          points: event.points,
+          isNewRecord: event.score > this.bestScore,
+        });
+        break;
+      case "pipeBreak":
+        this.emit(GAME_EVENTS.PIPE_BREAK, {
+          pipe: event.pipe,
+          score: event.score,
+        });
+        break;
+      case "coin":
+        this.particles.emit("stars", event.x, event.y, {
+          count: 4,
+          color: "#FFD700",
+        });
+        this.emit(GAME_EVENTS.COIN_COLLECT, {
+          value: event.value,
+          coins: event.coins,
+        });
+        break;
+      case "levelChange":
+        this.emit(GAME_EVENTS.LEVEL_CHANGE, {
+          level: event.level,
+          previousLevel: event.previousLevel,
+          name: this.config.LEVELS[event.level].name,
+          timeAttack: this.isTimeAttack,
+        });
+        break;
+      case "powerUp":
+        this.emit(GAME_EVENTS.POWERUP_COLLECT, {
+          type: event.powerUp,
+          name: event.name,
+          effect: event.effect,
+          duration: event.duration,
+        });
+        break;
+      case "powerUpEnd":
+        this.emit(GAME_EVENTS.POWERUP_END, {
+          type: event.powerUp,
+          name: event.name,
+          effect: event.effect,
+          reason: event.reason,
+        });
+        break;
+      case "death":
+        this.emit(GAME_EVENTS.BIRD_COLLISION, {
+          cause: event.cause,
+          score: event.score,
+        });
+        this.handleRunEnd();
+        break;
+      case "checkpoint":
+        this.emit(GAME_EVENTS.PRACTICE_CHECKPOINT, { pipe: event.pipe });
+        break;
+      case "respawn":
+        this.emit(GAME_EVENTS.BIRD_COLLISION, {
+          cause: event.cause,
+          score: event.score,
+        });
+        this.emit(GAME_EVENTS.PRACTICE_RESPAWN, {
+          cause: event.cause,
+          pipe: event.pipe,
+          deaths: event.deaths,
+        });
+        break;
+      case "penalty":
+        this.emit(GAME_EVENTS.BIRD_COLLISION, {
+          cause: event.cause,
+          score: event.score,
+        });
+        this.emit(GAME_EVENTS.TIME_ATTACK_PENALTY, {
+          cause: event.cause,
+          penalty: event.penalty,
+          penalties: event.penalties,
+          time: event.time,
+        });
+        break;
+      case "split":
+        this.emit(GAME_EVENTS.TIME_ATTACK_SPLIT, {
+          index: event.index,
+          pipe: event.pipe,
+          time: event.time,
+        });
+        break;
+      case "finish":
+        this.handleRunEnd();
+        break;
     }
-
-    // Verificar cambio de nivel
-    this.checkLevelProgression();
-
-    // Actualizar fondo
-    this.backgroundOffset -= 0.5;
   }
 
   /**
-   * Genera nuevas tuberías
+   * Termina la partida (o la repetición que se está viendo)
    */
-  generatePipes() {
-    if (this.gameTime - this.lastPipeTime >= this.pipeInterval) {
-      this.createPipePair();
-      this.lastPipeTime = this.gameTime;
+  handleRunEnd() {
+    const state = this.stateManager.getCurrentState();
+    if (state && state.onRunEnd) {
+      state.onRunEnd();
     }
   }
 
   /**
-   * Crea un par de tuberías (superior e inferior)
+   * Indica si la simulación avanza en este momento (para interpolar)
    */
-  createPipePair() {
-    const pipeConfig = this.config.PIPES;
-    const levelConfig = this.config.LEVELS[this.currentLevel];
-
-    // Posición aleatoria
-    const minY = -pipeConfig.HEIGHT / 2;
-    const maxY = -pipeConfig.HEIGHT / 4;
-    const randomY = minY + Math.random() * (maxY - minY);
-
-    const gapSize = levelConfig.difficulty.gapSize;
+  isSimulationRunning() {
+    const state = this.stateManager.getCurrentState();
+    return !!state && state.isSimulating() && !this.stateManager.isTransitioning;
+  }
 
-    // Crear tubería superior
-    const topPipe = this.pipePool.acquire(
-      pipeConfig.INITIAL_X,
-      randomY,
-      "top",
-      this.currentLevel
-    );
+  /**
+   * Abre la lista de repeticiones guardadas
+   */
+  openReplayMenu() {
+    this.changeState(this.states.REPLAY_MENU);
+  }
 
-    // Crear tubería inferior
-    const bottomPipe = this.pipePool.acquire(
-      pipeConfig.INITIAL_X,
-      randomY + pipeConfig.HEIGHT + gapSize,
-      "bottom",
-      this.currentLevel
-    );
+  /**
+   * Abre la pantalla de logros
+   */
+  openAchievements() {
+    this.changeState(this.states.ACHIEVEMENTS);
   }
 
   /**
-   * Verifica progresión de nivel
+   * Abre el selector de nivel
    */
-  checkLevelProgression() {
-    if (
-      this.score >= this.config.SCORING.LEVEL_2_THRESHOLD &&
-      this.currentLevel === 1
-    ) {
-      this.changeLevel(2);
-    }
-    // Agregar más niveles aquí en el futuro
+  openLevelSelect() {
+    this.changeState(this.states.LEVEL_SELECT);
   }
 
   /**
-   * Cambia al siguiente nivel
+   * Empieza a reproducir una repetición guardada
+   * @param {Object} replay - Repetición de ReplayManager
    */
-  changeLevel(newLevel) {
-    if (this.currentLevel === newLevel) return;
+  playReplay(replay) {
+    return this.changeState(this.states.REPLAY, { replay });
+  }
 
-    this.currentLevel = newLevel;
+  /**
+   * Transición visual al entrar en un nivel nuevo
+   * @param {number} newLevel - Nivel al que acaba de pasar la simulación
+   */
+  onLevelChange(newLevel) {
     this.isLevelTransitioning = true;
-    this.levelTransitionTimer = 2000; // 2 segundos
-
-    // Actualizar tuberías existentes
-    this.pipePool.updateLevel(newLevel);
+    this.levelTransitionTimer =
+      this.config.LEVEL_SETTINGS.levelTransitionDuration;
 
-    // Actualizar clase del canvas
+    // Fundido del fondo (la clase del canvas queda como respaldo mientras
+    // cargan las imágenes)
+    this.background.setLevel(newLevel);
     this.canvas.className = `level-${newLevel}`;
 
     console.log(`Level changed to: ${newLevel}`);
@@ -1774,14 +2540,31 @@ class Game {
         this.isLevelTransitioning = false;
       }
     }
+
+    if (this.runMessage) {
+      this.runMessage.timer -= deltaTime;
+      if (this.runMessage.timer <= 0) this.runMessage = null;
+    }
+
+    this.background.update(deltaTime);
+    this.achievements.updateToasts(deltaTime);
+
+    // Las partículas siguen tras la muerte, pero se congelan en pausa
+    if (this.isSimulationRunning() || this.simulation.isOver) {
+      const { tickScale, powerUps } = this.simulation;
+      this.particles.update(tickScale * powerUps.timeScale);
+      this.scorePopups.update(tickScale);
+    }
   }
 
   /**
    * Renderiza todo el juego
+   * @param {number} alpha - Fracción (0-1) entre el tick anterior y el actual
    */
-  render() {
-    // Limpiar canvas
+  render(alpha = 1) {
+    // Limpiar canvas y dibujar el fondo (sin screen shake)
     this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.background.render(this.context, alpha);
 
     // Aplicar screen shake
     if (this.screenShake > 0) {
@@ -1791,9 +2574,18 @@ class Game {
       this.context.translate(shakeX, shakeY);
     }
 
-    // Renderizar entidades
-    this.pipePool.renderActive(this.context);
-    this.bird.render(this.context);
+    // Renderizar entidades (con las capas de los plugins)
+    this.plugins.renderLayer("background", this.context, alpha);
+    this.simulation.zones.forEach((zone) => zone.render(this.context, alpha));
+    this.pipePool.renderActive(this.context, alpha);
+    this.simulation.terrain.render(this.context, alpha);
+    this.particles.render(this.context, alpha);
+    this.simulation.coins.render(this.context, alpha);
+    this.simulation.powerUps.render(this.context, alpha);
+    this.bird.render(this.context, alpha);
+    this.renderShieldBubble(alpha);
+    this.scorePopups.render(this.context, alpha);
+    this.plugins.renderLayer("world", this.context, alpha);
 
     // Restaurar transformaciones
     if (this.screenShake > 0) {
@@ -1802,6 +2594,8 @@ class Game {
 
     // Renderizar UI
     this.renderUI();
+    this.achievements.renderToasts(this.context);
+    this.plugins.renderLayer("overlay", this.context, alpha);
 
     // Renderizar información de debug
     if (window.DEBUG_MODE) {
@@ -1809,6 +2603,30 @@ class Game {
     }
   }
 
+  /**
+   * Burbuja alrededor del pájaro mientras el escudo está activo
+   */
+  renderShieldBubble(alpha) {
+    if (!this.simulation.powerUps.isActive("collision_immunity")) return;
+
+    const bird = this.bird;
+    const x = bird.prevX + (bird.x - bird.prevX) * alpha + bird.width / 2;
+    const y = bird.prevY + (bird.y - bird.prevY) * alpha + bird.height / 2;
+    const pulse = Math.sin(this.gameTime / 120) * 2;
+    const radius = Math.max(bird.width, bird.height) * 0.8 + pulse;
+
+    const ctx = this.context;
+    ctx.save();
+    ctx.strokeStyle = "rgba(79, 195, 247, 0.9)";
+    ctx.fillStyle = "rgba(79, 195, 247, 0.15)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
   /**
    * Renderiza la interfaz de usuario
    */
@@ -1821,110 +2639,65 @@ class Game {
     ctx.lineWidth = 3;
     ctx.font = "bold 24px Arial";
 
-    switch (this.currentState) {
-      case this.states.LOADING:
-        this.renderLoadingScreen(ctx);
-        break;
-      case this.states.MENU:
-        this.renderMenuScreen(ctx);
-        break;
-      case this.states.PLAYING:
-        this.renderGameplayUI(ctx);
-        break;
-      case this.states.PAUSED:
-        this.renderPauseScreen(ctx);
-        break;
-      case this.states.GAME_OVER:
-        this.renderGameOverScreen(ctx);
-        break;
-    }
-  }
-
-  /**
-   * Renderiza pantalla de carga
-   */
-  renderLoadingScreen(ctx) {
-    ctx.font = "bold 32px Arial";
-    ctx.textAlign = "center";
-
-    const text = "Loading...";
-    const x = this.canvas.width / 2;
-    const y = this.canvas.height / 2;
-
-    ctx.strokeText(text, x, y);
-    ctx.fillText(text, x, y);
-
-    ctx.textAlign = "left";
-  }
-
-  /**
-   * Renderiza menú principal
-   */
-  renderMenuScreen(ctx) {
-    ctx.textAlign = "center";
-
-    // Título
-    ctx.font = "bold 48px Arial";
-    const titleY = this.canvas.height / 3;
-    ctx.strokeText("FLAPPY BIRD", this.canvas.width / 2, titleY);
-    ctx.fillStyle = "#FFD700";
-    ctx.fillText("FLAPPY BIRD", this.canvas.width / 2, titleY);
-
-    // Subtítulo
-    ctx.font = "bold 24px Arial";
-    ctx.fillStyle = "white";
-    const subtitleY = titleY + 60;
-    ctx.strokeText("Enhanced Edition", this.canvas.width / 2, subtitleY);
-    ctx.fillText("Enhanced Edition", this.canvas.width / 2, subtitleY);
-
-    // Instrucciones
-    ctx.font = "bold 20px Arial";
-    const instructY = (this.canvas.height * 2) / 3;
-    ctx.strokeText(
-      "Click or Press SPACE to Start",
-      this.canvas.width / 2,
-      instructY
-    );
-    ctx.fillText(
-      "Click or Press SPACE to Start",
-      this.canvas.width / 2,
-      instructY
-    );
-
-    // Best score
-    if (this.bestScore > 0) {
-      ctx.font = "bold 18px Arial";
-      const bestY = instructY + 40;
-      ctx.strokeText(
-        `Best Score: ${this.bestScore}`,
-        this.canvas.width / 2,
-        bestY
-      );
-      ctx.fillText(
-        `Best Score: ${this.bestScore}`,
-        this.canvas.width / 2,
-        bestY
-      );
-    }
-
-    ctx.textAlign = "left";
+    // Estados apilados, estado activo y fundido de transición
+    this.stateManager.render(ctx);
   }
 
   /**
-   * Renderiza UI durante gameplay
+   * Renderiza el HUD de la partida (PlayingState y ReplayState)
    */
   renderGameplayUI(ctx) {
-    // Puntuación
-    const scoreText = this.isNewRecord
+    // Puntuación (en práctica, las muertes en lugar del récord, y en
+    // contrarreloj, el reloj y las tuberías que faltan)
+    const { practice, timeAttack } = this.simulation;
+    let scoreText = this.isNewRecord
       ? `Score: ${this.score}   NEW RECORD!`
       : `Score: ${this.score}   Best: ${this.bestScore}`;
+    if (practice.enabled) {
+      scoreText = `Score: ${this.score}   Deaths: ${practice.deaths}`;
+    }
+    if (timeAttack.enabled) {
+      const { passed, pipes } = timeAttack;
+      const time = TimeAttackSystem.formatTime(timeAttack.time);
+      scoreText = `⏱ ${time}   Pipes: ${passed}/${pipes}`;
+    }
 
     ctx.strokeText(scoreText, 10, 30);
     ctx.fillText(scoreText, 10, 30);
 
-    // Nivel
-    ctx.strokeText(`Level: ${this.currentLevel}`, 10, 60);
-    ctx.fillText(`Level: ${this.currentLevel}`, 10, 60);
+    // Nivel y combo (a partir del primer escalón)
+    const scoring = this.simulation.scoring;
+    const levelText =
+      scoring.comboTier > 0
+        ? `Level: ${this.currentLevel}   Combo ${scoring.combo}`
+        : `Level: ${this.currentLevel}`;
+    ctx.strokeText(levelText, 10, 60);
+    ctx.fillText(levelText, 10, 60);
+
+    // Indicador de viento y temporizadores de power-ups
+    const wind = this.simulation.wind;
+    if (wind.isActive()) {
+      wind.renderIndicator(ctx, this.canvas.width - 36, 36);
+    }
+    this.simulation.powerUps.renderTimers(
+      ctx,
+      this.canvas.width - 10,
+      wind.isActive() ? 110 : 30
+    );
+
+    // Monedas de la partida
+    this.simulation.coins.renderCounter(ctx, 10, 90);
+
+    // Widgets y capa HUD de los plugins
+    this.plugins.renderHudWidgets(ctx, 10, 120);
+    this.plugins.renderLayer("hud", ctx);
+
+    // Práctica y contrarreloj: avisos y cómo terminar
+    if (practice.enabled) {
+      this.renderRunUI(ctx, "PRACTICE  ·  P then Q to finish");
+    } else if (timeAttack.enabled) {
+      this.renderRunUI(ctx, "TIME ATTACK  ·  P then Q to give up");
+    }
 
     // Transición de nivel
     if (this.isLevelTransitioning) {
@@ -1960,226 +2733,59 @@ class Game {
         this.canvas.height / 2 + 20
       );
 
+      // Mensaje de desbloqueo de levels.json (progression.unlockMessages)
+      const unlockMessage =
+        this.config.PROGRESSION.unlockMessages?.[this.currentLevel];
+      if (unlockMessage) {
+        ctx.font = "bold 16px Arial";
+        ctx.strokeText(
+          unlockMessage,
+          this.canvas.width / 2,
+          this.canvas.height / 2 + 52
+        );
+        ctx.fillText(
+          unlockMessage,
+          this.canvas.width / 2,
+          this.canvas.height / 2 + 52
+        );
+      }
+
       ctx.restore();
     }
   }
 
   /**
-   * Renderiza pantalla de pausa
+   * HUD de la práctica y la contrarreloj: el último aviso y, jugando, cómo
+   * terminar la partida
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {string} hint - Línea de ayuda del modo
    */
-  renderPauseScreen(ctx) {
-    // Overlay semi-transparente
-    ctx.save();
-    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
-    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
-    // Texto de pausa
-    ctx.textAlign = "center";
-    ctx.font = "bold 48px Arial";
-    ctx.fillStyle = "white";
-
-    ctx.strokeText("PAUSED", this.canvas.width / 2, this.canvas.height / 2);
-    ctx.fillText("PAUSED", this.canvas.width / 2, this.canvas.height / 2);
-
-    ctx.font = "bold 20px Arial";
-    ctx.strokeText(
-      "Click or Press SPACE to Resume",
-      this.canvas.width / 2,
-      this.canvas.height / 2 + 50
-    );
-    ctx.fillText(
-      "Click or Press SPACE to Resume",
-      this.canvas.width / 2,
-      this.canvas.height / 2 + 50
-    );
+  renderRunUI(ctx, hint) {
+    const centerX = this.canvas.width / 2;
 
-    ctx.restore();
-  }
-
-  /**
-   * Renderiza pantalla de game over (SIN LOOP INFINITO)
-   */
-  renderGameOverScreen(ctx) {
-    // Overlay semi-transparente
     ctx.save();
-    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
-    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
-    // Configurar estilo de texto
     ctx.textAlign = "center";
-    ctx.font = "bold 48px Arial";
-    ctx.fillStyle = "white";
-    ctx.strokeStyle = "black";
-    ctx.lineWidth = 3;
-
-    // Título Game Over
-    const titleY = this.canvas.height / 3;
-    ctx.strokeText("GAME OVER", this.canvas.width / 2, titleY);
-    ctx.fillText("GAME OVER", this.canvas.width / 2, titleY);
-
-    // Puntuación final
-    ctx.font = "bold 24px Arial";
-    const scoreY = titleY + 60;
-
-    if (this.isNewRecord) {
-      ctx.fillStyle = "#FFD700";
-      ctx.strokeText(
-        "🎉 ¡NUEVO RECORD! 🎉",
-        this.canvas.width / 2,
-        scoreY - 30
-      );
-      ctx.fillText("🎉 ¡NUEVO RECORD! 🎉", this.canvas.width / 2, scoreY - 30);
-    }
-
-    ctx.fillStyle = "white";
-    ctx.strokeText(
-      `Puntuación Final: ${this.score}`,
-      this.canvas.width / 2,
-      scoreY
-    );
-    ctx.fillText(
-      `Puntuación Final: ${this.score}`,
-      this.canvas.width / 2,
-      scoreY
-    );
-
-    // CORREGIDO: Verificar Firebase solo UNA VEZ por game over
-    let instructY = scoreY + 60;
 
-    // CRÍTICO: Solo verificar estado una vez cuando entra a game over
-    if (!this.gameOverStateChecked) {
-      this.gameOverStateChecked = true;
-      this.checkUserStateForGameOver();
+    if (this.runMessage) {
+      ctx.font = "bold 24px Arial";
+      ctx.fillStyle = this.runMessage.color;
+      ctx.globalAlpha = Math.min(1, this.runMessage.timer / 300);
+      const messageY = this.canvas.height / 3;
+      ctx.strokeText(this.runMessage.text, centerX, messageY);
+      ctx.fillText(this.runMessage.text, centerX, messageY);
+      ctx.globalAlpha = 1;
     }
 
-    // Renderizar UI según estado detectado (SIN verificar Firebase cada frame)
-    if (this.gameOverUserState === "permanent") {
-      this.renderLeaderboardPrompt(ctx, instructY);
-      instructY += 100;
-    } else if (this.gameOverUserState === "anonymous") {
-      this.renderRegistrationPrompt(ctx, instructY);
-      instructY += 100;
+    if (this.currentState === this.states.PLAYING) {
+      ctx.font = "bold 14px Arial";
+      ctx.fillStyle = "white";
+      ctx.strokeText(hint, centerX, this.canvas.height - 60);
+      ctx.fillText(hint, centerX, this.canvas.height - 60);
     }
 
-    // Instrucciones básicas
-    ctx.font = "bold 16px Arial";
-    ctx.fillStyle = "white";
-    ctx.strokeText(
-      "Presiona R para Reiniciar",
-      this.canvas.width / 2,
-      instructY
-    );
-    ctx.fillText("Presiona R para Reiniciar", this.canvas.width / 2, instructY);
-
     ctx.restore();
   }
 
-  /**
-   * Renderiza el prompt de registro para usuarios anónimos
-   * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
-   * @param {number} startY - Posición Y inicial
-   */
-  renderRegistrationPrompt(ctx, startY) {
-    // Solo log una vez por sesión
-    if (!this.registrationPromptLogged) {
-      console.log("🔥 Game: Rendering registration prompt at Y:", startY);
-      this.registrationPromptLogged = true;
-    }
-
-    // Fondo del prompt con mejor dimensionado
-    ctx.fillStyle = "rgba(255, 165, 0, 0.4)";
-    ctx.strokeStyle = "#FFA500";
-    ctx.lineWidth = 3;
-    const promptWidth = 400;
-    const promptHeight = 90;
-    const promptX = (this.canvas.width - promptWidth) / 2;
-    const promptY = startY - 20;
-
-    ctx.fillRect(promptX, promptY, promptWidth, promptHeight);
-    ctx.strokeRect(promptX, promptY, promptWidth, promptHeight);
-
-    // Texto del prompt - Ajustado al tamaño del cuadro
-    ctx.textAlign = "center";
-    ctx.fillStyle = "#FFD700";
-    ctx.font = "bold 16px Arial";
-    ctx.strokeStyle = "black";
-    ctx.lineWidth = 2;
-
-    // Texto principal dividido en dos líneas para que quepa
-    ctx.strokeText(
-      "🏆 ¡Regístrate para guardar",
-      this.canvas.width / 2,
-      startY + 8
-    );
-    ctx.fillText(
-      "🏆 ¡Regístrate para guardar",
-      this.canvas.width / 2,
-      startY + 8
-    );
-
-    ctx.strokeText("tu puntuación!", this.canvas.width / 2, startY + 26);
-    ctx.fillText("tu puntuación!", this.canvas.width / 2, startY + 26);
-
-    // Instrucción de acción - Más pequeña y dentro del cuadro
-    ctx.fillStyle = "white";
-    ctx.font = "bold 14px Arial";
-    ctx.lineWidth = 1;
-    ctx.strokeText(
-      "Presiona SPACE para registrarte",
-      this.canvas.width / 2,
-      startY + 48
-    );
-    ctx.fillText(
-      "Presiona SPACE para registrarte",
-      this.canvas.width / 2,
-      startY + 48
-    );
-
-    if (!this.registrationPromptRenderedLogged) {
-      console.log("🔥 Game: Registration prompt rendered successfully");
-      this.registrationPromptRenderedLogged = true;
-    }
-  }
-  /**
-   * Renderiza el prompt de leaderboard para usuarios registrados
-   * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
-   * @param {number} startY - Posición Y inicial
-   */
-  renderLeaderboardPrompt(ctx, startY) {
-    // Fondo del prompt
-    ctx.fillStyle = "rgba(0, 191, 255, 0.2)";
-    ctx.strokeStyle = "#00BFFF";
-    ctx.lineWidth = 2;
-    const promptWidth = 260;
-    const promptHeight = 45;
-    const promptX = (this.canvas.width - promptWidth) / 2;
-    const promptY = startY - 5;
-
-    ctx.fillRect(promptX, promptY, promptWidth, promptHeight);
-    ctx.strokeRect(promptX, promptY, promptWidth, promptHeight);
-
-    // Texto del prompt
-    ctx.textAlign = "center";
-    ctx.fillStyle = "#87CEEB";
-    ctx.font = "bold 16px Arial";
-    ctx.strokeText("🥇 Ver Ranking Global", this.canvas.width / 2, startY + 15);
-    ctx.fillText("🥇 Ver Ranking Global", this.canvas.width / 2, startY + 15);
-
-    // Instrucción de acción
-    ctx.fillStyle = "white";
-    ctx.font = "14px Arial";
-    ctx.strokeText(
-      "Presiona SPACE para ver leaderboard",
-      this.canvas.width / 2,
-      startY + 30
-    );
-    ctx.fillText(
-      "Presiona SPACE para ver leaderboard",
-      this.canvas.width / 2,
-      startY + 30
-    );
-  }
-
   /**
    * Renderiza información de debug
    */
@@ -2198,11 +2804,36 @@ class Game {
       `Score: ${this.score}`,
       `Level: ${this.currentLevel}`,
       `Game Time: ${(this.gameTime / 1000).toFixed(1)}s`,
+      `Tick: ${this.tick} @ ${this.config.PERFORMANCE.simulationRate}Hz`,
+      `Seed: ${this.seed}`,
       `Pipes Active: ${this.pipePool.activeObjects.length}`,
+      `Gravity x${this.bird.gravityScale} (zones: ${this.simulation.zones.length})`,
+      `Particles: ${this.particles.active.length}/${this.particles.maxParticles}`,
     ];
 
+    const scoring = this.simulation.scoring;
+    debugInfo.push(
+      `Combo: ${scoring.combo} (tier ${scoring.comboTier})  perfects: ${scoring.perfects}`
+    );
+
+    // Dificultad efectiva (curvas del nivel y dificultad adaptativa)
+    const { gapSize, pipeSpeed, spawnInterval } = this.simulation.difficulty;
+    const progress = this.simulation.getLevelProgress();
+    debugInfo.push(
+      `Difficulty: gap ${gapSize.toFixed(0)}px  speed ${pipeSpeed.toFixed(2)}  spawn ${spawnInterval.toFixed(0)}ms`,
+      `  level progress: ${progress.pipes} pipes, ${progress.time.toFixed(1)}s`
+    );
+
+    const adaptive = this.simulation.adaptive;
+    if (adaptive.enabled) {
+      debugInfo.push(
+        `Adaptive: skill ${adaptive.skill.toFixed(2)} -> ${adaptive.target.toFixed(2)} (near misses: ${adaptive.nearMisses})`
+      );
+    }
+
+    const top = this.canvas.height - 10 - debugInfo.length * 14;
     debugInfo.forEach((text, index) => {
-      ctx.fillText(text, 10, this.canvas.height - 150 + index * 14);
+      ctx.fillText(text, 10, top + index * 14);
     });
 
     ctx.restore();
@@ -2228,6 +2859,9 @@ class Game {
    * Reproduce un sonido
    */
   playSound(soundName) {
+    // Sin audio mientras se avanza una repetición a saltos
+    if (this.isSeeking) return;
+
     try {
       const audio = this.audio[soundName];
       if (audio) {
@@ -2298,10 +2932,25 @@ class Game {
       bestScore: this.bestScore,
       level: this.currentLevel,
       gameTime: this.gameTime,
+      tick: this.tick,
+      seed: this.seed,
       bird: this.bird.getStats(),
       pipes: this.pipePool.getStats(),
+      coins: { run: this.coins, balance: this.coinBalance },
+      practice: this.simulation.practice.getState(),
+      timeAttack: this.simulation.timeAttack.getState(),
+      particles: this.particles.getStats(),
       performance: this.performance,
       stats: this.stats,
+      mode: this.activeMode ? this.activeMode.id : null,
+      adaptive: {
+        ...this.simulation.adaptive.getState(),
+        preference: this.adaptiveEnabled,
+        difficulty: { ...this.simulation.difficulty },
+      },
+      plugins: this.plugins.list(),
+      achievements: this.achievements.getProgress(),
+      stateManager: this.stateManager.getStats(),
     };
   }
 
@@ -2309,6 +2958,8 @@ class Game {
    * Destruye el juego y libera recursos
    */
   destroy() {
+    this.plugins.destroy();
+    this.stateManager.destroy();
     this.pipePool.destroy();
     this.saveStats();
     this.saveBestScore();
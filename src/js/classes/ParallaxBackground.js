@@ -0,0 +1,167 @@
+/**
+ * ParallaxBackground.js - Fondo del canvas con capas de parallax por nivel
+ * Cada nivel tiene su imagen de fondo fija y las capas de background.layers
+ * (levels.json), que se repiten en horizontal y avanzan a una fracción de la
+ * velocidad de las tuberías. Al cambiar de nivel el fondo nuevo aparece con
+ * un fundido sobre el anterior
+ */
+
+class ParallaxBackground {
+  /**
+   * @param {Object} config - Configuración del juego
+   * @param {Object} bounds - { width, height } del canvas
+   */
+  constructor(config, bounds) {
+    this.config = config;
+    this.bounds = bounds;
+    this.images = {}; // clave de asset -> Image precargada (setImages)
+
+    // Desplazamiento acumulado del mundo (px) y el del tick anterior
+    this.offset = 0;
+    this.prevOffset = 0;
+    this.scrollEnabled = !config.ACCESSIBILITY?.reduceMotion;
+
+    // Fundido entre niveles
+    this.level = config.LEVEL_SETTINGS.defaultLevel;
+    this.previousLevel = null;
+    this.fadeDuration = config.LEVEL_SETTINGS.levelTransitionDuration;
+    this.fadeTimer = 0;
+  }
+
+  /**
+   * Asigna las imágenes de fondo y capas que precargó el juego
+   * @param {Object} images - clave de asset -> Image
+   */
+  setImages(images) {
+    this.images = images;
+  }
+
+  /**
+   * Vuelve al principio con el fondo de un nivel, sin fundido
+   */
+  reset(level) {
+    this.offset = 0;
+    this.prevOffset = 0;
+    this.level = level;
+    this.previousLevel = null;
+    this.fadeTimer = 0;
+  }
+
+  /**
+   * Cambia al fondo de otro nivel con un fundido
+   */
+  setLevel(level) {
+    if (level === this.level) return;
+
+    this.previousLevel = this.level;
+    this.level = level;
+    this.fadeTimer = this.fadeDuration;
+  }
+
+  /**
+   * Avanza el fondo con el mundo
+   * @param {number} distance - Píxeles que han avanzado las tuberías
+   */
+  scroll(distance) {
+    this.prevOffset = this.offset;
+    if (this.scrollEnabled) {
+      this.offset += distance;
+    }
+  }
+
+  /**
+   * Avanza el fundido entre niveles
+   * @param {number} deltaTime - Tiempo transcurrido en ms
+   */
+  update(deltaTime) {
+    if (this.fadeTimer <= 0) return;
+
+    this.fadeTimer -= deltaTime;
+    if (this.fadeTimer <= 0) {
+      this.fadeTimer = 0;
+      this.previousLevel = null;
+    }
+  }
+
+  /**
+   * Renderiza el fondo (el del nivel anterior debajo mientras dura el
+   * fundido)
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} alpha - Interpolación entre el tick anterior y el actual
+   */
+  render(context, alpha = 1) {
+    const offset = this.prevOffset + (this.offset - this.prevOffset) * alpha;
+
+    if (this.previousLevel !== null) {
+      this.renderLevel(context, this.previousLevel, offset, 1);
+      const progress = 1 - this.fadeTimer / this.fadeDuration;
+      this.renderLevel(context, this.level, offset, progress);
+    } else {
+      this.renderLevel(context, this.level, offset, 1);
+    }
+  }
+
+  /**
+   * Dibuja el fondo de un nivel: color, imagen fija y capas
+   */
+  renderLevel(context, level, offset, opacity) {
+    const background = this.config.LEVELS[level].background;
+    const { width, height } = this.bounds;
+
+    context.save();
+    context.globalAlpha = opacity;
+    context.fillStyle = background.color || "black";
+    context.fillRect(0, 0, width, height);
+
+    const image = this.images[background.key];
+    if (image) {
+      this.drawCover(context, image);
+    }
+
+    background.layers.forEach((layer) => {
+      const layerImage = this.images[layer.key];
+      if (!layerImage) return;
+
+      const speed = background.parallax ? layer.speed : 0;
+      context.globalAlpha = opacity * (layer.alpha ?? 1);
+      this.drawTiled(context, layerImage, offset * speed);
+    });
+
+    context.restore();
+  }
+
+  /**
+   * Imagen que cubre todo el canvas, centrada (como background-size: cover)
+   */
+  drawCover(context, image) {
+    const { width, height } = this.bounds;
+    const scale = Math.max(width / image.width, height / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+
+    context.drawImage(
+      image,
+      (width - drawWidth) / 2,
+      (height - drawHeight) / 2,
+      drawWidth,
+      drawHeight
+    );
+  }
+
+  /**
+   * Capa repetida en horizontal, escalada a la altura del canvas y
+   * desplazada hacia la izquierda
+   */
+  drawTiled(context, image, distance) {
+    const { width, height } = this.bounds;
+    const tileWidth = image.width * (height / image.height);
+
+    for (let x = -(distance % tileWidth); x < width; x += tileWidth) {
+      context.drawImage(image, x, 0, tileWidth, height);
+    }
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ParallaxBackground;
+}
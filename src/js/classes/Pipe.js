@@ -12,6 +12,8 @@ class Pipe {
     // Posición y dimensiones
     this.x = x;
     this.y = y;
+    this.prevX = x;
+    this.prevY = y;
     this.width = this.config.WIDTH;
     this.height = this.config.HEIGHT;
 
@@ -23,13 +25,28 @@ class Pipe {
     this.level = level;
     this.levelConfig = config.LEVELS[level];
 
-    // Movimiento
-    this.velocityX = this.config.VELOCITY_X;
+    // Movimiento (velocidad propia de cada nivel)
+    this.velocityX = -this.levelConfig.difficulty.pipeSpeed;
 
     // Estado de puntuación
     this.passed = false;
     this.scored = false;
 
+    // Atravesada gracias al escudo: ya no es sólida
+    this.breached = false;
+
+    // Menor distancia a la que ha pasado el pájaro (pasos justos)
+    this.minClearance = Infinity;
+
+    // Variante de movimiento (pipeVariants del nivel): null = fija.
+    // La posición vertical sale de baseY más el desplazamiento de la variante
+    this.variant = null;
+    this.variantOptions = {};
+    this.baseY = y;
+    this.partner = null; // La otra tubería del par
+    this.breakable = false;
+    this.broken = false;
+
     // Efectos visuales
     this.shake = 0;
     this.shakeDecay = 0.9;
@@ -40,48 +57,59 @@ class Pipe {
     this.animationProgress = 0;
     this.isAnimatingIn = true;
 
-    // Partículas (para efectos especiales)
-    this.particles = [];
+    // Partículas compartidas (ParticleSystem, lo asigna el PipePool);
+    // null en la simulación headless
+    this.particleSystem = null;
 
-    // Assets
+    // Sprites precargados por clave de asset ({ image, mask }), compartidos
+    // por el PipePool; null en la simulación headless
+    this.sprites = null;
     this.image = null;
     this.imageLoaded = false;
 
+    // Máscara de colisión: la del sprite o, sin él, la caja completa
+    this.boxMask = CollisionMask.solid(this.width, this.height);
+    this.mask = this.boxMask;
+
     // ID único para tracking
     this.id = Date.now() + Math.random();
 
     // Estadísticas
     this.timeAlive = 0;
     this.distanceTraveled = 0;
+  }
 
-    this.loadImage();
+  /**
+   * Asigna los sprites precargados y toma el que corresponde
+   * @param {Object|null} sprites - clave de asset -> { image, mask }
+   */
+  setSprites(sprites) {
+    this.sprites = sprites;
+    this.applySprite();
   }
 
   /**
-   * Carga la imagen correspondiente al nivel
+   * Usa el sprite del tipo y nivel actuales (sin él, la caja completa)
    */
-  loadImage() {
+  applySprite() {
     const imageKey = this.isBottom
       ? this.levelConfig.pipes.bottom
       : this.levelConfig.pipes.top;
+    const sprite = this.sprites && this.sprites[imageKey];
 
-    const imagePath = this.gameConfig.ASSETS.IMAGES[imageKey];
-
-    this.image = new Image();
-    this.image.onload = () => {
-      this.imageLoaded = true;
-      console.log(`Pipe image loaded: ${imageKey}`);
-    };
-    this.image.onerror = () => {
-      console.warn("Error loading pipe image:", imagePath);
-    };
-    this.image.src = imagePath;
+    this.image = sprite ? sprite.image : null;
+    this.imageLoaded = !!sprite;
+    this.mask = sprite ? sprite.mask : this.boxMask;
   }
 
   /**
    * Actualiza la tubería
    */
   update(deltaTime = 1) {
+    // Guardar posición previa para la interpolación
+    this.prevX = this.x;
+    this.prevY = this.y;
+
     // Actualizar tiempo de vida
     this.timeAlive += deltaTime;
 
@@ -90,9 +118,19 @@ class Pipe {
     this.x += movement;
     this.distanceTraveled += Math.abs(movement);
 
+    // Movimiento vertical de la variante
+    if (this.variant) {
+      this.y = this.baseY + this.getVariantOffset();
+    }
+
+    // Una tubería rota se desvanece
+    if (this.broken && this.opacity > 0) {
+      this.opacity = Math.max(0, this.opacity - 0.05 * deltaTime);
+    }
+
     // Actualizar animación de entrada
     if (this.isAnimatingIn) {
-      this.animationProgress += 0.05;
+      this.animationProgress += 0.05 * deltaTime;
       if (this.animationProgress >= 1) {
         this.animationProgress = 1;
         this.isAnimatingIn = false;
@@ -100,10 +138,7 @@ class Pipe {
     }
 
     // Actualizar efectos visuales
-    this.updateEffects();
-
-    // Actualizar partículas
-    this.updateParticles();
+    this.updateEffects(deltaTime);
 
     // Verificar si está fuera de pantalla
     return this.x + this.width > 0;
@@ -111,46 +146,109 @@ class Pipe {
 
   /**
    * Actualiza efectos visuales
+   * @param {number} deltaTime - Escala del tick (1 = 60 Hz)
    */
-  updateEffects() {
+  updateEffects(deltaTime = 1) {
     // Reducir shake
-    this.shake *= this.shakeDecay;
+    this.shake *= Math.pow(this.shakeDecay, deltaTime);
 
     // Animación de escala para tuberías del nivel infernal
-    if (this.level >= 2) {
+    if (this.level === 2) {
       this.scale = 1 + Math.sin(this.timeAlive * 0.02) * 0.02;
     }
   }
 
   /**
-   * Actualiza partículas
+   * Variantes de tubería que pueden elegir los niveles
+   */
+  static get VARIANTS() {
+    return ["oscillate", "gate", "slide", "breakable"];
+  }
+
+  /**
+   * Convierte la tubería en una variante (la asigna GameSimulation a las dos
+   * tuberías del par al crearlas)
+   * @param {string} variant - oscillate, gate, slide o breakable
+   * @param {Object} options - Ajustes de la variante en levels.json más
+   *   phase (radianes), from ("top" | "bottom") y side (tubería rompible)
+   */
+  setVariant(variant, options = {}) {
+    this.variant = variant;
+    this.variantOptions = options;
+    this.baseY = this.y;
+    this.breakable = variant === "breakable" && options.side === this.type;
+
+    this.y = this.baseY + this.getVariantOffset();
+    this.prevY = this.y;
+  }
+
+  /**
+   * Desplazamiento vertical de la variante en este momento
+   * - oscillate: el par sube y baja junto (amplitude px, period ms)
+   * - gate: las dos tuberías se separan y se juntan, el hueco se abre y se
+   *   cierra amplitude px por cada lado
+   * - slide: el par entra desde arriba o desde abajo (offset px) y llega a
+   *   su sitio tras recorrer distance px
    */
-  updateParticles() {
-    for (let i = this.particles.length - 1; i >= 0; i--) {
-      const particle = this.particles[i];
-
-      particle.x += particle.velocityX;
-      particle.y += particle.velocityY;
-      particle.velocityY += 0.1; // Gravedad
-      particle.alpha -= particle.decay;
-      particle.size *= 0.98;
-
-      // Remover partículas muertas
-      if (particle.alpha <= 0 || particle.size <= 0.5) {
-        this.particles.splice(i, 1);
+  getVariantOffset() {
+    const options = this.variantOptions;
+
+    switch (this.variant) {
+      case "oscillate":
+      case "gate": {
+        // timeAlive cuenta ticks de 60 Hz
+        const elapsed = (this.timeAlive * 1000) / 60;
+        const angle =
+          (options.phase ?? 0) +
+          (elapsed * Math.PI * 2) / (options.period ?? 3000);
+        const offset = (options.amplitude ?? 20) * Math.sin(angle);
+
+        if (this.variant === "oscillate") return offset;
+        return this.isBottom ? offset : -offset;
       }
+      case "slide": {
+        const progress = Math.min(
+          1,
+          this.distanceTraveled / (options.distance ?? 150)
+        );
+        const remaining = Math.pow(1 - progress, 3);
+        const direction = options.from === "bottom" ? 1 : -1;
+        return direction * (options.offset ?? 200) * remaining;
+      }
+      default:
+        return 0;
     }
   }
 
   /**
-   * Verifica colisión con un objeto
+   * Rompe una tubería rompible: deja de ser sólida y su par ya no puntúa
+   */
+  break() {
+    this.broken = true;
+    this.shake = 10;
+
+    const edge = this.getGapEdge();
+    const color = this.getParticleColor();
+    this.particleSystem?.emit("dust", edge.x, edge.y, {
+      color: color,
+      width: this.width,
+      height: 40,
+    });
+    this.particleSystem?.emit("sparks", edge.x, edge.y, { color: color });
+  }
+
+  /**
+   * Indica si esta tubería o la otra del par están rotas
+   */
+  isPairBroken() {
+    return this.broken || (!!this.partner && this.partner.broken);
+  }
+
+  /**
+   * Verifica colisión con el pájaro (cajas y después máscaras)
    */
   checkCollision(object) {
-    const collision =
-      object.x < this.x + this.width &&
-      object.x + object.width > this.x &&
-      object.y < this.y + this.height &&
-      object.y + object.height > this.y;
+    const collision = object.checkCollision(this, this.mask);
 
     if (collision) {
       this.onCollision();
@@ -191,59 +289,62 @@ class Pipe {
     return false;
   }
 
+  /**
+   * Borde de la tubería que da al hueco (de ahí salen las partículas)
+   */
+  getGapEdge() {
+    return {
+      x: this.x + this.width / 2,
+      y: this.isBottom ? this.y : this.y + this.height,
+    };
+  }
+
   /**
    * Crea partículas de colisión
    */
   createCollisionParticles() {
-    const particleCount = 8;
-    const centerX = this.x + this.width / 2;
-    const centerY = this.y + this.height / 2;
-
-    for (let i = 0; i < particleCount; i++) {
-      const angle = (Math.PI * 2 * i) / particleCount;
-      const speed = 2 + Math.random() * 3;
-
-      this.particles.push({
-        x: centerX,
-        y: centerY,
-        velocityX: Math.cos(angle) * speed,
-        velocityY: Math.sin(angle) * speed,
-        size: 3 + Math.random() * 4,
-        alpha: 1,
-        decay: 0.02,
-        color: this.level >= 2 ? "#FF4500" : "#8FBC8F",
-      });
-    }
+    const edge = this.getGapEdge();
+    this.particleSystem?.emit("sparks", edge.x, edge.y, {
+      color: this.getParticleColor(),
+    });
   }
 
   /**
    * Crea partículas de puntuación
    */
   createScoreParticles() {
-    const particleCount = 5;
-    const centerX = this.x + this.width / 2;
-    const centerY = this.y + this.height / 2;
-
-    for (let i = 0; i < particleCount; i++) {
-      this.particles.push({
-        x: centerX + (Math.random() - 0.5) * this.width,
-        y: centerY + (Math.random() - 0.5) * this.height,
-        velocityX: (Math.random() - 0.5) * 2,
-        velocityY: -1 - Math.random() * 2,
-        size: 2 + Math.random() * 3,
-        alpha: 1,
-        decay: 0.015,
-        color: "#FFD700",
-      });
-    }
+    const edge = this.getGapEdge();
+    this.particleSystem?.emit("stars", edge.x, edge.y, {
+      color: "#FFD700",
+      angle: this.isBottom ? -Math.PI / 2 : Math.PI / 2,
+      spread: Math.PI / 2,
+      width: this.width,
+    });
   }
 
   /**
    * Renderiza la tubería
+   * @param {CanvasRenderingContext2D} context - Contexto del canvas
+   * @param {number} alpha - Interpolación entre el tick anterior y el actual
    */
-  render(context) {
+  render(context, alpha = 1) {
+    const x = this.prevX + (this.x - this.prevX) * alpha;
+    const y = this.prevY + (this.y - this.prevY) * alpha;
+
     context.save();
 
+    // Una tubería atravesada con el escudo se ve translúcida y una rota se
+    // desvanece
+    if (this.broken) {
+      if (this.opacity <= 0) {
+        context.restore();
+        return;
+      }
+      context.globalAlpha = this.opacity;
+    } else if (this.breached) {
+      context.globalAlpha = 0.35;
+    }
+
     // Aplicar efectos de animación
     if (this.isAnimatingIn) {
       const easeOut = 1 - Math.pow(1 - this.animationProgress, 3);
@@ -262,8 +363,8 @@ class Pipe {
 
     // Aplicar escala
     if (this.scale !== 1) {
-      const centerX = this.x + this.width / 2;
-      const centerY = this.y + this.height / 2;
+      const centerX = x + this.width / 2;
+      const centerY = y + this.height / 2;
       context.translate(centerX, centerY);
       context.scale(this.scale, this.scale);
       context.translate(-centerX, -centerY);
@@ -271,27 +372,30 @@ class Pipe {
 
     // Renderizar tubería
     if (this.imageLoaded && this.image.complete) {
-      context.drawImage(this.image, this.x, this.y, this.width, this.height);
+      context.drawImage(this.image, x, y, this.width, this.height);
     } else {
       // Fallback: rectángulo verde
       context.fillStyle = this.getFallbackColor();
-      context.fillRect(this.x, this.y, this.width, this.height);
+      context.fillRect(x, y, this.width, this.height);
 
       // Borde
       context.strokeStyle = "#2F4F2F";
       context.lineWidth = 2;
-      context.strokeRect(this.x, this.y, this.width, this.height);
+      context.strokeRect(x, y, this.width, this.height);
     }
 
-    // Efectos especiales para nivel infernal
-    if (this.level >= 2) {
-      this.renderInfernalEffects(context);
+    // Efectos especiales por nivel
+    if (this.level === 2) {
+      this.renderInfernalEffects(context, x, y);
+    } else if (this.level === 3) {
+      this.renderCrystalEffects(context, x, y);
     }
 
-    context.restore();
+    if (this.breakable && !this.broken) {
+      this.renderCracks(context, x, y);
+    }
 
-    // Renderizar partículas
-    this.renderParticles(context);
+    context.restore();
 
     // Debug info
     if (window.DEBUG_MODE) {
@@ -302,7 +406,7 @@ class Pipe {
   /**
    * Renderiza efectos especiales para el nivel infernal
    */
-  renderInfernalEffects(context) {
+  renderInfernalEffects(context, x = this.x, y = this.y) {
     // Brillo rojo pulsante
     const glowIntensity = (Math.sin(this.timeAlive * 0.1) + 1) * 0.5;
     context.shadowColor = "#FF4500";
@@ -312,31 +416,65 @@ class Pipe {
 
     // Crear gradiente de fuego
     const gradient = context.createLinearGradient(
-      this.x,
-      this.y,
-      this.x + this.width,
-      this.y + this.height
+      x,
+      y,
+      x + this.width,
+      y + this.height
     );
     gradient.addColorStop(0, `rgba(255, 69, 0, ${0.1 * glowIntensity})`);
     gradient.addColorStop(1, `rgba(255, 0, 0, ${0.2 * glowIntensity})`);
 
     context.fillStyle = gradient;
-    context.fillRect(this.x, this.y, this.width, this.height);
+    context.fillRect(x, y, this.width, this.height);
   }
 
   /**
-   * Renderiza partículas
+   * Renderiza efectos especiales para el nivel espacial
+   * Un destello que recorre el cristal a lo largo de la tubería
    */
-  renderParticles(context) {
-    this.particles.forEach((particle) => {
-      context.save();
-      context.globalAlpha = particle.alpha;
-      context.fillStyle = particle.color;
-      context.beginPath();
-      context.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
-      context.fill();
-      context.restore();
-    });
+  renderCrystalEffects(context, x = this.x, y = this.y) {
+    const shimmer = (this.timeAlive * 4) % (this.height + 120);
+    const shimmerY = this.isBottom
+      ? y + shimmer - 60
+      : y + this.height - shimmer + 60;
+
+    const gradient = context.createLinearGradient(
+      x,
+      shimmerY - 60,
+      x,
+      shimmerY + 60
+    );
+    gradient.addColorStop(0, "rgba(200, 240, 255, 0)");
+    gradient.addColorStop(0.5, "rgba(200, 240, 255, 0.35)");
+    gradient.addColorStop(1, "rgba(200, 240, 255, 0)");
+
+    context.shadowColor = "#7FDBFF";
+    context.shadowBlur = 8;
+    context.fillStyle = gradient;
+    context.fillRect(x, shimmerY - 60, this.width, 120);
+  }
+
+  /**
+   * Grietas junto al hueco que avisan de que la tubería es rompible
+   */
+  renderCracks(context, x, y) {
+    const edgeY = this.isBottom ? y : y + this.height;
+    const direction = this.isBottom ? 1 : -1;
+
+    context.shadowBlur = 0;
+    context.strokeStyle = "rgba(20, 10, 0, 0.8)";
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(x + this.width * 0.3, edgeY);
+    context.lineTo(x + this.width * 0.4, edgeY + 18 * direction);
+    context.lineTo(x + this.width * 0.25, edgeY + 34 * direction);
+    context.lineTo(x + this.width * 0.35, edgeY + 56 * direction);
+    context.moveTo(x + this.width * 0.4, edgeY + 18 * direction);
+    context.lineTo(x + this.width * 0.65, edgeY + 28 * direction);
+    context.lineTo(x + this.width * 0.75, edgeY + 48 * direction);
+    context.moveTo(x + this.width * 0.8, edgeY);
+    context.lineTo(x + this.width * 0.7, edgeY + 14 * direction);
+    context.stroke();
   }
 
   /**
@@ -346,11 +484,27 @@ class Pipe {
     switch (this.level) {
       case 2:
         return "#8B0000"; // Rojo oscuro para nivel infernal
+      case 3:
+        return "#5DADE2"; // Cristal azul para nivel espacial
       default:
         return "#228B22"; // Verde para nivel normal
     }
   }
 
+  /**
+   * Color de las partículas de colisión según el nivel
+   */
+  getParticleColor() {
+    switch (this.level) {
+      case 2:
+        return "#FF4500";
+      case 3:
+        return "#B0E0FF";
+      default:
+        return "#8FBC8F";
+    }
+  }
+
   /**
    * Renderiza información de debug
    */
@@ -366,6 +520,7 @@ class Pipe {
       `Type: ${this.type}`,
       `Passed: ${this.passed}`,
       `Scored: ${this.scored}`,
+      `Variant: ${this.variant || "none"}`,
       `X: ${this.x.toFixed(0)}`,
     ];
 
@@ -375,9 +530,10 @@ class Pipe {
       context.fillText(text, this.x, textY);
     });
 
-    // Hitbox
+    // Caja y máscara de colisión
     context.strokeStyle = "red";
     context.strokeRect(this.x, this.y, this.width, this.height);
+    this.mask.render(context, this.x, this.y, "rgba(255, 0, 255, 0.2)");
 
     context.restore();
   }
@@ -389,7 +545,8 @@ class Pipe {
     if (this.level !== newLevel) {
       this.level = newLevel;
       this.levelConfig = this.gameConfig.LEVELS[newLevel];
-      this.loadImage();
+      this.velocityX = -this.levelConfig.difficulty.pipeSpeed;
+      this.applySprite();
       console.log(`Pipe ${this.id} updated to level ${newLevel}`);
     }
   }
@@ -412,9 +569,10 @@ class Pipe {
       position: { x: this.x, y: this.y },
       passed: this.passed,
       scored: this.scored,
+      variant: this.variant,
+      broken: this.broken,
       timeAlive: this.timeAlive,
       distanceTraveled: this.distanceTraveled,
-      particleCount: this.particles.length,
     };
   }
 
@@ -431,6 +589,7 @@ class Pipe {
     );
     cloned.passed = this.passed;
     cloned.scored = this.scored;
+    cloned.setSprites(this.sprites);
     return cloned;
   }
 
@@ -440,22 +599,36 @@ class Pipe {
   reset(x, y, type, level) {
     this.x = x;
     this.y = y;
+    this.prevX = x;
+    this.prevY = y;
     this.type = type;
     this.isBottom = type === "bottom";
     this.level = level;
     this.levelConfig = this.gameConfig.LEVELS[level];
+    this.velocityX = -this.levelConfig.difficulty.pipeSpeed;
 
     this.passed = false;
     this.scored = false;
+    this.breached = false;
+    this.minClearance = Infinity;
+    this.variant = null;
+    this.variantOptions = {};
+    this.baseY = y;
+    this.partner = null;
+    this.breakable = false;
+    this.broken = false;
     this.shake = 0;
     this.opacity = 1;
     this.scale = 1;
     this.animationProgress = 0;
     this.isAnimatingIn = true;
-    this.particles = [];
     this.timeAlive = 0;
     this.distanceTraveled = 0;
 
-    this.loadImage();
+    this.applySprite();
   }
 }
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Pipe;
+}
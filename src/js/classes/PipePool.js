@@ -10,6 +10,12 @@ class PipePool {
     this.activeObjects = [];
     this.initialSize = initialSize;
 
+    // Partículas compartidas que reciben las tuberías (null en headless)
+    this.particleSystem = null;
+
+    // Sprites de las tuberías por clave de asset (null en headless)
+    this.sprites = null;
+
     // Estadísticas del pool
     this.stats = {
       created: 0,
@@ -54,6 +60,8 @@ class PipePool {
       console.warn("Pool exhausted, creating new pipe object");
     }
 
+    pipe.particleSystem = this.particleSystem;
+    pipe.setSprites(this.sprites);
     this.activeObjects.push(pipe);
     this.updateMaxActive();
 
@@ -94,9 +102,6 @@ class PipePool {
    * Limpia un objeto pipe antes de devolverlo al pool
    */
   cleanPipe(pipe) {
-    // Limpiar partículas
-    pipe.particles = [];
-
     // Resetear efectos visuales
     pipe.shake = 0;
     pipe.opacity = 1;
@@ -107,6 +112,13 @@ class PipePool {
     // Resetear estados
     pipe.passed = false;
     pipe.scored = false;
+    pipe.breached = false;
+    pipe.minClearance = Infinity;
+    pipe.variant = null;
+    pipe.variantOptions = {};
+    pipe.partner = null;
+    pipe.breakable = false;
+    pipe.broken = false;
     pipe.timeAlive = 0;
     pipe.distanceTraveled = 0;
   }
@@ -137,10 +149,11 @@ class PipePool {
 
   /**
    * Renderiza todas las tuberías activas
+   * @param {number} alpha - Interpolación entre ticks (0-1)
    */
-  renderActive(context) {
+  renderActive(context, alpha = 1) {
     this.activeObjects.forEach((pipe) => {
-      pipe.render(context);
+      pipe.render(context, alpha);
     });
   }
 
@@ -169,10 +182,20 @@ class PipePool {
 
   /**
    * Verifica colisiones de todas las tuberías activas con un objeto
+   * @param {Object} object - Normalmente el pájaro
+   * @param {Function} absorbCollision - (pipe) => true si la colisión se
+   * absorbe (escudo); esa tubería deja de ser sólida
+   * @returns {Pipe|null} Tubería con la que chocó
    */
-  checkCollisions(object) {
+  checkCollisions(object, absorbCollision = null) {
     for (let pipe of this.activeObjects) {
+      if (pipe.breached) continue;
+
       if (pipe.checkCollision(object)) {
+        if (absorbCollision && absorbCollision(pipe)) {
+          pipe.breached = true;
+          continue;
+        }
         return pipe;
       }
     }
@@ -195,18 +218,20 @@ class PipePool {
   }
 
   /**
-   * Marca tuberías como puntuadas y devuelve la puntuación obtenida
+   * Marca como puntuados los pares recién pasados (los puntos de cada uno
+   * los calcula ScoringSystem)
+   * @param {Array<Pipe>} passedPipes - Tuberías recién pasadas
+   * @returns {Array<Object>} { bottom, top, scored } por cada par; un par con
+   *   una tubería rota no se puntúa
    */
   processScoring(passedPipes) {
-    let score = 0;
-
-    passedPipes.forEach((pipe) => {
-      if (pipe.isBottom && pipe.markScored()) {
-        score += this.config.SCORING.POINTS_PER_PIPE;
-      }
-    });
-
-    return score;
+    return passedPipes
+      .filter((pipe) => pipe.isBottom)
+      .map((bottom) => ({
+        bottom: bottom,
+        top: bottom.partner,
+        scored: !bottom.isPairBroken() && bottom.markScored(),
+      }));
   }
 
   /**
@@ -217,6 +242,15 @@ class PipePool {
     console.log(`Cleared ${releasedCount} active pipes`);
   }
 
+  /**
+   * Asigna los sprites precargados a las tuberías activas y a las siguientes
+   * @param {Object|null} sprites - clave de asset -> { image, mask }
+   */
+  setSprites(sprites) {
+    this.sprites = sprites;
+    this.activeObjects.forEach((pipe) => pipe.setSprites(sprites));
+  }
+
   /**
    * Actualiza el nivel de todas las tuberías activas
    */
@@ -354,3 +388,7 @@ class PipePool {
     return { pipe: closest, distance: minDistance };
   }
 }
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PipePool;
+}
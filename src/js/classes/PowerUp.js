@@ -0,0 +1,113 @@
+/**
+ * PowerUp.js - Power-up recogible que aparece en el hueco de una tubería
+ * Avanza con las tuberías y se recoge al tocarlo con el pájaro
+ */
+
+class PowerUp {
+  /**
+   * @param {Object} options
+   * @param {string} options.type - Clave en levels.json (shield, slow_motion...)
+   * @param {Object} options.definition - Definición de levels.json
+   * @param {number} options.x - Centro horizontal
+   * @param {number} options.y - Centro vertical
+   * @param {number} options.speed - Velocidad horizontal (la de las tuberías)
+   */
+  constructor({ type, definition, x, y, speed }) {
+    this.type = type;
+    this.definition = definition;
+    this.effect = definition.effect;
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.radius = 13;
+    this.velocityX = -speed;
+    this.timeAlive = 0;
+  }
+
+  /**
+   * Aspecto de cada efecto
+   */
+  static get STYLES() {
+    return {
+      collision_immunity: { color: "#4FC3F7", label: "S" },
+      time_slow: { color: "#B388FF", label: "◷" },
+      score_multiplier: { color: "#FFD54F", label: "x2" },
+    };
+  }
+
+  /**
+   * Avanza el power-up
+   * @returns {boolean} false cuando ya salió por la izquierda
+   */
+  update(deltaTime = 1) {
+    this.prevX = this.x;
+    this.x += this.velocityX * deltaTime;
+    this.timeAlive += deltaTime;
+
+    return this.x + this.radius > 0;
+  }
+
+  /**
+   * Indica si el objeto (el pájaro) lo toca
+   */
+  collides(object) {
+    const closestX = Math.max(
+      object.x,
+      Math.min(this.x, object.x + object.width)
+    );
+    const closestY = Math.max(
+      object.y,
+      Math.min(this.y, object.y + object.height)
+    );
+
+    return Math.hypot(this.x - closestX, this.y - closestY) < this.radius;
+  }
+
+  /**
+   * Renderiza el power-up flotando sobre su posición
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} alpha - Interpolación entre el tick anterior y el actual
+   */
+  render(context, alpha = 1) {
+    const x = this.prevX + (this.x - this.prevX) * alpha;
+    const y = this.y + Math.sin(this.timeAlive * 0.1) * 3;
+    const style = PowerUp.STYLES[this.effect] || {
+      color: "white",
+      label: "?",
+    };
+
+    PowerUp.renderIcon(context, x, y, this.radius, style, this.timeAlive);
+  }
+
+  /**
+   * Dibuja el icono de un efecto (también lo usa el HUD)
+   */
+  static renderIcon(context, x, y, radius, style, time = 0) {
+    context.save();
+
+    // Halo
+    context.shadowColor = style.color;
+    context.shadowBlur = 10 + Math.sin(time * 0.15) * 4;
+
+    context.fillStyle = "rgba(0, 0, 0, 0.55)";
+    context.strokeStyle = style.color;
+    context.lineWidth = 3;
+    context.beginPath();
+    context.arc(x, y, radius, 0, Math.PI * 2);
+    context.fill();
+    context.stroke();
+
+    context.shadowBlur = 0;
+    context.fillStyle = style.color;
+    context.font = `bold ${Math.round(radius * 1.1)}px Arial`;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillText(style.label, x, y + 1);
+
+    context.restore();
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PowerUp;
+}
@@ -0,0 +1,177 @@
+/**
+ * Terrain.js - Suelo y techo de cada nivel
+ * El suelo es una franja que se repite en horizontal con el sprite de
+ * ground (levels.json) y avanza a la misma velocidad que las tuberías; tocarlo
+ * termina la partida. Los niveles con ceiling añaden arriba una franja de
+ * peligro que también mata (sin ella, el pájaro solo queda limitado por el
+ * borde del canvas). Al cambiar de nivel las alturas crecen o encogen poco a
+ * poco para no atrapar al pájaro
+ */
+
+class Terrain {
+  /**
+   * @param {Object} config - Configuración del juego
+   * @param {Object} bounds - { width, height } del mundo
+   */
+  constructor(config, bounds) {
+    this.config = config;
+    this.bounds = bounds;
+    this.images = {}; // clave de asset -> Image precargada (setImages)
+
+    // Desplazamiento acumulado (px) y el del tick anterior
+    this.offset = 0;
+    this.prevOffset = 0;
+
+    // Alturas actuales y las del nivel hacia las que se mueven
+    this.level = config.LEVEL_SETTINGS.defaultLevel;
+    this.groundHeight = 0;
+    this.ceilingHeight = 0;
+    this.target = { ground: 0, ceiling: 0 };
+    this.resizeSpeed = 0.5; // px por tick
+  }
+
+  /**
+   * Asigna los sprites de suelo y techo que precargó el juego
+   * @param {Object} images - clave de asset -> Image
+   */
+  setImages(images) {
+    this.images = images;
+  }
+
+  /**
+   * Empieza una partida en un nivel, con sus alturas ya fijadas
+   */
+  reset(level) {
+    this.offset = 0;
+    this.prevOffset = 0;
+    this.setLevel(level);
+    this.groundHeight = this.target.ground;
+    this.ceilingHeight = this.target.ceiling;
+  }
+
+  /**
+   * Cambia al suelo y techo de otro nivel (las alturas se ajustan en update)
+   */
+  setLevel(level) {
+    const { ground, ceiling } = this.config.LEVELS[level];
+
+    this.level = level;
+    this.target = {
+      ground: ground ? ground.height : 0,
+      ceiling: ceiling ? ceiling.height : 0,
+    };
+  }
+
+  /**
+   * Avanza el terreno con el mundo
+   * @param {number} distance - Píxeles que han avanzado las tuberías
+   * @param {number} deltaTime - Escala del tick (1 = 60 Hz)
+   */
+  update(distance, deltaTime = 1) {
+    this.prevOffset = this.offset;
+    this.offset += distance;
+
+    const step = this.resizeSpeed * deltaTime;
+    this.groundHeight = Terrain.approach(
+      this.groundHeight,
+      this.target.ground,
+      step
+    );
+    this.ceilingHeight = Terrain.approach(
+      this.ceilingHeight,
+      this.target.ceiling,
+      step
+    );
+  }
+
+  static approach(value, target, step) {
+    if (value < target) return Math.min(target, value + step);
+    return Math.max(target, value - step);
+  }
+
+  /**
+   * Altura (y) donde empieza el suelo
+   */
+  get groundY() {
+    return this.bounds.height - this.groundHeight;
+  }
+
+  /**
+   * Rectángulo del techo, o null si el nivel no tiene
+   */
+  getCeilingRect() {
+    if (this.ceilingHeight <= 0) return null;
+    return {
+      x: 0,
+      y: 0,
+      width: this.bounds.width,
+      height: this.ceilingHeight,
+    };
+  }
+
+  /**
+   * Comprueba si el pájaro toca el suelo o el techo. El suelo se mide con
+   * la caja del pájaro y el techo con su máscara (como las tuberías)
+   * @param {Bird} bird
+   * @returns {string|null} "ground", "ceiling" o null
+   */
+  checkCollision(bird) {
+    if (bird.y + bird.height > this.groundY) return "ground";
+
+    const ceiling = this.getCeilingRect();
+    if (ceiling && bird.checkCollision(ceiling)) return "ceiling";
+
+    return null;
+  }
+
+  /**
+   * Renderiza el suelo y el techo
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} alpha - Interpolación entre el tick anterior y el actual
+   */
+  render(context, alpha = 1) {
+    const offset = this.prevOffset + (this.offset - this.prevOffset) * alpha;
+    const { ground, ceiling } = this.config.LEVELS[this.level];
+
+    if (ground && this.groundHeight > 0) {
+      const y = this.groundY;
+      this.renderStrip(context, ground, offset, y, this.groundHeight);
+    }
+    if (ceiling && this.ceilingHeight > 0) {
+      this.renderStrip(context, ceiling, offset, 0, this.ceilingHeight);
+    }
+  }
+
+  /**
+   * Franja repetida en horizontal y desplazada con el mundo. Sin sprite se
+   * dibuja con su color y unas marcas para que se note el avance
+   */
+  renderStrip(context, strip, offset, y, height) {
+    const { width } = this.bounds;
+    const image = this.images[strip.key];
+
+    context.save();
+
+    if (image) {
+      const tileWidth = image.width * (height / image.height);
+      for (let x = -(offset % tileWidth); x < width; x += tileWidth) {
+        context.drawImage(image, x, y, tileWidth, height);
+      }
+    } else {
+      context.fillStyle = strip.color || "#8B7355";
+      context.fillRect(0, y, width, height);
+
+      context.fillStyle = "rgba(0, 0, 0, 0.2)";
+      const spacing = 24;
+      for (let x = -(offset % spacing); x < width; x += spacing) {
+        context.fillRect(x, y, spacing / 2, 4);
+      }
+    }
+
+    context.restore();
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Terrain;
+}
@@ -0,0 +1,847 @@
+/**
+ * GameSimulation.js - Núcleo de la simulación del juego
+ * Física del pájaro, generación de tuberías, colisiones, puntuación y
+ * progresión de niveles. No toca el DOM: Game lo envuelve en el navegador
+ * y src/js/core/headless.js lo ejecuta en Node
+ */
+
+class GameSimulation {
+  constructor(config) {
+    this.config = config;
+
+    // Límites del mundo (mismas dimensiones que el canvas)
+    this.bounds = {
+      width: config.BOARD_WIDTH,
+      height: config.BOARD_HEIGHT,
+    };
+
+    // Paso fijo: cada step() avanza exactamente un tick
+    this.fixedTimeStep = 1000 / config.PERFORMANCE.simulationRate;
+    this.tickScale = this.fixedTimeStep / (1000 / 60); // Física ajustada a 60 Hz
+
+    // Entidades
+    this.bird = new Bird(config, this.bounds);
+    this.pipePool = new PipePool(config);
+    this.rng = new SeededRandom();
+    this.zoneRng = new SeededRandom(); // Aparte: no cambia el recorrido
+    this.variantRng = new SeededRandom(); // Variantes de tubería, igual
+
+    // Estado de la partida
+    this.seed = null;
+    this.score = 0;
+    this.currentLevel = config.LEVEL_SETTINGS.defaultLevel;
+    this.startLevel = this.currentLevel; // Nivel en el que empezó la partida
+    this.tick = 0;
+    this.gameTime = 0;
+    this.isOver = false;
+
+    // Viento (niveles con effects.wind) y power-ups
+    this.wind = new WindSystem();
+    this.powerUps = new PowerUpSystem(config);
+    this.coins = new CoinSystem(config);
+
+    // Suelo y techo del nivel (avanzan con las tuberías)
+    this.terrain = new Terrain(config, this.bounds);
+
+    // Combo, pasos perfectos y desglose de la puntuación
+    this.scoring = new ScoringSystem(config);
+
+    // Puntos de control (solo en partidas de práctica)
+    this.practice = new PracticeSystem(config);
+
+    // Reloj y penalizaciones (solo en contrarreloj)
+    this.timeAttack = new TimeAttackSystem(config);
+
+    // Dificultad adaptativa (desactivada salvo que reset reciba habilidad),
+    // curvas de progresión dentro del nivel y la dificultad efectiva con la
+    // que se mueven y generan las tuberías
+    this.adaptive = new AdaptiveDifficulty(config);
+    this.curves = new DifficultyCurves(config);
+    this.difficulty = null;
+
+    // Progreso en el nivel actual (lo que recorren las curvas)
+    this.levelStartTime = 0;
+    this.levelPipesPassed = 0;
+
+    // Generación de tuberías
+    this.lastPipeTime = 0;
+    this.pipeInterval = config.PIPES.SPAWN_INTERVAL;
+
+    // Zonas antigravedad (niveles con effects.antigravity)
+    this.zones = [];
+    this.pipesSinceZone = 0;
+
+    this.applyLevelSettings(this.currentLevel);
+    this.terrain.reset(this.currentLevel);
+
+    // Eventos producidos durante el último tick
+    this.events = [];
+  }
+
+  /**
+   * Conecta el sistema de partículas con el que el pájaro y las tuberías
+   * emiten sus efectos (sin él, como en headless, no emiten nada)
+   * @param {ParticleSystem} particleSystem
+   */
+  setParticleSystem(particleSystem) {
+    this.bird.particleSystem = particleSystem;
+    this.pipePool.particleSystem = particleSystem;
+  }
+
+  /**
+   * Conecta los sprites precargados por el juego con sus máscaras de
+   * colisión (sin ellos, como en headless, se choca contra cajas)
+   * @param {Object} sprites
+   * @param {Object|null} sprites.bird - { image, mask } del pájaro
+   * @param {Object} sprites.pipes - clave de asset -> { image, mask }
+   * @param {Object} sprites.terrain - clave de asset -> Image del suelo y
+   *   el techo (solo se dibujan; chocan como franjas)
+   */
+  setSprites({ bird, pipes, terrain }) {
+    this.bird.setSprite(bird);
+    this.pipePool.setSprites(pipes);
+    this.terrain.setImages(terrain);
+  }
+
+  /**
+   * Empieza una partida nueva
+   * @param {number|string} seed - Semilla del recorrido
+   * @param {Object} options
+   * @param {number|null} options.adaptiveSkill - Habilidad inicial de la
+   * dificultad adaptativa (null = dificultad fija de levels.json)
+   * @param {number|null} options.level - Nivel inicial (null = defaultLevel)
+   * @param {Object|null} options.practice - { startPipe, interval } para una
+   * partida de práctica: empieza en esa tubería del nivel, no cambia de
+   * nivel y al morir vuelve al último punto de control
+   * @param {Object|null} options.timeAttack - { pipes, penalty, splits } para
+   * una contrarreloj: termina al superar pipes tuberías y chocar penaliza el
+   * reloj en lugar de terminar la partida
+   */
+  reset(
+    seed = SeededRandom.generateSeed(),
+    {
+      adaptiveSkill = null,
+      level = null,
+      practice = null,
+      timeAttack = null,
+    } = {}
+  ) {
+    this.adaptive.reset(adaptiveSkill);
+    this.bird.reset();
+    this.pipePool.clear();
+    this.score = 0;
+    this.currentLevel = this.config.LEVELS[level]
+      ? level
+      : this.config.LEVEL_SETTINGS.defaultLevel;
+    this.startLevel = this.currentLevel;
+    this.tick = 0;
+    this.gameTime = 0;
+    this.isOver = false;
+    this.lastPipeTime = 0;
+    this.events = [];
+    this.zones = [];
+    this.pipesSinceZone = 0;
+    this.levelStartTime = 0;
+    this.levelPipesPassed = 0;
+
+    // La práctica puede empezar más adelante en el nivel: las curvas de
+    // dificultad arrancan como si ya se hubieran pasado esas tuberías
+    this.practice.reset(practice);
+    this.timeAttack.reset(timeAttack);
+    if (this.practice.enabled) {
+      const { difficulty } = this.config.LEVELS[this.currentLevel];
+      this.levelPipesPassed = this.practice.startPipe;
+      this.levelStartTime = -this.practice.startPipe * difficulty.spawnInterval;
+    }
+
+    this.applyLevelSettings(this.currentLevel);
+    this.terrain.reset(this.currentLevel);
+
+    this.seed = seed;
+    this.seedSystems(seed);
+    this.scoring.reset();
+
+    if (this.practice.enabled) {
+      this.practice.save(this.createCheckpoint(), true);
+    }
+  }
+
+  /**
+   * Siembra todos los generadores aleatorios de la partida
+   * @param {number|string} seed
+   */
+  seedSystems(seed) {
+    this.rng.setSeed(seed);
+    this.zoneRng.setSeed(`${seed}:zones`);
+    this.variantRng.setSeed(`${seed}:variants`);
+    this.wind.reset(seed);
+    this.powerUps.reset(seed);
+    this.coins.reset(seed);
+  }
+
+  /**
+   * Salto del jugador (se aplica en el siguiente tick)
+   * @returns {boolean} false si la partida ya terminó
+   */
+  jump() {
+    if (this.isOver) return false;
+    this.bird.jump();
+    return true;
+  }
+
+  /**
+   * Avanza la simulación un tick
+   * @returns {Array<Object>} Eventos del tick: score, levelChange, death,
+   * powerUp, powerUpEnd, pipeBreak, coin, checkpoint, respawn, penalty,
+   * split, finish
+   */
+  step() {
+    this.events = [];
+    if (this.isOver) return this.events;
+
+    // La cámara lenta escala el paso: el mundo avanza menos en cada tick
+    const timeScale = this.powerUps.timeScale;
+    const deltaTime = this.tickScale * timeScale;
+
+    this.gameTime += this.fixedTimeStep * timeScale;
+    this.tick++;
+    this.timeAttack.update(this.fixedTimeStep);
+
+    // Gravedad de la zona en la que está el pájaro (si hay alguna)
+    const zone = this.zones.find((candidate) => candidate.contains(this.bird));
+    this.bird.gravityScale = zone ? zone.gravityScale : 1;
+
+    // Rachas de viento
+    this.wind.update(this.fixedTimeStep * timeScale, deltaTime);
+    this.bird.windForce = this.wind.force;
+
+    // Actualizar pájaro y comprobar el suelo y el techo
+    this.bird.update(deltaTime);
+    const terrainHit = this.terrain.checkCollision(this.bird);
+    if (terrainHit === "ground") {
+      this.bird.land(this.terrain.groundY);
+    }
+    if (terrainHit) {
+      this.endRun(terrainHit);
+      return this.events;
+    }
+
+    // Dificultad del tick: adaptativa (se acerca a su objetivo) y curvas
+    this.adaptive.update(deltaTime);
+    this.updateDifficulty();
+
+    // Generar y mover tuberías (el terreno avanza lo mismo que ellas)
+    this.generatePipes();
+    this.pipePool.updateActive(deltaTime);
+    this.terrain.update(this.scrollSpeed, deltaTime);
+    this.zones = this.zones.filter((item) => item.update(deltaTime));
+
+    // Power-ups: recoger y descontar duración (en tiempo real, sin escalar)
+    const powerUps = this.powerUps.update(
+      this.bird,
+      deltaTime,
+      this.fixedTimeStep
+    );
+    powerUps.collected.forEach((effect) =>
+      this.emitPowerUp("powerUp", effect)
+    );
+    powerUps.expired.forEach((effect) =>
+      this.emitPowerUp("powerUpEnd", effect, "expired")
+    );
+
+    // Monedas (el imán las acerca al pájaro)
+    this.coins.update(this.bird, deltaTime).forEach((coin) => {
+      this.emit("coin", {
+        value: coin.value,
+        coins: this.coins.collected,
+        x: coin.x,
+        y: coin.y,
+      });
+    });
+
+    // Verificar colisiones (las tuberías rompibles se rompen y el escudo
+    // absorbe una)
+    const collidedPipe = this.pipePool.checkCollisions(this.bird, (pipe) => {
+      if (pipe.breakable) {
+        pipe.break();
+        this.emit("pipeBreak", { pipe: pipe.type, score: this.score });
+        return true;
+      }
+
+      const shield = this.powerUps.consumeShield();
+      if (shield) {
+        this.emitPowerUp("powerUpEnd", shield, "consumed");
+      }
+      return !!shield;
+    });
+    if (collidedPipe) {
+      this.endRun("pipe");
+      return this.events;
+    }
+
+    // Verificar puntuación
+    this.trackClearance();
+    const passedPipes = this.pipePool.checkPassed(this.bird);
+    if (passedPipes.length > 0) {
+      const pairs = this.pipePool.processScoring(passedPipes);
+      pairs.forEach((pair) => this.onPairPassed(pair));
+
+      if (this.practice.shouldSave(this.levelPipesPassed)) {
+        this.practice.save(this.createCheckpoint());
+        this.emit("checkpoint", { pipe: this.levelPipesPassed });
+      }
+
+      if (this.timeAttack.enabled && this.advanceTimeAttack(pairs.length)) {
+        return this.events;
+      }
+    }
+
+    // Verificar cambio de nivel
+    this.checkLevelProgression();
+
+    return this.events;
+  }
+
+  /**
+   * Registra un evento del tick actual
+   */
+  emit(type, data = {}) {
+    this.events.push({ type, tick: this.tick, ...data });
+  }
+
+  /**
+   * Registra la recogida o el fin de un efecto de power-up
+   * @param {string} type - "powerUp" o "powerUpEnd"
+   * @param {Object} effect - Efecto activo de PowerUpSystem
+   * @param {string} reason - Al terminar: "expired" o "consumed"
+   */
+  emitPowerUp(type, effect, reason = null) {
+    this.emit(type, {
+      powerUp: effect.type,
+      name: effect.name,
+      effect: effect.effect,
+      duration: effect.duration,
+      ...(reason && { reason }),
+    });
+  }
+
+  /**
+   * Termina la partida (en práctica, vuelve al último punto de control, y
+   * en contrarreloj penaliza el reloj y sigue)
+   * @param {string} cause - "ground", "ceiling" o "pipe"
+   */
+  endRun(cause) {
+    if (this.practice.enabled) {
+      this.respawn(cause);
+      return;
+    }
+    if (this.timeAttack.enabled) {
+      this.recover(cause);
+      return;
+    }
+
+    this.isOver = true;
+    this.adaptive.endRun(cause);
+    this.emit("death", { cause, score: this.score });
+  }
+
+  /**
+   * Estado que se restaura al volver a un punto de control
+   */
+  createCheckpoint() {
+    return {
+      pipe: this.levelPipesPassed,
+      levelTime: this.gameTime - this.levelStartTime,
+      score: this.score,
+      coins: this.coins.collected,
+      scoring: this.scoring.getState(),
+    };
+  }
+
+  /**
+   * Vuelve al último punto de control de la práctica: el pájaro sale de
+   * nuevo desde el inicio con la pantalla vacía, y el tramo siguiente se
+   * genera con una semilla propia del punto de control, así que cada
+   * intento repite las mismas tuberías
+   * @param {string} cause - Motivo de la muerte
+   */
+  respawn(cause) {
+    const checkpoint = this.practice.respawn();
+    const { totalJumps } = this.bird;
+
+    this.bird.reset();
+    this.bird.totalJumps = totalJumps;
+    this.pipePool.clear();
+    this.zones = [];
+    this.pipesSinceZone = 0;
+
+    this.score = checkpoint.score;
+    this.levelPipesPassed = checkpoint.pipe;
+    this.levelStartTime = this.gameTime - checkpoint.levelTime;
+    this.lastPipeTime = this.gameTime;
+    this.applyLevelSettings(this.currentLevel);
+
+    this.seedSystems(`${this.seed}:checkpoint:${checkpoint.pipe}`);
+    this.coins.collected = checkpoint.coins;
+    this.scoring.restore(checkpoint.scoring);
+
+    this.emit("respawn", {
+      cause: cause,
+      pipe: checkpoint.pipe,
+      deaths: this.practice.deaths,
+      score: this.score,
+    });
+  }
+
+  /**
+   * Cuenta las tuberías superadas en la contrarreloj: registra los parciales
+   * y termina la partida al llegar al objetivo
+   * @param {number} count - Pares superados en este tick
+   * @returns {boolean} true si la contrarreloj ha terminado
+   */
+  advanceTimeAttack(count) {
+    for (let i = 0; i < count && !this.timeAttack.completed; i++) {
+      const split = this.timeAttack.passPipe();
+      if (split) {
+        this.emit("split", { ...split, index: this.timeAttack.splits.length });
+      }
+    }
+    if (!this.timeAttack.completed) return false;
+
+    this.isOver = true;
+    this.emit("finish", {
+      time: this.timeAttack.time,
+      penalties: this.timeAttack.penalties,
+      score: this.score,
+    });
+    return true;
+  }
+
+  /**
+   * Choque en la contrarreloj: suma la penalización y el pájaro sale de
+   * nuevo desde el inicio con la pantalla vacía. Las tuberías superadas, la
+   * puntuación y el nivel se conservan; el tramo siguiente usa una semilla
+   * propia de la penalización para que la repetición sea idéntica
+   * @param {string} cause - Motivo del choque
+   */
+  recover(cause) {
+    const penalties = this.timeAttack.penalize();
+    const { totalJumps } = this.bird;
+    const coins = this.coins.collected;
+
+    this.bird.reset();
+    this.bird.totalJumps = totalJumps;
+    this.applyLevelSettings(this.currentLevel);
+    this.pipePool.clear();
+    this.zones = [];
+    this.pipesSinceZone = 0;
+    this.lastPipeTime = this.gameTime;
+    this.scoring.breakCombo();
+
+    this.seedSystems(`${this.seed}:penalty:${penalties}`);
+    this.coins.collected = coins;
+
+    this.emit("penalty", {
+      cause: cause,
+      penalty: this.timeAttack.penalty,
+      penalties: penalties,
+      time: this.timeAttack.time,
+      score: this.score,
+    });
+  }
+
+  /**
+   * Genera nuevas tuberías
+   */
+  generatePipes() {
+    if (this.gameTime - this.lastPipeTime >= this.pipeInterval) {
+      this.createPipePair();
+      this.lastPipeTime = this.gameTime;
+    }
+  }
+
+  /**
+   * Crea un par de tuberías (superior e inferior)
+   */
+  createPipePair() {
+    const pipeConfig = this.config.PIPES;
+    const { gapSize, pipeSpeed } = this.difficulty;
+
+    // Posición aleatoria (desde el generador con semilla)
+    const minY = -pipeConfig.HEIGHT / 2;
+    const maxY = -pipeConfig.HEIGHT / 4;
+    const randomY = this.rng.range(minY, maxY);
+
+    // Tubería superior
+    const top = this.pipePool.acquire(
+      pipeConfig.INITIAL_X,
+      randomY,
+      "top",
+      this.currentLevel
+    );
+
+    // Tubería inferior
+    const bottom = this.pipePool.acquire(
+      pipeConfig.INITIAL_X,
+      randomY + pipeConfig.HEIGHT + gapSize,
+      "bottom",
+      this.currentLevel
+    );
+
+    // Velocidad efectiva (la del nivel si la dificultad no es adaptativa)
+    top.velocityX = -pipeSpeed;
+    bottom.velocityX = -pipeSpeed;
+
+    top.partner = bottom;
+    bottom.partner = top;
+    this.assignPipeVariant(top, bottom);
+
+    // Extras del hueco: power-up, monedas y zona antigravedad
+    const gapCenter = randomY + pipeConfig.HEIGHT + gapSize / 2;
+    const powerUp = this.powerUps.trySpawn(
+      pipeConfig.INITIAL_X + pipeConfig.WIDTH / 2,
+      gapCenter,
+      pipeSpeed
+    );
+
+    this.coins.trySpawn({
+      x: pipeConfig.INITIAL_X,
+      width: pipeConfig.WIDTH,
+      centerY: gapCenter,
+      distance: this.getPipeSpacing(),
+      speed: pipeSpeed,
+      blocked: !!powerUp || (!!top.variant && top.variant !== "breakable"),
+    });
+
+    this.pipesSinceZone++;
+    this.createAntigravityZone(gapCenter);
+  }
+
+  /**
+   * Distancia horizontal entre un par de tuberías y el siguiente con la
+   * dificultad actual
+   */
+  getPipeSpacing() {
+    const ticks = Math.ceil(this.pipeInterval / this.fixedTimeStep);
+    return this.difficulty.pipeSpeed * this.tickScale * ticks;
+  }
+
+  /**
+   * Puede convertir un par de tuberías en una de las variantes del nivel
+   * (pipeVariants en levels.json: chance y types con su weight y ajustes)
+   * @param {Pipe} top
+   * @param {Pipe} bottom
+   */
+  assignPipeVariant(top, bottom) {
+    const variants = this.config.LEVELS[this.currentLevel].pipeVariants;
+    if (!variants || !variants.types) return;
+
+    const types = Object.keys(variants.types);
+    if (types.length === 0) return;
+    if (!this.variantRng.chance(variants.chance ?? 0.25)) return;
+
+    // Tipo ponderado por weight
+    const weightOf = (type) => variants.types[type].weight ?? 1;
+    const total = types.reduce((sum, type) => sum + weightOf(type), 0);
+    let roll = this.variantRng.range(0, total);
+    let variant = types[types.length - 1];
+    for (const type of types) {
+      roll -= weightOf(type);
+      if (roll < 0) {
+        variant = type;
+        break;
+      }
+    }
+
+    const settings = variants.types[variant];
+    const pick = (value, options) =>
+      value === undefined || value === "random"
+        ? this.variantRng.pick(options)
+        : value;
+
+    const options = {
+      ...settings,
+      phase: this.variantRng.range(0, Math.PI * 2),
+      from: pick(settings.from, ["top", "bottom"]),
+      side: pick(settings.side, ["top", "bottom"]),
+    };
+    top.setVariant(variant, options);
+    bottom.setVariant(variant, options);
+  }
+
+  /**
+   * Puede crear una zona antigravedad en el hueco hasta la próxima tubería
+   * Para que sea justa: nunca en dos pares seguidos ni en el primero de un
+   * nivel, centrada entre tuberías sin tocarlas y cerca de la altura del
+   * hueco que el jugador acaba de cruzar
+   * @param {number} gapCenter - Centro vertical del hueco recién creado
+   */
+  createAntigravityZone(gapCenter) {
+    const levelConfig = this.config.LEVELS[this.currentLevel];
+    const effects = levelConfig.effects || {};
+    if (!effects.antigravity) return;
+
+    const maxZones = effects.antigravityZones ?? 1;
+    if (this.pipesSinceZone < 2 || this.zones.length >= maxZones) return;
+    if (!this.zoneRng.chance(effects.antigravityChance ?? 0.5)) return;
+
+    // Distancia horizontal entre este par y el siguiente
+    const speed = this.difficulty.pipeSpeed;
+    const distance = this.getPipeSpacing();
+    const pipeWidth = this.config.PIPES.WIDTH;
+    const margin = 16;
+    const width = Math.min(96, distance - pipeWidth - margin * 2);
+    if (width < 40) return;
+
+    const offset = (distance - pipeWidth - width) / 2;
+    const x = this.config.PIPES.INITIAL_X + pipeWidth + offset;
+
+    const height = this.zoneRng.range(160, 240);
+    const centerY = gapCenter + this.zoneRng.range(-40, 40);
+    const y = Math.max(
+      0,
+      Math.min(centerY - height / 2, this.bounds.height - height)
+    );
+
+    const type = this.zoneRng.chance(0.5) ? "invert" : "dampen";
+    const scales = effects.antigravityGravityScale || {};
+    const defaultScale = type === "invert" ? -0.5 : 0.35;
+
+    this.zones.push(
+      new AntigravityZone({
+        x: x,
+        y: y,
+        width: width,
+        height: height,
+        type: type,
+        gravityScale: scales[type] ?? defaultScale,
+        speed: speed,
+      })
+    );
+    this.pipesSinceZone = 0;
+  }
+
+  /**
+   * Verifica progresión de nivel
+   * Sube al nivel más alto cuyo unlockScore ya se alcanzó (hasta maxLevel)
+   */
+  checkLevelProgression() {
+    const settings = this.config.LEVEL_SETTINGS;
+    if (settings.autoProgressLevel === false) return;
+    if (this.practice.enabled) return; // La práctica se queda en su nivel
+
+    const maxLevel = settings.maxLevel ?? Infinity;
+
+    let nextLevel = this.currentLevel;
+    while (
+      nextLevel < maxLevel &&
+      this.config.LEVELS[nextLevel + 1] &&
+      this.score >= this.config.LEVELS[nextLevel + 1].unlockScore
+    ) {
+      nextLevel++;
+    }
+
+    this.changeLevel(nextLevel);
+  }
+
+  /**
+   * Cambia de nivel
+   */
+  changeLevel(newLevel) {
+    if (this.currentLevel === newLevel) return;
+
+    const previousLevel = this.currentLevel;
+    this.currentLevel = newLevel;
+
+    // Las curvas del nuevo nivel empiezan desde el principio
+    this.levelStartTime = this.gameTime;
+    this.levelPipesPassed = 0;
+
+    // Física y ritmo de tuberías del nuevo nivel
+    this.pipePool.updateLevel(newLevel);
+    this.applyLevelSettings(newLevel);
+    this.terrain.setLevel(newLevel);
+    this.pipesSinceZone = 0;
+
+    this.emit("levelChange", { level: newLevel, previousLevel });
+  }
+
+  /**
+   * Aplica la dificultad definida en levels.json para un nivel
+   * @param {number} level - Número de nivel
+   */
+  applyLevelSettings(level) {
+    const difficulty = this.config.LEVELS[level].difficulty;
+
+    this.bird.setPhysics(difficulty.gravity, -difficulty.jumpForce);
+    this.wind.configure(this.config.LEVELS[level].effects);
+    this.updateDifficulty(level);
+  }
+
+  /**
+   * Recalcula la dificultad efectiva (hueco, velocidad y ritmo de las
+   * tuberías): la del nivel ajustada por la dificultad adaptativa y con las
+   * curvas del nivel aplicadas. Todo el mundo (tuberías, zonas y power-ups)
+   * se mueve a la velocidad resultante
+   * @param {number} level - Número de nivel (por defecto el actual)
+   */
+  updateDifficulty(level = this.currentLevel) {
+    const levelDifficulty = this.config.LEVELS[level].difficulty;
+
+    this.difficulty = this.curves.apply(
+      this.adaptive.apply(levelDifficulty),
+      levelDifficulty.curves,
+      this.getLevelProgress()
+    );
+    this.pipeInterval = this.difficulty.spawnInterval;
+
+    const velocityX = -this.difficulty.pipeSpeed;
+    this.pipePool.activeObjects.forEach((pipe) => {
+      pipe.velocityX = velocityX;
+    });
+    this.zones.forEach((zone) => (zone.velocityX = velocityX));
+    this.powerUps.items.forEach((item) => (item.velocityX = velocityX));
+    this.coins.items.forEach((coin) => (coin.velocityX = velocityX));
+  }
+
+  /**
+   * Progreso en el nivel actual: { pipes, time } (time en segundos)
+   */
+  getLevelProgress() {
+    return {
+      pipes: this.levelPipesPassed,
+      time: (this.gameTime - this.levelStartTime) / 1000,
+    };
+  }
+
+  /**
+   * Guarda en cada tubería la menor distancia a la que el pájaro ha pasado
+   * de ella mientras la cruzaba (para detectar pasos justos)
+   */
+  trackClearance() {
+    const bird = this.bird;
+
+    this.pipePool.activeObjects.forEach((pipe) => {
+      if (pipe.passed || pipe.breached) return;
+      if (bird.x + bird.width <= pipe.x || bird.x >= pipe.x + pipe.width) {
+        return;
+      }
+
+      const clearance = pipe.isBottom
+        ? pipe.y - (bird.y + bird.height)
+        : bird.y - (pipe.y + pipe.height);
+      pipe.minClearance = Math.min(pipe.minClearance, clearance);
+    });
+  }
+
+  /**
+   * Un par de tuberías superado: cuenta para el progreso del nivel, informa
+   * a la dificultad adaptativa de la distancia a la que pasó el pájaro y
+   * suma sus puntos
+   * @param {Object} pair - { bottom, top, scored } de PipePool.processScoring
+   */
+  onPairPassed({ bottom, top, scored }) {
+    this.levelPipesPassed++;
+
+    const clearance = Math.min(
+      bottom.minClearance,
+      top ? top.minClearance : Infinity
+    );
+    if (!bottom.breached) {
+      this.adaptive.onPipePassed(clearance);
+    }
+
+    if (!scored) {
+      this.scoring.breakCombo();
+      return;
+    }
+
+    const gapSize = top ? bottom.y - (top.y + top.height) : 0;
+    const gapCenter = bottom.y - gapSize / 2;
+    const offset = this.bird.y + this.bird.height / 2 - gapCenter;
+    const pass = this.scoring.scorePass({
+      level: this.config.LEVELS[this.currentLevel].scoring,
+      clean: !bottom.breached && !(top && top.breached),
+      perfect: !!top && this.scoring.isPerfect(offset),
+      multiplier: this.powerUps.scoreMultiplier,
+    });
+
+    this.score += pass.points;
+    this.emit("score", {
+      ...pass,
+      score: this.score,
+      x: bottom.x + bottom.width / 2,
+      y: gapCenter,
+    });
+  }
+
+  /**
+   * Hueco de la próxima tubería que el pájaro aún no ha pasado
+   * Pensado para bots: { x, top, bottom } o null si no hay tuberías delante
+   */
+  getNextGap() {
+    const pipes = this.pipePool.activeObjects;
+
+    const next = pipes
+      .filter((pipe) => pipe.isBottom && pipe.x + pipe.width > this.bird.x)
+      .sort((a, b) => a.x - b.x)[0];
+
+    if (!next) return null;
+
+    // El hueco de cada par depende de la dificultad con la que se creó
+    const top = pipes.find((pipe) => !pipe.isBottom && pipe.x === next.x);
+    const gapSize = top
+      ? next.y - (top.y + top.height)
+      : this.difficulty.gapSize;
+
+    return {
+      x: next.x,
+      top: next.y - gapSize,
+      bottom: next.y,
+    };
+  }
+
+  /**
+   * Píxeles que avanza el mundo en un tick (velocidad efectiva de las
+   * tuberías, con la cámara lenta aplicada)
+   */
+  get scrollSpeed() {
+    const { pipeSpeed } = this.difficulty;
+    return pipeSpeed * this.tickScale * this.powerUps.timeScale;
+  }
+
+  /**
+   * Resumen serializable del estado actual
+   */
+  getState() {
+    return {
+      seed: this.seed,
+      tick: this.tick,
+      gameTime: this.gameTime,
+      score: this.score,
+      level: this.currentLevel,
+      isOver: this.isOver,
+      bird: {
+        x: this.bird.x,
+        y: this.bird.y,
+        velocityY: this.bird.velocityY,
+      },
+      pipes: this.pipePool.activeObjects.length,
+      zones: this.zones.length,
+      wind: { ...this.wind.force },
+      powerUps: this.powerUps.getActiveEffects(),
+      coins: this.coins.collected,
+      scoring: this.scoring.getState(),
+      difficulty: { ...this.difficulty },
+      levelProgress: this.getLevelProgress(),
+      adaptive: this.adaptive.getState(),
+      practice: this.practice.getState(),
+      timeAttack: this.timeAttack.getState(),
+    };
+  }
+}
+
+// Exportar para Node (headless.js); en el navegador queda como global
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GameSimulation;
+}
@@ -0,0 +1,201 @@
+/**
+ * headless.js - Ejecuta la simulación en Node, sin navegador
+ * Carga las mismas clases que index.html y la configuración de src/data
+ *
+ * Uso como módulo:
+ *   const { runSimulation } = require("./src/js/core/headless");
+ *   const result = runSimulation({ seed: "abc", policy: (sim) => ... });
+ *
+ * Uso desde consola (bot de ejemplo):
+ *   node src/js/core/headless.js [partidas] [semilla]
+ *
+ * Comprobaciones de la simulación (sale con código 1 si alguna falla):
+ *   node src/js/core/headless.js --check
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Las clases del juego son globales en el navegador; aquí se registran igual
+global.SeededRandom = require("../utils/SeededRandom.js");
+global.CollisionMask = require("../utils/CollisionMask.js");
+global.Bird = require("../classes/Bird.js");
+global.Pipe = require("../classes/Pipe.js");
+global.PipePool = require("../classes/PipePool.js");
+global.AntigravityZone = require("../classes/AntigravityZone.js");
+global.PowerUp = require("../classes/PowerUp.js");
+global.Coin = require("../classes/Coin.js");
+global.Terrain = require("../classes/Terrain.js");
+global.WindSystem = require("../systems/WindSystem.js");
+global.PowerUpSystem = require("../systems/PowerUpSystem.js");
+global.CoinSystem = require("../systems/CoinSystem.js");
+global.ScoringSystem = require("../systems/ScoringSystem.js");
+global.PracticeSystem = require("../systems/PracticeSystem.js");
+global.TimeAttackSystem = require("../systems/TimeAttackSystem.js");
+global.AdaptiveDifficulty = require("../systems/AdaptiveDifficulty.js");
+global.DifficultyCurves = require("../systems/DifficultyCurves.js");
+global.GameSimulation = require("./GameSimulation.js");
+const ConfigManager = require("../managers/ConfigManager.js");
+
+const DATA_DIR = path.join(__dirname, "..", "..", "data");
+
+/**
+ * Lee y valida config.json y levels.json desde disco
+ * @param {string} dataDir - Carpeta con los JSON
+ * @returns {Object} Configuración del juego
+ */
+function loadConfig(dataDir = DATA_DIR) {
+  const readJSON = (file) =>
+    JSON.parse(fs.readFileSync(path.join(dataDir, file), "utf8"));
+
+  return new ConfigManager().build(
+    readJSON("config.json"),
+    readJSON("levels.json")
+  );
+}
+
+/**
+ * Crea una simulación lista para usar
+ * @param {Object} config - Configuración (por defecto la de src/data)
+ */
+function createSimulation(config = loadConfig()) {
+  return new GameSimulation(config);
+}
+
+/**
+ * Bot de ejemplo: salta cuando baja del centro del próximo hueco
+ * (un poco por debajo, porque el salto sube más de lo que cae en un tick)
+ */
+function followGapPolicy(sim) {
+  const gap = sim.getNextGap();
+  const target = gap ? (gap.top + gap.bottom) / 2 + 6 : sim.bounds.height / 2;
+  return sim.bird.y + sim.bird.height / 2 > target && sim.bird.velocityY > -1;
+}
+
+/**
+ * Juega una partida completa
+ * @param {Object} options
+ * @param {number|string} options.seed - Semilla (aleatoria si se omite)
+ * @param {Function} options.policy - (sim) => true para saltar en este tick
+ * @param {number} options.maxTicks - Corte de seguridad
+ * @param {GameSimulation} options.simulation - Simulación a reutilizar
+ * @param {number|null} options.adaptiveSkill - Habilidad inicial de la
+ * dificultad adaptativa (null = desactivada)
+ * @param {number|null} options.level - Nivel inicial (null = defaultLevel)
+ * @param {Object|null} options.practice - { startPipe, interval } para
+ * practicar (la partida solo termina por maxTicks)
+ * @param {Object|null} options.timeAttack - { pipes, penalty, splits } para
+ * una contrarreloj (termina al superar las tuberías o por maxTicks)
+ * @param {boolean} options.quiet - Silenciar console.log de las entidades
+ * @returns {Object} { seed, score, level, ticks, jumps, coins, timeAttack,
+ * inputs }
+ */
+function runSimulation({
+  seed = SeededRandom.generateSeed(),
+  policy = followGapPolicy,
+  maxTicks = 60 * 60 * 10,
+  simulation = createSimulation(),
+  adaptiveSkill = null,
+  level = null,
+  practice = null,
+  timeAttack = null,
+  quiet = true,
+} = {}) {
+  const log = console.log;
+  if (quiet) console.log = () => {};
+
+  const inputs = [];
+
+  try {
+    simulation.reset(seed, { adaptiveSkill, level, practice, timeAttack });
+
+    while (!simulation.isOver && simulation.tick < maxTicks) {
+      if (policy(simulation)) {
+        inputs.push({ tick: simulation.tick, type: "jump" });
+        simulation.jump();
+      }
+      simulation.step();
+    }
+  } finally {
+    console.log = log;
+  }
+
+  return {
+    seed: simulation.seed,
+    score: simulation.score,
+    level: simulation.currentLevel,
+    ticks: simulation.tick,
+    jumps: simulation.bird.totalJumps,
+    coins: simulation.coins.collected,
+    timeAttack: simulation.timeAttack.getState(),
+    inputs: inputs,
+  };
+}
+
+/**
+ * Tras una penalización de la contrarreloj el pájaro conserva la física del
+ * nivel en el que va (no la global de config.json)
+ * @param {GameSimulation} simulation
+ * @returns {Array<string>} Fallos encontrados
+ */
+function checkTimeAttackPenaltyPhysics(simulation = createSimulation()) {
+  const failures = [];
+  const log = console.log;
+  console.log = () => {};
+
+  [2, 3].forEach((level) => {
+    const { gravity, jumpForce } = simulation.config.LEVELS[level].difficulty;
+    simulation.reset("check", { level, timeAttack: {} });
+
+    // Sin saltar, el pájaro acaba chocando con el suelo
+    while (simulation.timeAttack.penalties === 0 && simulation.tick < 600) {
+      simulation.step();
+    }
+
+    const { bird } = simulation;
+    if (simulation.timeAttack.penalties === 0) {
+      failures.push(`level ${level}: no penalty after 600 ticks`);
+    } else if (bird.gravity !== gravity || bird.jumpVelocity !== -jumpForce) {
+      failures.push(
+        `level ${level}: physics after penalty [${bird.gravity}, ${bird.jumpVelocity}], expected [${gravity}, ${-jumpForce}]`
+      );
+    }
+  });
+
+  console.log = log;
+  return failures;
+}
+
+module.exports = {
+  loadConfig,
+  createSimulation,
+  runSimulation,
+  followGapPolicy,
+  checkTimeAttackPenaltyPhysics,
+};
+
+if (require.main === module && process.argv[2] === "--check") {
+  const failures = checkTimeAttackPenaltyPhysics();
+  failures.forEach((failure) => console.error(`❌ ${failure}`));
+  console.log(failures.length === 0 ? "✅ Checks passed" : "❌ Checks failed");
+  process.exitCode = failures.length === 0 ? 0 : 1;
+} else if (require.main === module) {
+  const runs = parseInt(process.argv[2], 10) || 10;
+  const baseSeed = process.argv[3];
+  const simulation = createSimulation();
+  const scores = [];
+
+  for (let i = 0; i < runs; i++) {
+    const seed = baseSeed !== undefined ? `${baseSeed}-${i}` : undefined;
+    const result = runSimulation({ seed, simulation });
+    scores.push(result.score);
+    console.log(
+      `Run ${i + 1}: seed=${result.seed} score=${result.score} level=${result.level} ticks=${result.ticks}`
+    );
+  }
+
+  const average = scores.reduce((sum, score) => sum + score, 0) / runs;
+  console.log(
+    `📊 ${runs} runs - best: ${Math.max(...scores)}, average: ${average.toFixed(1)}`
+  );
+}
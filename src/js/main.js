@@ -3,88 +3,11 @@
  * Flappy Bird Enhanced Edition
  */
 
-// Configuraciones del juego
-const GAME_CONFIG = {
-  // Dimensiones del canvas
-  BOARD_WIDTH: 360,
-  BOARD_HEIGHT: 640,
-
-  // Configuración del pájaro
-  BIRD: {
-    WIDTH: 34,
-    HEIGHT: 24,
-    INITIAL_X: 45,
-    INITIAL_Y: 320,
-    JUMP_VELOCITY: -6,
-    GRAVITY: 0.4,
-    MAX_FALL_SPEED: 8,
-  },
-
-  // Configuración de tuberías
-  PIPES: {
-    WIDTH: 64,
-    HEIGHT: 512,
-    INITIAL_X: 360,
-    VELOCITY_X: -2,
-    GAP_SIZE: 106,
-    SPAWN_INTERVAL: 1500,
-  },
-
-  // Sistema de puntuación
-  SCORING: {
-    POINTS_PER_PIPE: 1,
-    LEVEL_2_THRESHOLD: 20,
-  },
-
-  // Rutas de assets
-  ASSETS: {
-    IMAGES: {
-      BIRD: "./assets/images/flappybird.png",
-      BACKGROUND_LEVEL_1: "./assets/images/flappybirdbg.png",
-      BACKGROUND_LEVEL_2: "./assets/images/Hell.png",
-      TOP_PIPE_LEVEL_1: "./assets/images/toppipe.png",
-      BOTTOM_PIPE_LEVEL_1: "./assets/images/bottompipe.png",
-      TOP_PIPE_LEVEL_2: "./assets/images/toppipe_infernal.png",
-      BOTTOM_PIPE_LEVEL_2: "./assets/images/bottompipe_infernal.png",
-    },
-    AUDIO: {
-      JUMP: "./assets/audio/jumpSound2.wav",
-      GAME_OVER: "./assets/audio/gameOver.wav",
-      SCORE: "./assets/audio/coinSound.wav",
-    },
-  },
-
-  // Configuración de audio
-  AUDIO: {
-    DEFAULT_VOLUME: 0.7,
-  },
-
-  // Configuración de niveles
-  LEVELS: {
-    1: {
-      name: "Sky World",
-      pipes: {
-        top: "TOP_PIPE_LEVEL_1",
-        bottom: "BOTTOM_PIPE_LEVEL_1",
-      },
-      difficulty: {
-        gapSize: 106,
-      },
-    },
-    2: {
-      name: "Infernal World",
-      pipes: {
-        top: "TOP_PIPE_LEVEL_2",
-        bottom: "BOTTOM_PIPE_LEVEL_2",
-      },
-      difficulty: {
-        gapSize: 90,
-      },
-    },
-  },
-};
+// Configuración del juego (cargada desde src/data/config.json y levels.json)
+let gameConfig;
 
 // Managers globales
+let configManager;
 let assetManager;
 let audioManager;
 let storageManager;
@@ -104,6 +27,12 @@ window.addEventListener("load", async () => {
     // Inicializar managers
     await initializeManagers();
 
+    // Actualizar texto de carga
+    updateLoadingText("Loading configuration...");
+
+    // Cargar y validar config.json y levels.json
+    gameConfig = await configManager.load();
+
     // Actualizar texto de carga
     updateLoadingText("Loading assets...");
 
@@ -114,7 +43,13 @@ window.addEventListener("load", async () => {
     updateLoadingText("Starting game...");
 
     // Crear instancia del juego
-    game = new Game("board", GAME_CONFIG);
+    game = new Game("board", gameConfig);
+
+    // Semilla compartible por URL (?seed=abc) para jugar el mismo recorrido
+    const urlSeed = new URLSearchParams(window.location.search).get("seed");
+    if (urlSeed) {
+      game.setSeed(urlSeed);
+    }
 
     // Integrar managers con el juego
     integrateManagersWithGame();
@@ -134,6 +69,59 @@ window.addEventListener("load", async () => {
       getScore: () => game.score,
       getBestScore: () => game.bestScore,
       getLevel: () => game.currentLevel,
+      getSeed: () => game.seed,
+
+      // Semilla de las próximas partidas (null para volver a aleatoria)
+      setSeed: (seed) => game.setSeed(seed),
+
+      // Repeticiones guardadas
+      listReplays: () => game.replayManager.getReplays(),
+      playReplay: (idOrIndex) => {
+        const replay = game.replayManager.getReplay(idOrIndex);
+        if (!replay) {
+          console.warn("Replay not found:", idOrIndex);
+          return false;
+        }
+        game.playReplay(replay);
+        return true;
+      },
+
+      // Eventos del juego: FlappyBirdGame.on(FlappyBirdGame.events.GAME_OVER, fn)
+      events: GAME_EVENTS,
+      on: (eventName, handler) => game.events.on(eventName, handler),
+      once: (eventName, handler) => game.events.once(eventName, handler),
+
+      // Plugins (ver "Plugins" en el README)
+      registerPlugin: (plugin) => game.plugins.register(plugin),
+      unregisterPlugin: (id) => game.plugins.unregister(id),
+      listPlugins: () => game.plugins.list(),
+      getModes: () => game.plugins.getModes(),
+      setMode: (mode) => game.setMode(mode),
+      getSettings: () => game.plugins.getSettings(),
+      setSetting: (pluginId, key, value) =>
+        game.plugins.setSetting(pluginId, key, value),
+
+      // Logros (ver "Logros" en el README)
+      getAchievements: () => game.achievements.getAchievements(),
+
+      // Monedas: las de la partida actual y el saldo guardado
+      getCoins: () => ({ run: game.coins, balance: game.coinBalance }),
+
+      // Selector de nivel (ver "Selector de Nivel" en el README)
+      getLevels: () => game.getLevels(),
+      selectLevel: (level) => game.selectLevel(level),
+
+      // Práctica con puntos de control (ver "Modo Práctica" en el README)
+      setPractice: (options) => game.setPractice(options),
+      quitPractice: () => game.quitPractice(),
+
+      // Contrarreloj (ver "Contrarreloj" en el README)
+      setTimeAttack: (pipes) => game.setTimeAttack(pipes),
+      getTimeAttackBests: () => ({ ...game.timeAttackBests }),
+
+      // Dificultad adaptativa (ver "Dificultad Adaptativa" en el README)
+      setAdaptiveDifficulty: (enabled) => game.setAdaptiveDifficulty(enabled),
+      getAdaptiveDifficulty: () => game.getGameState().adaptive,
 
       // Debug
       toggleDebug: () => {
@@ -152,11 +140,27 @@ window.addEventListener("load", async () => {
       game: () => game,
     };
 
+    // Plugins que se encolaron en window.FlappyBirdPlugins antes de que el
+    // juego estuviera listo
+    (window.FlappyBirdPlugins || []).forEach((plugin) => {
+      try {
+        game.plugins.register(plugin);
+      } catch (error) {
+        console.error("❌ Invalid plugin:", error);
+      }
+    });
+
     console.log("✅ Game initialized successfully!");
     console.log("🎯 Available debug commands:");
     console.log("   FlappyBirdGame.toggleDebug() - Toggle debug mode");
     console.log("   FlappyBirdGame.getState() - Get game state");
     console.log("   FlappyBirdGame.getStats() - Get game statistics");
+    console.log("   FlappyBirdGame.setSeed('abc') - Replay the same course");
+    console.log("   FlappyBirdGame.playReplay(0) - Watch the latest replay");
+    console.log(
+      "   FlappyBirdGame.on('game:over', (e) => ...) - Subscribe to game events"
+    );
+    console.log("   FlappyBirdGame.registerPlugin({ id, init }) - Add a plugin");
   } catch (error) {
     console.error("❌ Error initializing game:", error);
 
@@ -202,6 +206,7 @@ async function initializeManagers() {
     console.log("🔧 Initializing managers...");
 
     // Crear managers básicos
+    configManager = new ConfigManager();
     assetManager = new AssetManager();
     audioManager = new AudioManager();
     storageManager = new StorageManager("flappy-bird-enhanced");
@@ -304,49 +309,18 @@ async function preloadAssets() {
       }
     );
 
-    // Lista de assets críticos
+    // Lista de assets generada a partir de la configuración cargada
     const assetList = [
-      // Imágenes esenciales
-      { type: "image", key: "BIRD", src: GAME_CONFIG.ASSETS.IMAGES.BIRD },
-      {
+      ...Object.entries(gameConfig.ASSETS.IMAGES).map(([key, src]) => ({
         type: "image",
-        key: "BACKGROUND_LEVEL_1",
-        src: GAME_CONFIG.ASSETS.IMAGES.BACKGROUND_LEVEL_1,
-      },
-      {
-        type: "image",
-        key: "TOP_PIPE_LEVEL_1",
-        src: GAME_CONFIG.ASSETS.IMAGES.TOP_PIPE_LEVEL_1,
-      },
-      {
-        type: "image",
-        key: "BOTTOM_PIPE_LEVEL_1",
-        src: GAME_CONFIG.ASSETS.IMAGES.BOTTOM_PIPE_LEVEL_1,
-      },
-      {
-        type: "image",
-        key: "BACKGROUND_LEVEL_2",
-        src: GAME_CONFIG.ASSETS.IMAGES.BACKGROUND_LEVEL_2,
-      },
-      {
-        type: "image",
-        key: "TOP_PIPE_LEVEL_2",
-        src: GAME_CONFIG.ASSETS.IMAGES.TOP_PIPE_LEVEL_2,
-      },
-      {
-        type: "image",
-        key: "BOTTOM_PIPE_LEVEL_2",
-        src: GAME_CONFIG.ASSETS.IMAGES.BOTTOM_PIPE_LEVEL_2,
-      },
-
-      // Audio
-      { type: "sound", key: "JUMP", src: GAME_CONFIG.ASSETS.AUDIO.JUMP },
-      {
+        key,
+        src,
+      })),
+      ...Object.entries(gameConfig.ASSETS.AUDIO).map(([key, src]) => ({
         type: "sound",
-        key: "GAME_OVER",
-        src: GAME_CONFIG.ASSETS.AUDIO.GAME_OVER,
-      },
-      { type: "sound", key: "SCORE", src: GAME_CONFIG.ASSETS.AUDIO.SCORE },
+        key,
+        src,
+      })),
     ];
 
     // Cargar todos los assets
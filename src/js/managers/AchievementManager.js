@@ -0,0 +1,273 @@
+/**
+ * AchievementManager - Logros definidos en levels.json
+ * Cada logro de progression.achievements tiene un requirement que se compila
+ * con ExpressionEvaluator y se comprueba contra el estado de la partida en
+ * curso. Añadir un logro solo requiere añadir su entrada en levels.json
+ */
+class AchievementManager {
+  /**
+   * @param {Game} game - Instancia del juego
+   */
+  constructor(game) {
+    this.game = game;
+    this.storageManager = null;
+    this.enabled = game.config.SOCIAL?.achievements !== false;
+
+    this.achievements = this._compile(
+      game.config.PROGRESSION.achievements || {}
+    );
+    this.unlocked = new Map(); // id -> fecha de desbloqueo (ms)
+
+    // Estado de la partida según los eventos. El nivel se sigue aquí y no
+    // en la simulación porque el cambio de nivel ocurre en el mismo tick que
+    // el punto que lo provoca, y "score >= 20 && level == 1" debe cumplirse
+    this.level = game.config.LEVEL_SETTINGS.defaultLevel;
+    this.levelStartTime = 0;
+    this.powerUpsCollected = 0;
+
+    // Avisos en pantalla (uno cada vez)
+    this.toasts = [];
+    this.toastDuration = 3000;
+
+    this._subscribe(game.events);
+  }
+
+  /**
+   * Variables que pueden usar los requirement:
+   * score, level, time (segundos en el nivel actual), runTime (segundos
+   * de partida), jumps, powerups (recogidos en la partida), coins (monedas
+   * de la partida), bestScore y gamesPlayed
+   */
+  static get VARIABLES() {
+    return [
+      "score",
+      "level",
+      "time",
+      "runTime",
+      "jumps",
+      "powerups",
+      "coins",
+      "bestScore",
+      "gamesPlayed",
+    ];
+  }
+
+  /**
+   * Conecta el StorageManager y carga los logros ya desbloqueados
+   * (array achievements de las estadísticas)
+   */
+  setStorage(storageManager) {
+    this.storageManager = storageManager;
+
+    const saved = storageManager.loadStats().achievements || [];
+    saved.forEach((entry) => {
+      const { id, unlockedAt = null } =
+        typeof entry === "string" ? { id: entry } : entry;
+      if (!this.unlocked.has(id)) this.unlocked.set(id, unlockedAt);
+    });
+  }
+
+  /**
+   * Compila los requirement; un logro mal escrito se descarta sin romper
+   * el resto
+   */
+  _compile(definitions) {
+    const evaluator = new ExpressionEvaluator(AchievementManager.VARIABLES);
+    const achievements = [];
+
+    Object.entries(definitions).forEach(([id, definition]) => {
+      try {
+        achievements.push({
+          id: id,
+          name: definition.name || id,
+          description: definition.description || "",
+          requirement: definition.requirement,
+          test: evaluator.compile(definition.requirement),
+        });
+      } catch (error) {
+        console.warn(`⚠️ Achievement "${id}" ignored:`, error.message);
+      }
+    });
+
+    return achievements;
+  }
+
+  _subscribe(events) {
+    events.on(GAME_EVENTS.GAME_START, ({ level }) => {
+      this.level = level;
+      this.levelStartTime = 0;
+      this.powerUpsCollected = 0;
+    });
+    events.on(GAME_EVENTS.SCORE_UPDATE, () => this.update());
+    events.on(GAME_EVENTS.LEVEL_CHANGE, ({ level }) => {
+      this.level = level;
+      this.levelStartTime = this.game.gameTime;
+      this.update();
+    });
+    events.on(GAME_EVENTS.POWERUP_COLLECT, ({ replay }) => {
+      if (!replay) this.powerUpsCollected++;
+    });
+    events.on(GAME_EVENTS.GAME_OVER, ({ replay, practice, timeAttack }) => {
+      if (!replay && !practice && !timeAttack && this.enabled) this.check();
+    });
+  }
+
+  /**
+   * Comprueba los logros de una partida en directo (cada tick y en cada
+   * punto o cambio de nivel); las repeticiones, la práctica y la
+   * contrarreloj (en ninguna se muere) no desbloquean nada
+   */
+  update() {
+    const { isPractice, isTimeAttack } = this.game;
+    if (!this.enabled || isPractice || isTimeAttack) return;
+    if (this.game.currentState !== this.game.states.PLAYING) return;
+    this.check();
+  }
+
+  /**
+   * Estado de la partida con el que se evalúan los requirement
+   */
+  getContext() {
+    const game = this.game;
+
+    return {
+      score: game.score,
+      level: this.level,
+      time: (game.gameTime - this.levelStartTime) / 1000,
+      runTime: game.gameTime / 1000,
+      jumps: game.bird.totalJumps,
+      powerups: this.powerUpsCollected,
+      coins: game.coins,
+      bestScore: game.bestScore,
+      gamesPlayed: game.stats.gamesPlayed,
+    };
+  }
+
+  /**
+   * Desbloquea los logros pendientes cuyo requirement se cumple
+   * @returns {Array} Logros desbloqueados en esta comprobación
+   */
+  check() {
+    const pending = this.achievements.filter(
+      ({ id }) => !this.unlocked.has(id)
+    );
+    if (pending.length === 0) return [];
+
+    const context = this.getContext();
+    const unlocked = pending.filter((achievement) => {
+      try {
+        return !!achievement.test(context);
+      } catch (error) {
+        return false;
+      }
+    });
+
+    unlocked.forEach((achievement) => this.unlock(achievement));
+    return unlocked;
+  }
+
+  /**
+   * Marca un logro como desbloqueado, lo guarda, lo anuncia y lo publica
+   * en el bus (achievement:unlock)
+   */
+  unlock(achievement) {
+    const unlockedAt = Date.now();
+    this.unlocked.set(achievement.id, unlockedAt);
+    this.save();
+
+    this.toasts.push({ achievement, timer: this.toastDuration });
+    this.game.emit(GAME_EVENTS.ACHIEVEMENT_UNLOCK, {
+      id: achievement.id,
+      name: achievement.name,
+      description: achievement.description,
+      unlockedAt: unlockedAt,
+    });
+
+    console.log(`🏆 Achievement unlocked: ${achievement.name}`);
+  }
+
+  /**
+   * Guarda los logros desbloqueados en las estadísticas
+   */
+  save() {
+    if (!this.storageManager) return;
+
+    const achievements = [...this.unlocked].map(([id, unlockedAt]) => ({
+      id,
+      unlockedAt,
+    }));
+    this.storageManager.saveStats({ achievements });
+  }
+
+  /**
+   * Lista de logros con su estado (pantalla de logros y API pública)
+   */
+  getAchievements() {
+    return this.achievements.map(({ id, name, description, requirement }) => ({
+      id,
+      name,
+      description,
+      requirement,
+      unlocked: this.unlocked.has(id),
+      unlockedAt: this.unlocked.get(id) ?? null,
+    }));
+  }
+
+  /**
+   * Logros desbloqueados y totales
+   */
+  getProgress() {
+    const unlocked = this.achievements.filter(({ id }) =>
+      this.unlocked.has(id)
+    ).length;
+    return { unlocked, total: this.achievements.length };
+  }
+
+  /**
+   * Avanza el aviso visible
+   * @param {number} deltaTime - Tiempo transcurrido en ms
+   */
+  updateToasts(deltaTime) {
+    if (this.toasts.length === 0) return;
+
+    this.toasts[0].timer -= deltaTime;
+    if (this.toasts[0].timer <= 0) {
+      this.toasts.shift();
+    }
+  }
+
+  /**
+   * Aviso de logro desbloqueado: baja desde arriba, se queda y se retira
+   */
+  renderToasts(ctx) {
+    const toast = this.toasts[0];
+    if (!toast) return;
+
+    const canvas = this.game.canvas;
+    const elapsed = this.toastDuration - toast.timer;
+    const slide = Math.min(1, elapsed / 250, toast.timer / 250);
+    const width = canvas.width - 40;
+    const height = 56;
+    const x = 20;
+    const y = -height + (height + 16) * slide;
+
+    ctx.save();
+    ctx.fillStyle = "rgba(0, 0, 0, 0.8)";
+    ctx.strokeStyle = "#FFD700";
+    ctx.lineWidth = 2;
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeRect(x, y, width, height);
+
+    ctx.textAlign = "left";
+    ctx.font = "28px Arial";
+    ctx.fillText("🏆", x + 10, y + 38);
+
+    ctx.fillStyle = "#FFD700";
+    ctx.font = "bold 12px Arial";
+    ctx.fillText("ACHIEVEMENT UNLOCKED", x + 52, y + 20);
+    ctx.fillStyle = "white";
+    ctx.font = "bold 16px Arial";
+    ctx.fillText(toast.achievement.name, x + 52, y + 42);
+    ctx.restore();
+  }
+}
@@ -126,6 +126,16 @@ class AssetManager {
     return this.images.get(key);
   }
 
+  /**
+   * Obtiene una imagen con su máscara de colisión al tamaño del mundo
+   * @returns {Object|null} { image, mask }, o null si no se cargó
+   */
+  getSprite(key, width, height) {
+    const image = this.images.get(key);
+    if (!image) return null;
+    return { image, mask: CollisionMask.fromImage(image, width, height) };
+  }
+
   /**
    * Obtiene un sonido
    */
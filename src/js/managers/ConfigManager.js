@@ -0,0 +1,520 @@
+/**
+ * ConfigManager - Carga y validación de la configuración del juego
+ * Lee src/data/config.json y src/data/levels.json y construye el objeto
+ * de configuración que consumen Game, Bird, Pipe y PipePool
+ */
+class ConfigManager {
+  constructor(basePath = "./src/data/") {
+    this.basePath = basePath;
+    this.rawConfig = null;
+    this.rawLevels = null;
+    this.gameConfig = null;
+  }
+
+  /**
+   * Descarga, valida y combina ambos archivos JSON
+   * @returns {Promise<Object>} Configuración lista para new Game()
+   */
+  async load() {
+    const [config, levels] = await Promise.all([
+      this._fetchJSON("config.json"),
+      this._fetchJSON("levels.json"),
+    ]);
+
+    this.gameConfig = this.build(config, levels);
+    return this.gameConfig;
+  }
+
+  /**
+   * Construye la configuración del juego a partir de los datos crudos
+   * No depende del DOM: se puede usar con JSON leído desde disco
+   * @param {Object} config - Contenido de config.json
+   * @param {Object} levels - Contenido de levels.json
+   * @returns {Object} Configuración del juego
+   */
+  build(config, levels) {
+    this.validateConfig(config);
+    this.validateLevels(levels);
+
+    this.rawConfig = config;
+    this.rawLevels = levels;
+
+    const { canvas } = config.display;
+    const { physics, scoring, bird, pipes } = config.gameplay;
+    const practice = config.gameplay.practice || {};
+    const timeAttack = config.gameplay.timeAttack || {};
+    const imagesPath = config.assets.imagesPath;
+    const audioPath = config.assets.audioPath;
+
+    const images = {
+      BIRD: imagesPath + bird.sprite,
+    };
+    const levelConfigs = {};
+
+    Object.keys(levels.levels)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .forEach((id) => {
+        const level = levels.levels[id];
+        const backgroundKey = `BACKGROUND_LEVEL_${id}`;
+        const topKey = `TOP_PIPE_LEVEL_${id}`;
+        const bottomKey = `BOTTOM_PIPE_LEVEL_${id}`;
+
+        images[backgroundKey] = imagesPath + level.background.image;
+        images[topKey] = imagesPath + level.pipes.top;
+        images[bottomKey] = imagesPath + level.pipes.bottom;
+
+        // Suelo y techo (opcionales): GROUND_LEVEL_1, CEILING_LEVEL_2, ...
+        const strip = (name, data) => {
+          if (!data) return null;
+          const key = `${name}_LEVEL_${id}`;
+          images[key] = imagesPath + data.image;
+          return { ...data, key };
+        };
+
+        // Capas de parallax: BACKGROUND_LEVEL_2_LAYER_0, ...
+        const layers = (level.background.layers || []).map((layer, index) => {
+          const key = `${backgroundKey}_LAYER_${index}`;
+          images[key] = imagesPath + layer.image;
+          return { ...layer, key };
+        });
+
+        levelConfigs[id] = {
+          ...level,
+          background: { ...level.background, key: backgroundKey, layers },
+          pipes: { ...level.pipes, top: topKey, bottom: bottomKey },
+          ground: strip("GROUND", level.ground),
+          ceiling: strip("CEILING", level.ceiling),
+          difficulty: {
+            ...level.difficulty,
+            gravity: level.difficulty.gravity ?? physics.gravity,
+            jumpForce: level.difficulty.jumpForce ?? -physics.jumpVelocity,
+          },
+        };
+      });
+
+    const audioFiles = {};
+    Object.entries(config.audio.files).forEach(([key, file]) => {
+      // "gameOver" -> "GAME_OVER"
+      const assetKey = key.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase();
+      audioFiles[assetKey] = audioPath + file;
+    });
+
+    const firstLevel = levelConfigs[levels.globalSettings.defaultLevel];
+
+    return {
+      // Dimensiones del canvas
+      BOARD_WIDTH: canvas.width,
+      BOARD_HEIGHT: canvas.height,
+
+      // Configuración del pájaro
+      BIRD: {
+        WIDTH: bird.width,
+        HEIGHT: bird.height,
+        INITIAL_X: bird.startX,
+        INITIAL_Y: bird.startY,
+        JUMP_VELOCITY: physics.jumpVelocity,
+        GRAVITY: physics.gravity,
+        MAX_FALL_SPEED: physics.maxFallSpeed,
+      },
+
+      // Configuración de tuberías (valores base del nivel inicial)
+      PIPES: {
+        WIDTH: pipes.width,
+        HEIGHT: pipes.height,
+        INITIAL_X: pipes.spawnX ?? canvas.width,
+        VELOCITY_X: -firstLevel.difficulty.pipeSpeed,
+        GAP_SIZE: firstLevel.difficulty.gapSize,
+        SPAWN_INTERVAL: firstLevel.difficulty.spawnInterval,
+      },
+
+      // Sistema de puntuación
+      SCORING: {
+        POINTS_PER_PIPE: scoring.pointsPerPipe,
+        BONUS_FOR_PERFECT_RUNS: scoring.bonusForPerfectRuns,
+        COMBO_MULTIPLIER: scoring.comboMultiplier,
+        COMBO_STEP: scoring.comboStep ?? 5,
+        COMBO_BONUS: scoring.comboBonus ?? 0.5,
+        MAX_COMBO_TIER: scoring.maxComboTier ?? 3,
+        PERFECT_TOLERANCE: scoring.perfectTolerance ?? 12,
+        SHOW_SCORE_POPUPS: scoring.showScorePopups,
+      },
+
+      // Rutas de assets
+      ASSETS: {
+        IMAGES: images,
+        AUDIO: audioFiles,
+      },
+
+      // Configuración de audio
+      AUDIO: {
+        DEFAULT_VOLUME: config.audio.masterVolume,
+        SOUND_ENABLED: config.audio.enabled && config.audio.soundEffects.enabled,
+        MUSIC_ENABLED:
+          config.audio.enabled && config.audio.backgroundMusic.enabled,
+      },
+
+      // Configuración de controles
+      CONTROLS: {
+        KEYBOARD: {
+          ENABLED: config.controls.keyboard.enabled,
+          JUMP: config.controls.keyboard.jumpKeys,
+          PAUSE: config.controls.keyboard.pauseKeys,
+          RESTART: config.controls.keyboard.restartKeys,
+        },
+        MOUSE: {
+          ENABLED: config.controls.mouse.enabled,
+          JUMP_ON_CLICK: config.controls.mouse.jumpOnClick,
+        },
+        TOUCH: {
+          ENABLED: config.controls.touch.enabled,
+          JUMP_ON_TAP: config.controls.touch.jumpOnTap,
+        },
+      },
+
+      // Configuración de niveles
+      LEVELS: levelConfigs,
+      PROGRESSION: levels.progression,
+      POWERUPS: levels.powerups,
+      COINS: config.gameplay.coins || { enabled: false },
+      LEVEL_SETTINGS: levels.globalSettings,
+
+      // Modo práctica (puntos de control)
+      PRACTICE: {
+        CHECKPOINT_INTERVAL: practice.checkpointInterval ?? 5,
+        MAX_START_PIPE: practice.maxStartPipe ?? 50,
+      },
+
+      // Contrarreloj (categorías por número de tuberías)
+      TIME_ATTACK: {
+        TARGETS: timeAttack.targets ?? [10, 25, 50],
+        PENALTY: timeAttack.collisionPenalty ?? 3000,
+        SPLITS: timeAttack.splits ?? 5,
+      },
+
+      // Interfaz (fundidos entre estados)
+      UI: config.display.ui,
+
+      // Secciones generales de config.json
+      GAME: config.game,
+      DIFFICULTY: config.gameplay.difficulty,
+      PERFORMANCE: config.performance,
+      DEVELOPMENT: config.development,
+      STORAGE: config.storage,
+      SOCIAL: config.social,
+      ACCESSIBILITY: config.accessibility,
+    };
+  }
+
+  /**
+   * Valida la estructura de config.json
+   * @param {Object} config - Contenido de config.json
+   */
+  validateConfig(config) {
+    const file = "config.json";
+
+    this._requireObject(config, file, "root");
+    this._requireNumber(config, file, "display.canvas.width");
+    this._requireNumber(config, file, "display.canvas.height");
+    this._requireObject(config, file, "display.ui");
+    this._requireNumber(config, file, "display.ui.animationDuration");
+    this._requireString(config, file, "assets.imagesPath");
+    this._requireString(config, file, "assets.audioPath");
+
+    this._requireNumber(config, file, "gameplay.physics.gravity");
+    this._requireNumber(config, file, "gameplay.physics.jumpVelocity");
+    this._requireNumber(config, file, "gameplay.physics.maxFallSpeed");
+    this._requireNumber(config, file, "gameplay.scoring.pointsPerPipe");
+    if (config.gameplay.scoring.comboStep !== undefined) {
+      this._requireNumber(config, file, "gameplay.scoring.comboStep");
+    }
+    this._requireObject(config, file, "gameplay.difficulty");
+    if (config.gameplay.coins !== undefined) {
+      this._requireObject(config, file, "gameplay.coins");
+      ["spawnChance", "value", "radius", "magnetRadius"].forEach((key) =>
+        this._requireNumber(config, file, `gameplay.coins.${key}`)
+      );
+    }
+    if (config.gameplay.practice !== undefined) {
+      this._requireNumber(config, file, "gameplay.practice.checkpointInterval");
+      this._requireNumber(config, file, "gameplay.practice.maxStartPipe");
+    }
+    if (config.gameplay.timeAttack !== undefined) {
+      this._requireArray(config, file, "gameplay.timeAttack.targets");
+      this._requireNumber(config, file, "gameplay.timeAttack.collisionPenalty");
+      this._requireNumber(config, file, "gameplay.timeAttack.splits");
+    }
+
+    this._requireNumber(config, file, "gameplay.bird.width");
+    this._requireNumber(config, file, "gameplay.bird.height");
+    this._requireNumber(config, file, "gameplay.bird.startX");
+    this._requireNumber(config, file, "gameplay.bird.startY");
+    this._requireString(config, file, "gameplay.bird.sprite");
+
+    this._requireNumber(config, file, "gameplay.pipes.width");
+    this._requireNumber(config, file, "gameplay.pipes.height");
+
+    this._requireNumber(config, file, "audio.masterVolume");
+    this._requireObject(config, file, "audio.files");
+    ["jump", "gameOver", "score"].forEach((key) =>
+      this._requireString(config, file, `audio.files.${key}`)
+    );
+
+    ["jumpKeys", "pauseKeys", "restartKeys"].forEach((key) =>
+      this._requireArray(config, file, `controls.keyboard.${key}`)
+    );
+    this._requireObject(config, file, "controls.mouse");
+    this._requireObject(config, file, "controls.touch");
+    this._requireObject(config, file, "performance");
+    this._requireNumber(config, file, "performance.simulationRate");
+    this._requireNumber(config, file, "performance.maxFrameTime");
+    this._requireObject(config, file, "development");
+    this._requireNumber(config, file, "storage.maxReplays");
+  }
+
+  /**
+   * Valida la estructura de levels.json
+   * @param {Object} levels - Contenido de levels.json
+   */
+  validateLevels(levels) {
+    const file = "levels.json";
+
+    this._requireObject(levels, file, "levels");
+    this._requireObject(levels, file, "progression");
+    this._requireObject(levels, file, "globalSettings");
+    this._requireNumber(levels, file, "globalSettings.defaultLevel");
+    this._requireNumber(levels, file, "globalSettings.levelTransitionDuration");
+
+    const ids = Object.keys(levels.levels)
+      .map(Number)
+      .sort((a, b) => a - b);
+
+    if (ids.length === 0) {
+      throw new Error(`${file}: at least one level is required`);
+    }
+
+    let previousUnlock = -Infinity;
+    ids.forEach((id, index) => {
+      const path = `levels.${id}`;
+
+      if (id !== index + 1) {
+        throw new Error(`${file}: level ids must be consecutive from 1`);
+      }
+      if (levels.levels[id].id !== id) {
+        throw new Error(`${file}: ${path}.id must be ${id}`);
+      }
+
+      this._requireString(levels, file, `${path}.name`);
+      this._requireNumber(levels, file, `${path}.unlockScore`);
+      this._requireString(levels, file, `${path}.background.image`);
+      if (levels.levels[id].background.layers !== undefined) {
+        this._requireArray(levels, file, `${path}.background.layers`);
+        levels.levels[id].background.layers.forEach((_, layer) => {
+          const layerPath = `${path}.background.layers.${layer}`;
+          this._requireString(levels, file, `${layerPath}.image`);
+          this._requireNumber(levels, file, `${layerPath}.speed`);
+        });
+      }
+      this._requireString(levels, file, `${path}.pipes.top`);
+      this._requireString(levels, file, `${path}.pipes.bottom`);
+      ["ground", "ceiling"].forEach((strip) => {
+        if (levels.levels[id][strip] === undefined) return;
+        this._requireString(levels, file, `${path}.${strip}.image`);
+        this._requireNumber(levels, file, `${path}.${strip}.height`);
+      });
+      ["pipeSpeed", "spawnInterval", "gapSize"].forEach((key) =>
+        this._requireNumber(levels, file, `${path}.difficulty.${key}`)
+      );
+      if (levels.levels[id].difficulty.adaptive !== undefined) {
+        this.validateAdaptiveBounds(levels, file, `${path}.difficulty`);
+      }
+      if (levels.levels[id].difficulty.curves !== undefined) {
+        this.validateCurves(levels, file, `${path}.difficulty.curves`);
+      }
+      if (levels.levels[id].pipeVariants !== undefined) {
+        this.validatePipeVariants(levels, file, `${path}.pipeVariants`);
+      }
+      this._requireObject(levels, file, `${path}.scoring`);
+      ["basePoints", "bonusMultiplier", "perfectBonus"].forEach((key) =>
+        this._requireNumber(levels, file, `${path}.scoring.${key}`)
+      );
+
+      const unlockScore = levels.levels[id].unlockScore;
+      if (unlockScore <= previousUnlock) {
+        throw new Error(
+          `${file}: ${path}.unlockScore must be greater than the previous level`
+        );
+      }
+      previousUnlock = unlockScore;
+    });
+
+    if (!levels.levels[levels.globalSettings.defaultLevel]) {
+      throw new Error(
+        `${file}: globalSettings.defaultLevel points to a missing level`
+      );
+    }
+  }
+
+  /**
+   * Valida los límites de la dificultad adaptativa de un nivel:
+   * [mínimo, máximo] que incluyan el valor base del nivel
+   */
+  validateAdaptiveBounds(levels, file, path) {
+    this._requireObject(levels, file, `${path}.adaptive`);
+
+    ["pipeSpeed", "spawnInterval", "gapSize"].forEach((key) => {
+      const boundsPath = `${path}.adaptive.${key}`;
+      const bounds = this._get(levels, boundsPath);
+      if (bounds === undefined) return;
+
+      this._requireArray(levels, file, boundsPath);
+      this._requireNumber(levels, file, `${boundsPath}.0`);
+      this._requireNumber(levels, file, `${boundsPath}.1`);
+
+      const base = this._get(levels, `${path}.${key}`);
+      if (!(bounds[0] <= base && base <= bounds[1])) {
+        throw new Error(
+          `${file}: "${boundsPath}" must be [min, max] around ${key} (${base})`
+        );
+      }
+    });
+  }
+
+  /**
+   * Valida las curvas de dificultad de un nivel: { by: "pipes" | "time",
+   * points: [[x, desplazamiento], ...] } con x creciente
+   */
+  validateCurves(levels, file, path) {
+    this._requireObject(levels, file, path);
+
+    ["pipeSpeed", "gapSize", "spawnInterval"].forEach((key) => {
+      const curvePath = `${path}.${key}`;
+      const curve = this._get(levels, curvePath);
+      if (curve === undefined) return;
+
+      this._requireObject(levels, file, curvePath);
+      if (!["pipes", "time"].includes(curve.by)) {
+        throw new Error(`${file}: "${curvePath}.by" must be "pipes" or "time"`);
+      }
+
+      this._requireArray(levels, file, `${curvePath}.points`);
+      if (curve.points.length === 0) {
+        throw new Error(`${file}: "${curvePath}.points" must not be empty`);
+      }
+
+      let previousX = -Infinity;
+      curve.points.forEach((_, index) => {
+        const pointPath = `${curvePath}.points.${index}`;
+        this._requireArray(levels, file, pointPath);
+        this._requireNumber(levels, file, `${pointPath}.0`);
+        this._requireNumber(levels, file, `${pointPath}.1`);
+
+        const x = curve.points[index][0];
+        if (x <= previousX) {
+          throw new Error(`${file}: "${curvePath}.points" x must increase`);
+        }
+        previousX = x;
+      });
+    });
+  }
+
+  /**
+   * Valida las variantes de tubería de un nivel: chance y types con
+   * oscillate, gate, slide o breakable
+   */
+  validatePipeVariants(levels, file, path) {
+    const variants = ["oscillate", "gate", "slide", "breakable"];
+
+    this._requireObject(levels, file, path);
+    this._requireNumber(levels, file, `${path}.chance`);
+    this._requireObject(levels, file, `${path}.types`);
+
+    Object.entries(this._get(levels, `${path}.types`)).forEach(
+      ([type, settings]) => {
+        const typePath = `${path}.types.${type}`;
+        if (!variants.includes(type)) {
+          throw new Error(
+            `${file}: "${typePath}" must be one of ${variants.join(", ")}`
+          );
+        }
+        this._requireObject(levels, file, typePath);
+        ["weight", "amplitude", "period", "offset", "distance"].forEach(
+          (key) => {
+            if (settings[key] !== undefined) {
+              this._requireNumber(levels, file, `${typePath}.${key}`);
+            }
+          }
+        );
+      }
+    );
+  }
+
+  /**
+   * Obtiene la configuración construida
+   */
+  getGameConfig() {
+    return this.gameConfig;
+  }
+
+  /**
+   * Descarga un archivo JSON de la carpeta de datos
+   */
+  async _fetchJSON(fileName) {
+    const url = this.basePath + fileName;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene un valor anidado a partir de una ruta "a.b.c"
+   */
+  _get(source, path) {
+    return path
+      .split(".")
+      .reduce(
+        (value, key) =>
+          value !== undefined && value !== null ? value[key] : undefined,
+        source
+      );
+  }
+
+  _requireObject(source, file, path) {
+    const value = path === "root" ? source : this._get(source, path);
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw new Error(`${file}: "${path}" must be an object`);
+    }
+  }
+
+  _requireNumber(source, file, path) {
+    const value = this._get(source, path);
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      throw new Error(`${file}: "${path}" must be a number`);
+    }
+  }
+
+  _requireString(source, file, path) {
+    const value = this._get(source, path);
+    if (typeof value !== "string" || value.length === 0) {
+      throw new Error(`${file}: "${path}" must be a non-empty string`);
+    }
+  }
+
+  _requireArray(source, file, path) {
+    if (!Array.isArray(this._get(source, path))) {
+      throw new Error(`${file}: "${path}" must be an array`);
+    }
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ConfigManager;
+}
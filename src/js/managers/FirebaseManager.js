@@ -1008,6 +1008,7 @@ class FirebaseManager {
         pipesPassedCount: Math.floor(score), // pipes pasados = score
         accuracy: gameStats.accuracy || 0,
         maxHeight: gameStats.maxHeight || 0,
+        coins: gameStats.coins || 0,
 
         // Metadatos
         gameVersion: "2.0.0",
@@ -1076,6 +1077,9 @@ class FirebaseManager {
           totalGames: firebase.firestore.FieldValue.increment(1),
           bestScore: score, // Se actualizará con el máximo en el servidor
           totalPlayTime: firebase.firestore.FieldValue.increment(gameTime),
+          totalCoins: firebase.firestore.FieldValue.increment(
+            gameStats.coins || 0
+          ),
           lastPlayed: firebase.firestore.FieldValue.serverTimestamp(),
           averageScore: score, // Se calculará correctamente en el servidor
           level: level,
@@ -1730,6 +1734,140 @@ class FirebaseManager {
       return [];
     }
   }
+
+  // ==================== CONTRARRELOJ ====================
+
+  /**
+   * Guarda un tiempo de contrarreloj en su propia categoría del leaderboard
+   * Un registro por usuario y número de tuberías, que solo se actualiza si
+   * el tiempo mejora (menos es mejor)
+   * @param {number} time - Tiempo final en ms (penalizaciones incluidas)
+   * @param {number} pipes - Tuberías de la categoría
+   * @param {Object} result - { penalties, splits, level, coins }
+   * @returns {Promise<boolean>} true si es un nuevo record en el leaderboard
+   */
+  async saveTimeAttackTime(time, pipes, result = {}) {
+    try {
+      if (!this.isReady() || !this.currentUser) {
+        console.warn(
+          "🔥 FirebaseManager: No está listo para guardar el tiempo"
+        );
+        return false;
+      }
+
+      if (this.currentUser.isAnonymous) {
+        console.log(
+          "🔥 FirebaseManager: Usuario anónimo - no se guarda el tiempo"
+        );
+        return false;
+      }
+
+      const userId = this.currentUser.uid;
+      console.log(
+        `🔥 FirebaseManager: Guardando contrarreloj - ${pipes} tuberías en ${time}ms`
+      );
+
+      // Id fijo por usuario y categoría: no hace falta buscar el registro
+      const recordRef = this.db
+        .collection("leaderboard_time_attack")
+        .doc(`${userId}_${pipes}`);
+      const current = await recordRef.get();
+
+      if (current.exists && current.data().time <= time) {
+        console.log(
+          `🔥 FirebaseManager: ${time}ms no mejora el record actual ${current.data().time}ms`
+        );
+        return false;
+      }
+
+      await recordRef.set({
+        userId: userId,
+        nickname: await this.getUserNickname(),
+        pipes: pipes,
+        time: time,
+        penalties: result.penalties || 0,
+        splits: (result.splits || []).map((split) => ({
+          pipe: split.pipe,
+          time: Math.round(split.time),
+        })),
+        level: result.level || 1,
+        coins: result.coins || 0,
+        timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+        gameVersion: "2.0.0",
+        platform: this.getBrowserInfo(),
+        deviceType: this.getDeviceType(),
+      });
+
+      console.log("🔥 FirebaseManager: ✅ Nuevo record de contrarreloj");
+      return true;
+    } catch (error) {
+      console.error(
+        "🔥 FirebaseManager: ❌ Error guardando contrarreloj:",
+        error
+      );
+      if (error.code === "permission-denied") {
+        console.error(
+          "🚨 Verifica las reglas de 'leaderboard_time_attack' (FIRESTORE_RULES.md)"
+        );
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Obtiene el leaderboard de una categoría de contrarreloj (menor tiempo
+   * primero)
+   * @param {number} pipes - Tuberías de la categoría
+   * @param {number} limit - Número máximo de resultados
+   * @returns {Promise<Array>}
+   */
+  async getTimeAttackLeaderboard(pipes, limit = 10) {
+    try {
+      if (!this.isReady()) {
+        return [];
+      }
+
+      const snapshot = await this.db
+        .collection("leaderboard_time_attack")
+        .where("pipes", "==", pipes)
+        .orderBy("time", "asc")
+        .limit(limit)
+        .get();
+
+      const leaderboard = snapshot.docs.map((doc, index) => {
+        const data = doc.data();
+        return {
+          rank: index + 1,
+          id: doc.id,
+          nickname: data.nickname || "Jugador Anónimo",
+          pipes: data.pipes,
+          time: data.time,
+          penalties: data.penalties || 0,
+          timestamp: data.timestamp?.toDate?.() || null,
+          isCurrentUser: data.userId === this.currentUser?.uid,
+        };
+      });
+
+      console.log(
+        `🔥 FirebaseManager: ✅ Contrarreloj ${pipes} obtenida (${leaderboard.length} entradas)`
+      );
+      return leaderboard;
+    } catch (error) {
+      console.error(
+        `🔥 FirebaseManager: ❌ Error obteniendo contrarreloj ${pipes}:`,
+        error
+      );
+      if (
+        error.message?.includes("index") ||
+        error.code === "failed-precondition"
+      ) {
+        console.error(
+          "🚨 Falta el índice compuesto de leaderboard_time_attack (FIRESTORE_INDEXES.md)"
+        );
+      }
+      return [];
+    }
+  }
 }
 
 // Verificar que no haya conflictos con otros managers
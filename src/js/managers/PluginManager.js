@@ -0,0 +1,399 @@
+/**
+ * PluginManager - Registro de plugins de terceros
+ * Un plugin es un objeto con un id y hooks opcionales (init, update,
+ * onGameOver, destroy). Desde init recibe una API con la que añade capas de
+ * render, widgets del HUD, modos de juego y ajustes sin tocar Game.js
+ */
+class PluginManager {
+  /**
+   * @param {Game} game - Instancia del juego
+   */
+  constructor(game) {
+    this.game = game;
+    this.storageManager = null;
+
+    this.plugins = new Map(); // id -> { plugin, api, unsubscribers }
+    this.layers = {};
+    PluginManager.LAYERS.forEach((layer) => (this.layers[layer] = []));
+    this.hudWidgets = [];
+    this.modes = new Map();
+    this.settings = new Map(); // "pluginId.key" -> definición
+    this.settingValues = {};
+
+    // Fin de partida del modo activo
+    game.events.on(GAME_EVENTS.GAME_OVER, (result) => {
+      const mode = game.activeMode;
+      if (mode && mode.onGameOver) {
+        this._callMode(mode, "onGameOver", result);
+      }
+    });
+  }
+
+  /**
+   * Capas de render, en orden de dibujado:
+   * background (detrás de las tuberías), world (sobre el pájaro, con el
+   * screen shake), hud (encima del HUD de la partida) y overlay (encima de
+   * todo, incluidos menús y fundidos)
+   */
+  static get LAYERS() {
+    return ["background", "world", "hud", "overlay"];
+  }
+
+  /**
+   * Tipos de ajuste admitidos
+   */
+  static get SETTING_TYPES() {
+    return ["boolean", "number", "string"];
+  }
+
+  /**
+   * Conecta el StorageManager donde se guardan los ajustes de los plugins
+   */
+  setStorage(storageManager) {
+    this.storageManager = storageManager;
+    this.settingValues = {
+      ...storageManager.load("pluginSettings", {}),
+      ...this.settingValues,
+    };
+  }
+
+  /**
+   * Registra un plugin y ejecuta su init
+   * @param {Object} plugin - { id, name, version, init, update, onGameOver, destroy }
+   * @returns {boolean} false si init falló (el plugin queda sin registrar)
+   */
+  register(plugin) {
+    if (!plugin || typeof plugin !== "object") {
+      throw new Error("Plugin must be an object");
+    }
+    if (typeof plugin.id !== "string" || plugin.id.length === 0) {
+      throw new Error('Plugin "id" must be a non-empty string');
+    }
+    if (this.plugins.has(plugin.id)) {
+      throw new Error(`Plugin already registered: "${plugin.id}"`);
+    }
+
+    const entry = { plugin, api: null, unsubscribers: [] };
+    entry.api = this._createApi(entry);
+    this.plugins.set(plugin.id, entry);
+
+    if (plugin.onGameOver) {
+      entry.unsubscribers.push(
+        this.game.events.on(GAME_EVENTS.GAME_OVER, (result) =>
+          this._call(entry, "onGameOver", result)
+        )
+      );
+    }
+
+    if (plugin.init) {
+      try {
+        plugin.init(entry.api);
+      } catch (error) {
+        console.error(`🧩 Plugin "${plugin.id}" failed to init:`, error);
+        this.unregister(plugin.id);
+        return false;
+      }
+    }
+
+    console.log(
+      `🧩 Plugin registered: ${plugin.name || plugin.id}` +
+        (plugin.version ? ` v${plugin.version}` : "")
+    );
+    return true;
+  }
+
+  /**
+   * Elimina un plugin con todo lo que haya añadido
+   * @param {string} id - Id del plugin
+   */
+  unregister(id) {
+    const entry = this.plugins.get(id);
+    if (!entry) return false;
+
+    this._call(entry, "destroy");
+    entry.unsubscribers.forEach((unsubscribe) => unsubscribe());
+
+    PluginManager.LAYERS.forEach((layer) => {
+      this.layers[layer] = this.layers[layer].filter(
+        (item) => item.pluginId !== id
+      );
+    });
+    this.hudWidgets = this.hudWidgets.filter((item) => item.pluginId !== id);
+
+    this.modes.forEach((mode, modeId) => {
+      if (mode.pluginId !== id) return;
+      this.modes.delete(modeId);
+      if (this.game.selectedMode === modeId) {
+        this.game.setMode(null);
+      }
+    });
+    this.settings.forEach((setting, key) => {
+      if (setting.pluginId === id) this.settings.delete(key);
+    });
+
+    this.plugins.delete(id);
+    console.log(`🧩 Plugin unregistered: ${id}`);
+    return true;
+  }
+
+  /**
+   * Hook por tick de simulación (partidas y repeticiones)
+   * @param {number} deltaTime - Duración fija del tick en ms
+   */
+  update(deltaTime) {
+    this.plugins.forEach((entry) => this._call(entry, "update", deltaTime));
+
+    const mode = this.game.activeMode;
+    if (mode && mode.update) {
+      this._callMode(mode, "update", deltaTime);
+    }
+  }
+
+  /**
+   * Prepara el modo activo para una partida nueva (o para reproducirla)
+   */
+  resetRun() {
+    const mode = this.game.activeMode;
+    if (mode && mode.setup) {
+      this._callMode(mode, "setup");
+    }
+  }
+
+  /**
+   * Dibuja una capa de render
+   * @param {string} layer - Una de PluginManager.LAYERS
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} alpha - Interpolación entre ticks
+   */
+  renderLayer(layer, ctx, alpha = 1) {
+    this.layers[layer].forEach((item) => {
+      ctx.save();
+      try {
+        item.render(ctx, alpha);
+      } catch (error) {
+        console.error(`🧩 Plugin "${item.pluginId}" ${layer} layer:`, error);
+      }
+      ctx.restore();
+    });
+  }
+
+  /**
+   * Dibuja los widgets del HUD apilados bajo el nivel
+   * @param {CanvasRenderingContext2D} ctx - Con el estilo de texto del HUD
+   * @param {number} x - Columna del HUD
+   * @param {number} y - Primera fila libre
+   */
+  renderHudWidgets(ctx, x, y) {
+    this.hudWidgets.forEach(({ pluginId, widget }) => {
+      ctx.save();
+      try {
+        if (widget.render) {
+          widget.render(ctx, x, y);
+        } else {
+          const text =
+            typeof widget.text === "function" ? widget.text() : widget.text;
+          if (text) {
+            ctx.strokeText(text, x, y);
+            ctx.fillText(text, x, y);
+          }
+        }
+      } catch (error) {
+        console.error(`🧩 Plugin "${pluginId}" widget "${widget.id}":`, error);
+      }
+      ctx.restore();
+      y += widget.height || 30;
+    });
+  }
+
+  /**
+   * Busca un modo registrado
+   * @param {string|null} id - Id del modo (null = clásico)
+   */
+  getMode(id) {
+    return id ? this.modes.get(id) || null : null;
+  }
+
+  /**
+   * Lista de modos: el clásico primero y después los de los plugins
+   */
+  getModes() {
+    return [
+      { id: null, name: "Classic" },
+      ...[...this.modes.values()].map(({ id, name, description, ranked }) => ({
+        id,
+        name,
+        description,
+        ranked,
+      })),
+    ];
+  }
+
+  /**
+   * Ajustes registrados con su valor actual
+   */
+  getSettings() {
+    return [...this.settings.values()].map((setting) => ({
+      plugin: setting.pluginId,
+      key: setting.key,
+      label: setting.label,
+      type: setting.type,
+      value: this.getSetting(setting.pluginId, setting.key),
+    }));
+  }
+
+  /**
+   * Valor de un ajuste (o su valor por defecto)
+   */
+  getSetting(pluginId, key) {
+    const fullKey = `${pluginId}.${key}`;
+    const setting = this.settings.get(fullKey);
+    if (!setting) return undefined;
+
+    return fullKey in this.settingValues
+      ? this.settingValues[fullKey]
+      : setting.default;
+  }
+
+  /**
+   * Cambia un ajuste, lo guarda y avisa al plugin
+   */
+  setSetting(pluginId, key, value) {
+    const fullKey = `${pluginId}.${key}`;
+    const setting = this.settings.get(fullKey);
+    if (!setting) {
+      throw new Error(`Unknown setting: "${fullKey}"`);
+    }
+    if (typeof value !== setting.type) {
+      throw new Error(`Setting "${fullKey}" must be a ${setting.type}`);
+    }
+
+    this.settingValues[fullKey] = value;
+    if (this.storageManager) {
+      this.storageManager.save("pluginSettings", this.settingValues);
+    }
+
+    const entry = this.plugins.get(pluginId);
+    if (entry) {
+      this._call(entry, "onSettingChange", key, value);
+    }
+    return true;
+  }
+
+  /**
+   * Resumen de los plugins registrados
+   */
+  list() {
+    return [...this.plugins.values()].map(({ plugin }) => ({
+      id: plugin.id,
+      name: plugin.name || plugin.id,
+      version: plugin.version || null,
+    }));
+  }
+
+  /**
+   * Elimina todos los plugins
+   */
+  destroy() {
+    [...this.plugins.keys()].forEach((id) => this.unregister(id));
+  }
+
+  /**
+   * API que recibe cada plugin en sus hooks
+   */
+  _createApi(entry) {
+    const game = this.game;
+    const pluginId = entry.plugin.id;
+
+    return {
+      game: game,
+      config: game.config,
+      events: GAME_EVENTS,
+
+      on: (eventName, handler) => {
+        const unsubscribe = game.events.on(eventName, handler);
+        entry.unsubscribers.push(unsubscribe);
+        return unsubscribe;
+      },
+
+      addRenderLayer: (layer, render) => {
+        if (!this.layers[layer]) {
+          throw new Error(
+            `Unknown render layer: "${layer}" (${PluginManager.LAYERS.join(", ")})`
+          );
+        }
+        this.layers[layer].push({ pluginId, render });
+      },
+
+      addHudWidget: (widget) => {
+        if (!widget || typeof widget.id !== "string") {
+          throw new Error('HUD widget "id" must be a string');
+        }
+        if (!widget.text && !widget.render) {
+          throw new Error(`HUD widget "${widget.id}" needs text or render`);
+        }
+        this.hudWidgets.push({ pluginId, widget });
+      },
+
+      addMode: (mode) => {
+        if (!mode || typeof mode.id !== "string" || !mode.name) {
+          throw new Error('Mode needs an "id" and a "name"');
+        }
+        if (this.modes.has(mode.id)) {
+          throw new Error(`Mode already registered: "${mode.id}"`);
+        }
+        this.modes.set(mode.id, {
+          ranked: false,
+          ...mode,
+          pluginId,
+          api: entry.api,
+        });
+      },
+
+      addSetting: (setting) => {
+        if (!setting || typeof setting.key !== "string") {
+          throw new Error('Setting "key" must be a string');
+        }
+        if (!PluginManager.SETTING_TYPES.includes(setting.type)) {
+          throw new Error(
+            `Setting "${setting.key}" type must be one of: ${PluginManager.SETTING_TYPES.join(", ")}`
+          );
+        }
+        if (typeof setting.default !== setting.type) {
+          throw new Error(
+            `Setting "${setting.key}" default must be a ${setting.type}`
+          );
+        }
+        this.settings.set(`${pluginId}.${setting.key}`, {
+          label: setting.key,
+          ...setting,
+          pluginId,
+        });
+      },
+
+      getSetting: (key) => this.getSetting(pluginId, key),
+      setSetting: (key, value) => this.setSetting(pluginId, key, value),
+    };
+  }
+
+  /**
+   * Ejecuta un hook del plugin; si falla se registra y el juego sigue
+   */
+  _call(entry, hook, ...args) {
+    const fn = entry.plugin[hook];
+    if (typeof fn !== "function") return;
+
+    try {
+      fn.call(entry.plugin, ...args, entry.api);
+    } catch (error) {
+      console.error(`🧩 Plugin "${entry.plugin.id}" ${hook}():`, error);
+    }
+  }
+
+  _callMode(mode, hook, ...args) {
+    try {
+      mode[hook](...args, mode.api);
+    } catch (error) {
+      console.error(`🧩 Mode "${mode.id}" ${hook}():`, error);
+    }
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * ReplayManager - Grabación y reproducción de partidas
+ * Una repetición es la semilla de la partida más la lista de inputs con el
+ * tick en que ocurrieron; al ser la simulación determinista, volver a
+ * aplicarlos reproduce la partida frame a frame
+ */
+class ReplayManager {
+  constructor(config) {
+    this.config = config;
+    this.storageManager = null;
+    this.recording = null;
+    this.maxReplays = config.STORAGE.maxReplays;
+  }
+
+  /**
+   * Velocidades de reproducción disponibles
+   */
+  static get SPEEDS() {
+    return [0.25, 0.5, 1, 2, 4];
+  }
+
+  /**
+   * Conecta el StorageManager donde se guardan las repeticiones
+   */
+  setStorage(storageManager) {
+    this.storageManager = storageManager;
+  }
+
+  /**
+   * Empieza a grabar una partida nueva
+   * @param {Object} run - { seed, level, mode, adaptiveSkill, practice,
+   * timeAttack } (adaptiveSkill: habilidad inicial si la dificultad era
+   * adaptativa; practice: { startPipe, interval } si era una práctica;
+   * timeAttack: { pipes, penalty, splits } si era una contrarreloj)
+   */
+  startRecording({
+    seed,
+    level,
+    mode = null,
+    adaptiveSkill = null,
+    practice = null,
+    timeAttack = null,
+  }) {
+    this.recording = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+      version: this.config.GAME.version,
+      simulationRate: this.config.PERFORMANCE.simulationRate,
+      seed: seed,
+      level: level,
+      mode: mode,
+      adaptiveSkill: adaptiveSkill,
+      practice: practice,
+      timeAttack: timeAttack,
+      inputs: [],
+    };
+  }
+
+  /**
+   * Registra un input de la partida en curso
+   * @param {string} type - "jump", "pause" o "resume"
+   * @param {number} tick - Tick de simulación en que ocurrió
+   * @param {number} time - Tiempo de juego en ms
+   */
+  record(type, tick, time) {
+    if (!this.recording) return;
+    this.recording.inputs.push({ tick, type, time: Math.round(time) });
+  }
+
+  /**
+   * Indica si hay una grabación en curso
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Cierra la grabación en curso y devuelve la repetición completa
+   * @param {Object} result - { score, level, ticks, gameTime }
+   * @returns {Object|null}
+   */
+  stopRecording(result) {
+    if (!this.recording) return null;
+
+    const replay = {
+      ...this.recording,
+      date: Date.now(),
+      score: result.score,
+      finalLevel: result.level,
+      ticks: result.ticks,
+      duration: Math.round(result.gameTime),
+    };
+
+    this.recording = null;
+    return replay;
+  }
+
+  /**
+   * Descarta la grabación en curso sin guardarla
+   */
+  cancelRecording() {
+    this.recording = null;
+  }
+
+  /**
+   * Guarda una repetición en el almacenamiento local
+   */
+  saveReplay(replay) {
+    if (!this.storageManager || !replay) return false;
+    return this.storageManager.saveReplay(replay, this.maxReplays);
+  }
+
+  /**
+   * Lista las repeticiones guardadas (más recientes primero)
+   */
+  getReplays() {
+    if (!this.storageManager) return [];
+    return this.storageManager.loadReplays();
+  }
+
+  /**
+   * Busca una repetición por id o por posición en la lista
+   */
+  getReplay(idOrIndex) {
+    const replays = this.getReplays();
+    if (typeof idOrIndex === "number") {
+      return replays[idOrIndex] || null;
+    }
+    return replays.find((replay) => replay.id === idOrIndex) || null;
+  }
+
+  /**
+   * Elimina una repetición guardada
+   */
+  deleteReplay(id) {
+    if (!this.storageManager) return false;
+    return this.storageManager.deleteReplay(id);
+  }
+
+  /**
+   * Crea el estado de reproducción de una repetición
+   * @param {Object} replay - Repetición guardada
+   * @returns {Object} Estado del cursor de reproducción
+   */
+  createPlayback(replay) {
+    if (replay.simulationRate !== this.config.PERFORMANCE.simulationRate) {
+      console.warn(
+        `Replay recorded at ${replay.simulationRate}Hz, playing at ${this.config.PERFORMANCE.simulationRate}Hz - it may desync`
+      );
+    }
+
+    return {
+      replay: replay,
+      inputIndex: 0,
+      speed: 1,
+      paused: false,
+      finished: false,
+      tickBudget: 0,
+    };
+  }
+
+  /**
+   * Devuelve los inputs que deben aplicarse antes de simular el tick dado
+   * y avanza el cursor
+   * @param {Object} playback - Estado creado con createPlayback()
+   * @param {number} tick - Tick actual de la simulación
+   * @returns {Array}
+   */
+  consumeInputs(playback, tick) {
+    const inputs = playback.replay.inputs;
+    const due = [];
+
+    while (
+      playback.inputIndex < inputs.length &&
+      inputs[playback.inputIndex].tick <= tick
+    ) {
+      due.push(inputs[playback.inputIndex]);
+      playback.inputIndex++;
+    }
+
+    return due;
+  }
+
+  /**
+   * Cambia la velocidad de reproducción un paso hacia arriba o abajo
+   * @param {Object} playback - Estado de reproducción
+   * @param {number} direction - 1 para acelerar, -1 para frenar
+   */
+  changeSpeed(playback, direction) {
+    const speeds = ReplayManager.SPEEDS;
+    const index = speeds.indexOf(playback.speed);
+    const next = Math.max(0, Math.min(speeds.length - 1, index + direction));
+    playback.speed = speeds[next];
+    return playback.speed;
+  }
+}
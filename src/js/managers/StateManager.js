@@ -2,14 +2,19 @@
  * StateManager - Gestión avanzada de estados del juego
  * Maneja transiciones suaves y stack de estados
  */
-export class StateManager {
-  constructor() {
+class StateManager {
+  /**
+   * @param {Object} context - Objeto que recibe cada estado al crearse (el Game)
+   */
+  constructor(context = null) {
+    this.context = context;
     this.states = new Map();
     this.currentState = null;
     this.previousState = null;
     this.stateStack = [];
     this.isTransitioning = false;
     this.transitionDuration = 300; // ms
+    this.transition = null; // { type: "in" | "out", overlay, start }
     this.onStateChange = null;
   }
 
@@ -51,8 +56,16 @@ export class StateManager {
         }
       }
 
+      // Un cambio completo sustituye también a los estados apilados
+      while (this.stateStack.length > 0) {
+        const stacked = this.stateStack.pop();
+        if (stacked.exit) {
+          await stacked.exit();
+        }
+      }
+
       // Crear nuevo estado
-      const newState = new StateClass(data);
+      const newState = new StateClass(this.context, data);
       this.currentState = newState;
 
       // Entrar al nuevo estado
@@ -110,15 +123,16 @@ export class StateManager {
       }
 
       // Crea y activa el nuevo estado
-      const newState = new StateClass(data);
+      const newState = new StateClass(this.context, data);
       this.currentState = newState;
 
       if (this.currentState.enter) {
         await this.currentState.enter(data);
       }
 
+      // El overlay aparece con fade sobre el estado pausado
       if (transition) {
-        await this._transitionIn();
+        await this._transitionIn(true);
       }
 
       this.isTransitioning = false;
@@ -147,10 +161,10 @@ export class StateManager {
     try {
       this.isTransitioning = true;
 
-      // Salir del estado actual
+      // El overlay desaparece con fade; el estado de debajo ya estaba visible
       if (this.currentState) {
         if (transition) {
-          await this._transitionOut();
+          await this._transitionOut(true);
         }
 
         if (this.currentState.exit) {
@@ -165,10 +179,6 @@ export class StateManager {
         this.currentState.resume();
       }
 
-      if (transition) {
-        await this._transitionIn();
-      }
-
       this.isTransitioning = false;
       return true;
     } catch (error) {
@@ -231,9 +241,16 @@ export class StateManager {
       }
     });
 
-    // Renderiza el estado actual
+    // Renderiza el estado actual (los overlays con su fade propio)
     if (this.currentState && this.currentState.render) {
-      this.currentState.render(ctx);
+      if (this.transition && this.transition.overlay) {
+        ctx.save();
+        ctx.globalAlpha = 1 - this._getTransitionAlpha();
+        this.currentState.render(ctx);
+        ctx.restore();
+      } else {
+        this.currentState.render(ctx);
+      }
     }
 
     // Renderiza efecto de transición si está activo
@@ -271,32 +288,53 @@ export class StateManager {
   }
 
   /**
-   * Transición de salida
+   * Transición de salida (fundido a negro, o del overlay si overlay=true)
    */
-  async _transitionOut() {
-    return new Promise((resolve) => {
-      // Aquí puedes agregar efectos de fade out, slide, etc.
-      setTimeout(resolve, this.transitionDuration / 2);
-    });
+  async _transitionOut(overlay = false) {
+    return this._runTransition("out", overlay);
   }
 
   /**
-   * Transición de entrada
+   * Transición de entrada (desde negro, o del overlay si overlay=true)
    */
-  async _transitionIn() {
+  async _transitionIn(overlay = false) {
+    return this._runTransition("in", overlay);
+  }
+
+  /**
+   * Registra la fase de transición y espera a que termine
+   */
+  _runTransition(type, overlay) {
+    this.transition = { type, overlay, start: performance.now() };
+
     return new Promise((resolve) => {
-      // Aquí puedes agregar efectos de fade in, slide, etc.
-      setTimeout(resolve, this.transitionDuration / 2);
+      setTimeout(() => {
+        this.transition = null;
+        resolve();
+      }, this.transitionDuration / 2);
     });
   }
 
+  /**
+   * Opacidad del fundido (0 = nada, 1 = negro / overlay oculto)
+   */
+  _getTransitionAlpha() {
+    if (!this.transition) return 0;
+
+    const elapsed = performance.now() - this.transition.start;
+    const progress = Math.min(1, elapsed / (this.transitionDuration / 2));
+    return this.transition.type === "out" ? progress : 1 - progress;
+  }
+
   /**
    * Renderiza efectos de transición
    */
   _renderTransition(ctx) {
-    // Efecto de fade simple
+    if (!this.transition || this.transition.overlay) return;
+
+    // Fundido a negro según el progreso de la fase
     ctx.save();
-    ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+    ctx.fillStyle = `rgba(0, 0, 0, ${this._getTransitionAlpha()})`;
     ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
     ctx.restore();
   }
@@ -320,6 +358,7 @@ export class StateManager {
     this.currentState = null;
     this.previousState = null;
     this.isTransitioning = false;
+    this.transition = null;
   }
 
   /**
@@ -246,6 +246,74 @@ class StorageManager {
     });
   }
 
+  /**
+   * Guarda el saldo de monedas acumulado entre partidas
+   */
+  saveCoinBalance(balance) {
+    return this.save("coins", balance);
+  }
+
+  /**
+   * Carga el saldo de monedas acumulado entre partidas
+   */
+  loadCoinBalance() {
+    return this.load("coins", 0);
+  }
+
+  /**
+   * Guarda la preferencia y el historial de la dificultad adaptativa
+   */
+  saveAdaptiveDifficulty(data) {
+    return this.save("adaptiveDifficulty", data);
+  }
+
+  /**
+   * Carga la preferencia y el historial de la dificultad adaptativa
+   * (enabled null = lo que diga config.json)
+   */
+  loadAdaptiveDifficulty() {
+    return this.load("adaptiveDifficulty", { enabled: null, history: [] });
+  }
+
+  /**
+   * Guarda las mejores marcas de la contrarreloj (por número de tuberías)
+   */
+  saveTimeAttackBests(bests) {
+    return this.save("timeAttackBests", bests);
+  }
+
+  /**
+   * Carga las mejores marcas de la contrarreloj: { [pipes]: { time,
+   * penalties, splits, date } }
+   */
+  loadTimeAttackBests() {
+    return this.load("timeAttackBests", {});
+  }
+
+  /**
+   * Guarda una repetición (mantiene solo las más recientes)
+   */
+  saveReplay(replay, maxReplays = 10) {
+    const replays = this.loadReplays().filter((item) => item.id !== replay.id);
+    replays.unshift(replay);
+    return this.save("replays", replays.slice(0, maxReplays));
+  }
+
+  /**
+   * Carga las repeticiones guardadas (más recientes primero)
+   */
+  loadReplays() {
+    return this.load("replays", []);
+  }
+
+  /**
+   * Elimina una repetición guardada
+   */
+  deleteReplay(id) {
+    const replays = this.loadReplays().filter((item) => item.id !== id);
+    return this.save("replays", replays);
+  }
+
   /**
    * Exporta todos los datos
    */
@@ -0,0 +1,82 @@
+/**
+ * AchievementsState.js - Lista de logros y su estado
+ */
+
+class AchievementsState extends GameState {
+  constructor(game, data) {
+    super(game, data);
+    this.achievements = game.achievements.getAchievements();
+  }
+
+  handleInput(action, event) {
+    const code = event && event.code;
+
+    if (action === "pause" || action === "jump" || code === "KeyA") {
+      this.game.changeState(this.game.states.MENU);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Renderiza la lista de logros (desbloqueados en dorado)
+   */
+  render(ctx) {
+    const canvas = this.game.canvas;
+    const centerX = canvas.width / 2;
+    const { unlocked, total } = this.game.achievements.getProgress();
+
+    ctx.save();
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "white";
+    ctx.font = "bold 32px Arial";
+    ctx.strokeText("ACHIEVEMENTS", centerX, 70);
+    ctx.fillText("ACHIEVEMENTS", centerX, 70);
+
+    ctx.font = "bold 16px Arial";
+    ctx.strokeText(`${unlocked} / ${total}`, centerX, 100);
+    ctx.fillText(`${unlocked} / ${total}`, centerX, 100);
+
+    this.achievements.forEach((achievement, index) => {
+      const y = 130 + index * 62;
+
+      ctx.fillStyle = achievement.unlocked
+        ? "rgba(255, 215, 0, 0.25)"
+        : "rgba(255, 255, 255, 0.08)";
+      ctx.fillRect(20, y, canvas.width - 40, 54);
+
+      ctx.textAlign = "left";
+      ctx.font = "24px Arial";
+      ctx.fillStyle = "white";
+      ctx.fillText(achievement.unlocked ? "🏆" : "🔒", 30, y + 36);
+
+      ctx.font = "bold 16px Arial";
+      ctx.fillStyle = achievement.unlocked ? "#FFD700" : "#BBBBBB";
+      ctx.fillText(achievement.name, 70, y + 22);
+
+      ctx.font = "12px Arial";
+      ctx.fillStyle = "white";
+      ctx.fillText(achievement.description, 70, y + 42);
+
+      if (achievement.unlockedAt) {
+        const date = new Date(achievement.unlockedAt).toLocaleDateString();
+        ctx.textAlign = "right";
+        ctx.fillStyle = "#FFD700";
+        ctx.fillText(date, canvas.width - 30, y + 22);
+      }
+    });
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "white";
+    ctx.font = "bold 14px Arial";
+    const helpY = canvas.height - 40;
+    ctx.strokeText("ESC Back", centerX, helpY);
+    ctx.fillText("ESC Back", centerX, helpY);
+
+    ctx.restore();
+  }
+}
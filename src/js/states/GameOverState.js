@@ -0,0 +1,364 @@
+/**
+ * GameOverState.js - Pantalla de fin de partida
+ * Según el usuario de Firebase ofrece registrarse o ver el ranking. En
+ * contrarreloj muestra el tiempo y los parciales frente a la mejor marca
+ */
+
+class GameOverState extends GameState {
+  constructor(game, data) {
+    super(game, data);
+    this.userState = null; // 'permanent', 'anonymous', 'offline'
+
+    // Control de logs para evitar spam
+    this.registrationPromptLogged = false;
+    this.registrationPromptRenderedLogged = false;
+  }
+
+  enter() {
+    // La práctica no se guarda: ni leaderboard ni registro
+    if (this.game.isPractice) {
+      this.userState = "offline";
+      return;
+    }
+
+    // Verificar el usuario una sola vez por game over
+    this.checkUserState();
+  }
+
+  handleInput(action, event) {
+    const game = this.game;
+
+    if (action === "restart") {
+      game.restart();
+      return true;
+    }
+    if (action === "key" && event.code === "KeyV") {
+      game.openReplayMenu();
+      return true;
+    }
+    if (action === "key" && event.code === "KeyA") {
+      game.openAchievements();
+      return true;
+    }
+    if (action !== "jump") return false;
+
+    if (game.isPractice) {
+      game.restart();
+      return true;
+    }
+
+    console.log("🔥 Game: handleInput jump in GAME_OVER state");
+    // ACTUALIZADO: Usar getUserInfo para detección precisa
+    if (game.firebaseManager && game.firebaseManager.isReady()) {
+      const userInfo = game.firebaseManager.getUserInfo();
+      console.log("🔥 Game: Firebase listo, verificando estado real...");
+      console.log("🔥 Game: Info de usuario:", userInfo);
+
+      if (userInfo && userInfo.isPermanent) {
+        // Usuario registrado permanentemente - mostrar leaderboard
+        console.log("🔥 Game: Usuario permanente - mostrando leaderboard");
+        game.showLeaderboard();
+        return true; // IMPORTANTE: No continuar con restart
+      } else if (userInfo && userInfo.isAnonymous) {
+        // Usuario anónimo - mostrar modal de registro
+        console.log("🔥 Game: Usuario anónimo - mostrando modal de registro");
+        game.showRegistrationModal();
+        return true; // IMPORTANTE: No continuar con restart
+      }
+    }
+
+    // Fallback - reiniciar juego si no hay Firebase o hay error
+    console.log("🔥 Game: Firebase no disponible o error, reiniciando juego");
+    game.restart();
+    return true;
+  }
+
+  /**
+   * Verifica el estado del usuario (una sola vez, al entrar a Game Over)
+   */
+  checkUserState() {
+    console.log("🔥 Game: Verificando estado de usuario para Game Over...");
+
+    if (!this.game.firebaseManager || !this.game.firebaseManager.isReady()) {
+      console.log("🔥 Game: Firebase no disponible");
+      this.userState = "offline";
+      return;
+    }
+
+    try {
+      const userInfo = this.game.firebaseManager.getUserInfo();
+      console.log("🔥 Game: Estado de usuario detectado:", userInfo);
+
+      if (userInfo && userInfo.isPermanent) {
+        console.log("🔥 Game: Usuario permanente - mostrando leaderboard");
+        this.userState = "permanent";
+      } else if (userInfo && userInfo.isAnonymous) {
+        console.log("🔥 Game: Usuario anónimo - mostrando registro");
+        this.userState = "anonymous";
+      } else {
+        console.log("🔥 Game: Estado desconocido - fallback");
+        this.userState = "offline";
+      }
+    } catch (error) {
+      console.error("🔥 Game: Error verificando estado:", error);
+      this.userState = "offline";
+    }
+  }
+
+  /**
+   * Renderiza pantalla de game over
+   */
+  render(ctx) {
+    const game = this.game;
+
+    // Overlay semi-transparente
+    ctx.save();
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect(0, 0, game.canvas.width, game.canvas.height);
+
+    // Configurar estilo de texto
+    ctx.textAlign = "center";
+    ctx.font = "bold 48px Arial";
+    ctx.fillStyle = "white";
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 3;
+
+    // Título Game Over
+    const titleY = game.canvas.height / 3;
+    const timeAttack = game.simulation.timeAttack.getState();
+    let title = game.isPractice ? "PRACTICE" : "GAME OVER";
+    if (timeAttack) {
+      title = timeAttack.completed ? "FINISH!" : "TIME ATTACK";
+    }
+    ctx.strokeText(title, game.canvas.width / 2, titleY);
+    ctx.fillText(title, game.canvas.width / 2, titleY);
+
+    // Puntuación final
+    ctx.font = "bold 24px Arial";
+    const scoreY = titleY + 60;
+
+    if (game.isNewRecord) {
+      ctx.fillStyle = "#FFD700";
+      ctx.strokeText(
+        "🎉 ¡NUEVO RECORD! 🎉",
+        game.canvas.width / 2,
+        scoreY - 30
+      );
+      ctx.fillText("🎉 ¡NUEVO RECORD! 🎉", game.canvas.width / 2, scoreY - 30);
+    }
+
+    ctx.fillStyle = "white";
+    let resultText = `Puntuación Final: ${game.score}`;
+    if (timeAttack) {
+      resultText = timeAttack.completed
+        ? `Tiempo: ${TimeAttackSystem.formatTime(timeAttack.time)}`
+        : `Tuberías: ${timeAttack.passed}/${timeAttack.pipes}`;
+    }
+    ctx.strokeText(resultText, game.canvas.width / 2, scoreY);
+    ctx.fillText(resultText, game.canvas.width / 2, scoreY);
+
+    // Monedas de la partida y saldo acumulado
+    ctx.font = "bold 18px Arial";
+    ctx.fillStyle = "#FFD700";
+    const coinsText = `🪙 +${game.coins}  (total ${game.coinBalance})`;
+    ctx.strokeText(coinsText, game.canvas.width / 2, scoreY + 32);
+    ctx.fillText(coinsText, game.canvas.width / 2, scoreY + 32);
+
+    // Desglose de la puntuación (solo las partes que han sumado algo), o
+    // los parciales de la contrarreloj
+    const { breakdown, bestCombo, perfects } = game.simulation.scoring;
+    let rows = [`Pipes: ${breakdown.base}`];
+    if (breakdown.combo > 0) {
+      rows.push(`Combo (best ${bestCombo}): +${breakdown.combo}`);
+    }
+    if (perfects > 0) {
+      rows.push(`Perfect x${perfects}: +${breakdown.perfect}`);
+    }
+    if (breakdown.powerUp > 0) {
+      rows.push(`Power-ups: +${breakdown.powerUp}`);
+    }
+    if (timeAttack) {
+      rows = this.getTimeAttackRows(timeAttack);
+    }
+
+    const practice = game.simulation.practice.getState();
+    if (practice) {
+      const { deaths, checkpoint } = practice;
+      rows.push(`Deaths: ${deaths}   Checkpoint: pipe ${checkpoint}`);
+    }
+
+    ctx.font = "bold 14px Arial";
+    ctx.fillStyle = "white";
+    rows.forEach((row, index) => {
+      const rowY = scoreY + 56 + index * 18;
+      ctx.strokeText(row, game.canvas.width / 2, rowY);
+      ctx.fillText(row, game.canvas.width / 2, rowY);
+    });
+
+    let instructY = scoreY + 74 + rows.length * 18;
+
+    // Renderizar UI según estado detectado en enter() (no en cada frame)
+    if (this.userState === "permanent") {
+      this.renderLeaderboardPrompt(ctx, instructY);
+      instructY += 100;
+    } else if (this.userState === "anonymous") {
+      this.renderRegistrationPrompt(ctx, instructY);
+      instructY += 100;
+    }
+
+    // Instrucciones básicas
+    ctx.font = "bold 16px Arial";
+    ctx.fillStyle = "white";
+    ctx.strokeText(
+      "Presiona R para Reiniciar",
+      game.canvas.width / 2,
+      instructY
+    );
+    ctx.fillText("Presiona R para Reiniciar", game.canvas.width / 2, instructY);
+
+    ctx.strokeText(
+      "Presiona V para ver Repeticiones",
+      game.canvas.width / 2,
+      instructY + 25
+    );
+    ctx.fillText(
+      "Presiona V para ver Repeticiones",
+      game.canvas.width / 2,
+      instructY + 25
+    );
+
+    ctx.restore();
+  }
+
+  /**
+   * Filas de la contrarreloj: penalizaciones y cada parcial con la
+   * diferencia frente al mismo parcial de la mejor marca anterior
+   * @param {Object} timeAttack - Estado final de TimeAttackSystem
+   * @returns {Array<string>}
+   */
+  getTimeAttackRows({ penalties, penaltyTime, splits }) {
+    const previous = this.game.timeAttackPrevious;
+    const rows = [
+      `Penalties: ${penalties} (+${(penaltyTime / 1000).toFixed(1)}s)`,
+    ];
+
+    splits.forEach(({ pipe, time }, index) => {
+      let row = `Pipe ${pipe}: ${TimeAttackSystem.formatTime(time)}`;
+      const rival = previous && previous.splits[index];
+      if (rival && rival.pipe === pipe) {
+        const delta = (time - rival.time) / 1000;
+        row += `  (${delta > 0 ? "+" : "-"}${Math.abs(delta).toFixed(2)})`;
+      }
+      rows.push(row);
+    });
+
+    return rows;
+  }
+
+  /**
+   * Renderiza el prompt de registro para usuarios anónimos
+   * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+   * @param {number} startY - Posición Y inicial
+   */
+  renderRegistrationPrompt(ctx, startY) {
+    // Solo log una vez por game over
+    if (!this.registrationPromptLogged) {
+      console.log("🔥 Game: Rendering registration prompt at Y:", startY);
+      this.registrationPromptLogged = true;
+    }
+
+    // Fondo del prompt con mejor dimensionado
+    ctx.fillStyle = "rgba(255, 165, 0, 0.4)";
+    ctx.strokeStyle = "#FFA500";
+    ctx.lineWidth = 3;
+    const promptWidth = 400;
+    const promptHeight = 90;
+    const promptX = (this.game.canvas.width - promptWidth) / 2;
+    const promptY = startY - 20;
+
+    ctx.fillRect(promptX, promptY, promptWidth, promptHeight);
+    ctx.strokeRect(promptX, promptY, promptWidth, promptHeight);
+
+    // Texto del prompt - Ajustado al tamaño del cuadro
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#FFD700";
+    ctx.font = "bold 16px Arial";
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 2;
+
+    // Texto principal dividido en dos líneas para que quepa
+    ctx.strokeText(
+      "🏆 ¡Regístrate para guardar",
+      this.game.canvas.width / 2,
+      startY + 8
+    );
+    ctx.fillText(
+      "🏆 ¡Regístrate para guardar",
+      this.game.canvas.width / 2,
+      startY + 8
+    );
+
+    ctx.strokeText("tu puntuación!", this.game.canvas.width / 2, startY + 26);
+    ctx.fillText("tu puntuación!", this.game.canvas.width / 2, startY + 26);
+
+    // Instrucción de acción - Más pequeña y dentro del cuadro
+    ctx.fillStyle = "white";
+    ctx.font = "bold 14px Arial";
+    ctx.lineWidth = 1;
+    ctx.strokeText(
+      "Presiona SPACE para registrarte",
+      this.game.canvas.width / 2,
+      startY + 48
+    );
+    ctx.fillText(
+      "Presiona SPACE para registrarte",
+      this.game.canvas.width / 2,
+      startY + 48
+    );
+
+    if (!this.registrationPromptRenderedLogged) {
+      console.log("🔥 Game: Registration prompt rendered successfully");
+      this.registrationPromptRenderedLogged = true;
+    }
+  }
+
+  /**
+   * Renderiza el prompt de leaderboard para usuarios registrados
+   * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+   * @param {number} startY - Posición Y inicial
+   */
+  renderLeaderboardPrompt(ctx, startY) {
+    // Fondo del prompt
+    ctx.fillStyle = "rgba(0, 191, 255, 0.2)";
+    ctx.strokeStyle = "#00BFFF";
+    ctx.lineWidth = 2;
+    const promptWidth = 260;
+    const promptHeight = 45;
+    const promptX = (this.game.canvas.width - promptWidth) / 2;
+    const promptY = startY - 5;
+
+    ctx.fillRect(promptX, promptY, promptWidth, promptHeight);
+    ctx.strokeRect(promptX, promptY, promptWidth, promptHeight);
+
+    // Texto del prompt
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#87CEEB";
+    ctx.font = "bold 16px Arial";
+    ctx.strokeText("🥇 Ver Ranking Global", this.game.canvas.width / 2, startY + 15);
+    ctx.fillText("🥇 Ver Ranking Global", this.game.canvas.width / 2, startY + 15);
+
+    // Instrucción de acción
+    ctx.fillStyle = "white";
+    ctx.font = "14px Arial";
+    ctx.strokeText(
+      "Presiona SPACE para ver leaderboard",
+      this.game.canvas.width / 2,
+      startY + 30
+    );
+    ctx.fillText(
+      "Presiona SPACE para ver leaderboard",
+      this.game.canvas.width / 2,
+      startY + 30
+    );
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * GameState.js - Clase base de los estados registrados en StateManager
+ * Cada estado recibe el Game al crearse; los hooks vacíos se sobrescriben
+ * solo cuando el estado los necesita
+ */
+
+class GameState {
+  /**
+   * @param {Game} game - Instancia del juego
+   * @param {Object} data - Datos pasados a changeState/pushState
+   */
+  constructor(game, data = {}) {
+    this.game = game;
+    this.data = data;
+  }
+
+  /**
+   * Al entrar en el estado
+   */
+  enter() {}
+
+  /**
+   * Al salir del estado
+   */
+  exit() {}
+
+  /**
+   * Cuando se apila otro estado encima (overlay)
+   */
+  pause() {}
+
+  /**
+   * Cuando se retira el overlay que tenía encima
+   */
+  resume() {}
+
+  /**
+   * Un tick de simulación
+   * @param {number} deltaTime - Duración fija del tick en ms
+   */
+  update(deltaTime) {}
+
+  /**
+   * Dibuja la interfaz del estado sobre el mundo
+   * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+   */
+  render(ctx) {}
+
+  /**
+   * Procesa una acción de input
+   * @param {string} action - "jump", "pause", "restart", "pointer" o "key"
+   * @param {Event|Object} event - Evento original (o { clientX, clientY })
+   * @returns {boolean} true si el estado consumió la acción
+   */
+  handleInput(action, event) {
+    return false;
+  }
+
+  /**
+   * Indica si la simulación avanza en este estado (para interpolar el render)
+   */
+  isSimulating() {
+    return false;
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * LeaderboardState.js - Ranking global (se apila sobre GameOverState)
+ * Tras una contrarreloj muestra los tiempos de su categoría
+ */
+
+class LeaderboardState extends GameState {
+  /**
+   * @param {Game} game - Instancia del juego
+   * @param {Object} data - { globalLeaderboard, userRanking, nickname,
+   *   timeAttack } (timeAttack: tuberías de la categoría, o null)
+   */
+  constructor(game, data) {
+    super(game, data);
+    this.entries = data.globalLeaderboard || [];
+    this.userRanking = data.userRanking || null;
+    this.nickname = data.nickname || "";
+    this.timeAttack = data.timeAttack || null;
+  }
+
+  handleInput(action) {
+    if (action === "pause") {
+      // Volver a la pantalla de game over
+      this.game.stateManager.popState(this.game.fadeTransitions);
+      return true;
+    }
+    if (action === "jump" || action === "restart") {
+      this.game.restart();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Renderiza el top 10 global y la posición del jugador
+   */
+  render(ctx) {
+    const canvas = this.game.canvas;
+    const centerX = canvas.width / 2;
+
+    ctx.save();
+    ctx.fillStyle = "rgba(0, 0, 30, 0.85)";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.textAlign = "center";
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 3;
+
+    // Título
+    ctx.font = "bold 32px Arial";
+    ctx.fillStyle = "#FFD700";
+    const title = this.timeAttack ? "⏱️ TOP 10" : "🏆 TOP 10";
+    ctx.strokeText(title, centerX, 70);
+    ctx.fillText(title, centerX, 70);
+
+    ctx.font = "bold 16px Arial";
+    ctx.fillStyle = "white";
+    const greeting = this.timeAttack
+      ? `¡Hola, ${this.nickname}! · ${this.timeAttack} tuberías`
+      : `¡Hola, ${this.nickname}!`;
+    ctx.strokeText(greeting, centerX, 100);
+    ctx.fillText(greeting, centerX, 100);
+
+    // Tabla global
+    this.entries.forEach((entry, index) => {
+      const y = 145 + index * 30;
+      ctx.fillStyle = entry.isCurrentUser ? "#FFD700" : "white";
+
+      ctx.textAlign = "left";
+      ctx.strokeText(`#${entry.rank} ${entry.nickname}`, 40, y);
+      ctx.fillText(`#${entry.rank} ${entry.nickname}`, 40, y);
+
+      const value = this.timeAttack
+        ? TimeAttackSystem.formatTime(entry.time)
+        : `${entry.score}`;
+      ctx.textAlign = "right";
+      ctx.strokeText(value, canvas.width - 40, y);
+      ctx.fillText(value, canvas.width - 40, y);
+    });
+
+    // Resumen del jugador (en contrarreloj, su mejor marca local)
+    ctx.textAlign = "center";
+    const best =
+      this.timeAttack && this.game.getTimeAttackBest(this.timeAttack);
+    if (best) {
+      const summaryY = 145 + 10 * 30 + 20;
+      const bestText = `Tu mejor tiempo: ${TimeAttackSystem.formatTime(
+        best.time
+      )}`;
+      ctx.fillStyle = "#87CEEB";
+      ctx.font = "bold 15px Arial";
+      ctx.strokeText(bestText, centerX, summaryY);
+      ctx.fillText(bestText, centerX, summaryY);
+    } else if (this.userRanking && this.userRanking.bestScore > 0) {
+      const summaryY = 145 + 10 * 30 + 20;
+      const ranking = this.userRanking;
+
+      ctx.fillStyle = "#87CEEB";
+      ctx.font = "bold 15px Arial";
+      const lines = [
+        `Tu mejor puntuación: ${ranking.bestScore} (#${ranking.rank})`,
+        `Juegos: ${ranking.totalGames} · Promedio: ${ranking.averageScore}`,
+      ];
+      lines.forEach((line, index) => {
+        ctx.strokeText(line, centerX, summaryY + index * 22);
+        ctx.fillText(line, centerX, summaryY + index * 22);
+      });
+    }
+
+    // Instrucciones
+    ctx.fillStyle = "white";
+    ctx.font = "bold 14px Arial";
+    const helpY = canvas.height - 30;
+    ctx.strokeText("SPACE Jugar de nuevo   ESC Volver", centerX, helpY);
+    ctx.fillText("SPACE Jugar de nuevo   ESC Volver", centerX, helpY);
+
+    ctx.restore();
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * LevelSelectState.js - Selector del nivel inicial
+ * Los niveles se desbloquean al alcanzarlos jugando (su unlockScore de
+ * levels.json) y el desbloqueo se guarda en el StorageManager. Con la
+ * práctica activada se puede empezar en cualquier nivel y tubería
+ */
+
+class LevelSelectState extends GameState {
+  constructor(game, data) {
+    super(game, data);
+    this.levels = game.getLevels();
+    this.selected = Math.max(
+      0,
+      this.levels.findIndex(({ selected }) => selected)
+    );
+    this.lockedTimer = 0; // Aviso al intentar entrar en un nivel bloqueado
+
+    // Práctica: se conserva la última elegida
+    const practice = game.practiceOptions;
+    this.practice = !!practice;
+    this.startPipe = practice ? practice.startPipe : 0;
+    if (practice) {
+      this.selected = Math.max(
+        0,
+        this.levels.findIndex(({ level }) => level === practice.level)
+      );
+    }
+  }
+
+  update(deltaTime) {
+    this.lockedTimer = Math.max(0, this.lockedTimer - deltaTime);
+  }
+
+  handleInput(action, event) {
+    const game = this.game;
+    const code = event && event.code;
+
+    // Las flechas van antes que las acciones (↑ también es tecla de salto)
+    if (code === "ArrowUp") {
+      this.moveSelection(-1);
+      return true;
+    }
+    if (code === "ArrowDown") {
+      this.moveSelection(1);
+      return true;
+    }
+    if (code === "KeyC") {
+      this.practice = !this.practice;
+      this.lockedTimer = 0;
+      return true;
+    }
+    if (this.practice && (code === "ArrowLeft" || code === "ArrowRight")) {
+      this.changeStartPipe(code === "ArrowLeft" ? -1 : 1);
+      return true;
+    }
+
+    if (action === "jump" || code === "Enter") {
+      this.startSelected();
+      return true;
+    }
+
+    if (action === "pause" || code === "KeyL") {
+      game.resetGame();
+      game.changeState(game.states.MENU);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Mueve la selección y muestra el fondo del nivel elegido
+   */
+  moveSelection(direction) {
+    const index = Math.max(
+      0,
+      Math.min(this.levels.length - 1, this.selected + direction)
+    );
+    if (index === this.selected) return;
+
+    this.selected = index;
+    this.lockedTimer = 0;
+    this.game.background.setLevel(this.levels[index].level);
+  }
+
+  /**
+   * Cambia la tubería de inicio de la práctica de punto de control en punto
+   * de control
+   */
+  changeStartPipe(direction) {
+    const { CHECKPOINT_INTERVAL, MAX_START_PIPE } = this.game.config.PRACTICE;
+    this.startPipe = Math.max(
+      0,
+      Math.min(MAX_START_PIPE, this.startPipe + direction * CHECKPOINT_INTERVAL)
+    );
+  }
+
+  /**
+   * Empieza una partida en el nivel seleccionado si está desbloqueado (la
+   * práctica admite cualquiera)
+   */
+  startSelected() {
+    const game = this.game;
+    const level = this.levels[this.selected];
+    if (!level) return;
+
+    if (this.practice) {
+      game.setPractice({ level: level.level, startPipe: this.startPipe });
+      game.startGame();
+      return;
+    }
+
+    if (!level.unlocked) {
+      this.lockedTimer = 1500;
+      return;
+    }
+
+    game.setPractice(null);
+    game.setTimeAttack(null);
+    game.selectLevel(level.level);
+    game.startGame();
+  }
+
+  /**
+   * Renderiza las tarjetas de los niveles (la elegida con borde dorado)
+   */
+  render(ctx) {
+    const canvas = this.game.canvas;
+    const centerX = canvas.width / 2;
+    const cardHeight = 104;
+
+    ctx.save();
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "white";
+    ctx.font = "bold 36px Arial";
+    ctx.strokeText("WORLDS", centerX, 80);
+    ctx.fillText("WORLDS", centerX, 80);
+
+    this.levels.forEach((level, index) => {
+      const y = 120 + index * (cardHeight + 12);
+
+      ctx.fillStyle = level.unlocked
+        ? "rgba(255, 255, 255, 0.15)"
+        : "rgba(0, 0, 0, 0.4)";
+      ctx.fillRect(20, y, canvas.width - 40, cardHeight);
+
+      if (index === this.selected) {
+        ctx.strokeStyle = "#FFD700";
+        ctx.lineWidth = 3;
+        ctx.strokeRect(20, y, canvas.width - 40, cardHeight);
+      }
+
+      ctx.textAlign = "left";
+      ctx.font = "bold 18px Arial";
+      ctx.fillStyle = level.unlocked ? "#FFD700" : "#888888";
+      ctx.fillText(`${level.level}. ${level.name}`, 32, y + 26);
+
+      if (!level.unlocked) {
+        ctx.textAlign = "right";
+        ctx.font = "18px Arial";
+        ctx.fillText("🔒", canvas.width - 32, y + 26);
+      }
+
+      ctx.textAlign = "left";
+      ctx.font = "13px Arial";
+      ctx.fillStyle = level.unlocked ? "white" : "#AAAAAA";
+      this.wrapText(ctx, level.description, canvas.width - 64).forEach(
+        (line, row) => ctx.fillText(line, 32, y + 50 + row * 16)
+      );
+
+      ctx.font = "bold 12px Arial";
+      ctx.fillStyle = level.completed ? "#7CFC00" : "#BBBBBB";
+      ctx.fillText(this.getStatusText(level), 32, y + cardHeight - 12);
+    });
+
+    ctx.textAlign = "center";
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = "black";
+
+    // Práctica (no puntúa ni desbloquea nada)
+    ctx.font = "bold 15px Arial";
+    ctx.fillStyle = this.practice ? "#7CFC00" : "white";
+    const practiceText = this.practice
+      ? `Practice from pipe ${this.startPipe}  ← →`
+      : "Practice: OFF";
+    ctx.strokeText(`${practiceText}   C`, centerX, 515);
+    ctx.fillText(`${practiceText}   C`, centerX, 515);
+
+    if (this.lockedTimer > 0) {
+      const { unlockScore } = this.levels[this.selected];
+      const lockedText = `Reach ${unlockScore} points to unlock`;
+      ctx.font = "bold 16px Arial";
+      ctx.fillStyle = "#FF6347";
+      ctx.strokeText(lockedText, centerX, canvas.height - 70);
+      ctx.fillText(lockedText, centerX, canvas.height - 70);
+    }
+
+    ctx.fillStyle = "white";
+    ctx.font = "bold 14px Arial";
+    const helpY = canvas.height - 40;
+    const help = "↑↓ Select   SPACE Play   ESC Back";
+    ctx.strokeText(help, centerX, helpY);
+    ctx.fillText(help, centerX, helpY);
+
+    ctx.restore();
+  }
+
+  /**
+   * Línea de estado de una tarjeta
+   */
+  getStatusText(level) {
+    if (!level.unlocked) return `Unlocks at ${level.unlockScore} points`;
+    if (level.completed) return "✔ Completed";
+    return "Unlocked";
+  }
+
+  /**
+   * Parte un texto en líneas que caben en maxWidth con la fuente actual
+   */
+  wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = "";
+
+    (text || "").split(" ").forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    if (line) lines.push(line);
+
+    return lines.slice(0, 2);
+  }
+}
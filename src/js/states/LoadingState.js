@@ -0,0 +1,22 @@
+/**
+ * LoadingState.js - Pantalla de carga inicial
+ */
+
+class LoadingState extends GameState {
+  /**
+   * Renderiza pantalla de carga
+   */
+  render(ctx) {
+    ctx.font = "bold 32px Arial";
+    ctx.textAlign = "center";
+
+    const text = "Loading...";
+    const x = this.game.canvas.width / 2;
+    const y = this.game.canvas.height / 2;
+
+    ctx.strokeText(text, x, y);
+    ctx.fillText(text, x, y);
+
+    ctx.textAlign = "left";
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * MenuState.js - Menú principal
+ */
+
+class MenuState extends GameState {
+  handleInput(action, event) {
+    if (action === "jump" || action === "restart") {
+      this.game.startGame();
+      return true;
+    }
+    if (action === "key" && event.code === "KeyV") {
+      this.game.openReplayMenu();
+      return true;
+    }
+    if (action === "key" && event.code === "KeyA") {
+      this.game.openAchievements();
+      return true;
+    }
+    if (action === "key" && event.code === "KeyL") {
+      this.game.openLevelSelect();
+      return true;
+    }
+    if (action === "key" && event.code === "KeyM") {
+      this.game.cycleMode();
+      return true;
+    }
+    if (action === "key" && event.code === "KeyT") {
+      this.game.setAdaptiveDifficulty(!this.game.adaptiveEnabled);
+      return true;
+    }
+    if (action === "key" && event.code === "KeyK") {
+      this.game.cycleTimeAttack();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Renderiza menú principal
+   */
+  render(ctx) {
+    const game = this.game;
+
+    ctx.textAlign = "center";
+
+    // Título
+    ctx.font = "bold 48px Arial";
+    const titleY = game.canvas.height / 3;
+    ctx.strokeText("FLAPPY BIRD", game.canvas.width / 2, titleY);
+    ctx.fillStyle = "#FFD700";
+    ctx.fillText("FLAPPY BIRD", game.canvas.width / 2, titleY);
+
+    // Subtítulo
+    ctx.font = "bold 24px Arial";
+    ctx.fillStyle = "white";
+    const subtitleY = titleY + 60;
+    ctx.strokeText("Enhanced Edition", game.canvas.width / 2, subtitleY);
+    ctx.fillText("Enhanced Edition", game.canvas.width / 2, subtitleY);
+
+    // Instrucciones
+    ctx.font = "bold 20px Arial";
+    const instructY = (game.canvas.height * 2) / 3;
+    ctx.strokeText(
+      "Click or Press SPACE to Start",
+      game.canvas.width / 2,
+      instructY
+    );
+    ctx.fillText(
+      "Click or Press SPACE to Start",
+      game.canvas.width / 2,
+      instructY
+    );
+
+    // Best score
+    if (game.bestScore > 0) {
+      ctx.font = "bold 18px Arial";
+      const bestY = instructY + 40;
+      ctx.strokeText(
+        `Best Score: ${game.bestScore}`,
+        game.canvas.width / 2,
+        bestY
+      );
+      ctx.fillText(
+        `Best Score: ${game.bestScore}`,
+        game.canvas.width / 2,
+        bestY
+      );
+    }
+
+    // Saldo de monedas
+    if (game.coinBalance > 0) {
+      ctx.font = "bold 16px Arial";
+      const coinsY = instructY + 65;
+      const coinsText = `Coins: ${game.coinBalance}`;
+      ctx.strokeText(coinsText, game.canvas.width / 2, coinsY);
+      ctx.fillText(coinsText, game.canvas.width / 2, coinsY);
+    }
+
+    // Nivel inicial elegido en el selector (o la práctica, o la
+    // contrarreloj con su mejor marca)
+    const practice = game.practiceOptions;
+    const levelId = practice ? practice.level : game.selectedLevel;
+    const level = game.config.LEVELS[levelId];
+    ctx.font = "bold 16px Arial";
+    const levelY = instructY + 90;
+    let levelText = practice
+      ? `Practice: ${level.name} · pipe ${practice.startPipe}`
+      : `World: ${level.name}`;
+    if (game.timeAttackOptions) {
+      const { pipes } = game.timeAttackOptions;
+      const best = game.getTimeAttackBest(pipes);
+      levelText = `Time Attack: ${pipes} pipes`;
+      if (best) {
+        levelText += ` · best ${TimeAttackSystem.formatTime(best.time)}`;
+      }
+    }
+    ctx.strokeText(levelText, game.canvas.width / 2, levelY);
+    ctx.fillText(levelText, game.canvas.width / 2, levelY);
+
+    // Modo de juego (solo si algún plugin ha añadido modos)
+    const modes = game.plugins.getModes();
+    if (modes.length > 1) {
+      const mode = modes.find(({ id }) => id === game.selectedMode);
+      const modeText = `Mode: ${mode.name}  (M to change)`;
+      ctx.font = "bold 16px Arial";
+      const modeY = game.canvas.height - 70;
+      ctx.strokeText(modeText, game.canvas.width / 2, modeY);
+      ctx.fillText(modeText, game.canvas.width / 2, modeY);
+    }
+
+    // Dificultad adaptativa (las partidas así no van al leaderboard)
+    ctx.font = "bold 14px Arial";
+    const adaptiveY = game.canvas.height - 95;
+    const adaptiveText = game.adaptiveEnabled
+      ? "Adaptive difficulty: ON (unranked)  T"
+      : "Adaptive difficulty: OFF  T";
+    ctx.strokeText(adaptiveText, game.canvas.width / 2, adaptiveY);
+    ctx.fillText(adaptiveText, game.canvas.width / 2, adaptiveY);
+
+    // Acceso a repeticiones y logros
+    const replaysY = game.canvas.height - 40;
+    const menuText = "V Replays   A Achievements   L Worlds";
+    ctx.strokeText(menuText, game.canvas.width / 2, replaysY);
+    ctx.fillText(menuText, game.canvas.width / 2, replaysY);
+
+    const timeAttackY = game.canvas.height - 18;
+    const timeAttackText = "K Time Attack";
+    ctx.strokeText(timeAttackText, game.canvas.width / 2, timeAttackY);
+    ctx.fillText(timeAttackText, game.canvas.width / 2, timeAttackY);
+
+    ctx.textAlign = "left";
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * PausedState.js - Overlay de pausa (se apila sobre PlayingState)
+ */
+
+class PausedState extends GameState {
+  enter() {
+    this.game.pauseGame();
+  }
+
+  handleInput(action, event) {
+    if (action === "jump" || action === "pause") {
+      this.game.resume();
+      return true;
+    }
+    if (action === "restart") {
+      this.game.restart();
+      return true;
+    }
+    if (action === "key" && event.code === "KeyQ" && this.game.isPractice) {
+      this.game.quitPractice();
+      return true;
+    }
+    if (action === "key" && event.code === "KeyQ" && this.game.isTimeAttack) {
+      this.game.quitTimeAttack();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Renderiza pantalla de pausa
+   */
+  render(ctx) {
+    const canvas = this.game.canvas;
+
+    // Overlay semi-transparente
+    ctx.save();
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Texto de pausa
+    ctx.textAlign = "center";
+    ctx.font = "bold 48px Arial";
+    ctx.fillStyle = "white";
+
+    ctx.strokeText("PAUSED", canvas.width / 2, canvas.height / 2);
+    ctx.fillText("PAUSED", canvas.width / 2, canvas.height / 2);
+
+    ctx.font = "bold 20px Arial";
+    ctx.strokeText(
+      "Click or Press SPACE to Resume",
+      canvas.width / 2,
+      canvas.height / 2 + 50
+    );
+    ctx.fillText(
+      "Click or Press SPACE to Resume",
+      canvas.width / 2,
+      canvas.height / 2 + 50
+    );
+
+    const quitText = this.game.isPractice
+      ? "Press Q to End Practice"
+      : this.game.isTimeAttack && "Press Q to Give Up";
+    if (quitText) {
+      ctx.font = "bold 16px Arial";
+      const quitY = canvas.height / 2 + 85;
+      ctx.strokeText(quitText, canvas.width / 2, quitY);
+      ctx.fillText(quitText, canvas.width / 2, quitY);
+    }
+
+    ctx.restore();
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * PlayingState.js - Partida en curso
+ * Avanza la simulación un tick por update() y dibuja el HUD
+ */
+
+class PlayingState extends GameState {
+  enter() {
+    this.game.resumeGame();
+  }
+
+  resume() {
+    this.game.resumeGame();
+  }
+
+  update() {
+    this.game.updateGameplay();
+  }
+
+  /**
+   * La simulación terminó (suelo o tubería)
+   */
+  onRunEnd() {
+    this.game.endGame();
+    this.game.changeState(this.game.states.GAME_OVER);
+  }
+
+  isSimulating() {
+    return true;
+  }
+
+  handleInput(action) {
+    const game = this.game;
+
+    switch (action) {
+      case "jump":
+        game.jump();
+        return true;
+      case "pause":
+        game.pause();
+        return true;
+      case "restart":
+        game.restart();
+        return true;
+    }
+    return false;
+  }
+
+  render(ctx) {
+    this.game.renderGameplayUI(ctx);
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * ReplayMenuState.js - Lista de repeticiones guardadas
+ */
+
+class ReplayMenuState extends GameState {
+  constructor(game, data) {
+    super(game, data);
+    this.replays = game.replayManager.getReplays();
+    this.selected = 0;
+  }
+
+  handleInput(action, event) {
+    const game = this.game;
+    const code = event && event.code;
+
+    // Las flechas van antes que las acciones (↑ también es tecla de salto)
+    if (code === "ArrowUp") {
+      this.selected = Math.max(0, this.selected - 1);
+      return true;
+    }
+    if (code === "ArrowDown") {
+      this.selected = Math.min(this.replays.length - 1, this.selected + 1);
+      return true;
+    }
+
+    if (action === "jump" || code === "Enter") {
+      const replay = this.replays[this.selected];
+      if (replay) game.playReplay(replay);
+      return true;
+    }
+
+    if (code === "Delete" || code === "Backspace") {
+      this.deleteSelected();
+      return true;
+    }
+
+    if (action === "pause" || code === "KeyV") {
+      game.resetGame();
+      game.changeState(game.states.MENU);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Borra la repetición seleccionada
+   */
+  deleteSelected() {
+    const replay = this.replays[this.selected];
+    if (!replay) return;
+
+    this.game.replayManager.deleteReplay(replay.id);
+    this.replays = this.game.replayManager.getReplays();
+    this.selected = Math.max(
+      0,
+      Math.min(this.selected, this.replays.length - 1)
+    );
+  }
+
+  /**
+   * Renderiza el menú de repeticiones guardadas
+   */
+  render(ctx) {
+    const { replays, selected } = this;
+    const canvas = this.game.canvas;
+    const centerX = canvas.width / 2;
+
+    ctx.save();
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "white";
+    ctx.font = "bold 36px Arial";
+    ctx.strokeText("REPLAYS", centerX, 80);
+    ctx.fillText("REPLAYS", centerX, 80);
+
+    ctx.font = "bold 16px Arial";
+    if (replays.length === 0) {
+      ctx.strokeText("No replays saved yet", centerX, 200);
+      ctx.fillText("No replays saved yet", centerX, 200);
+    }
+
+    replays.forEach((replay, index) => {
+      const y = 140 + index * 40;
+      const seconds = Math.floor(replay.duration / 1000);
+      const date = new Date(replay.date).toLocaleDateString();
+      const text = `${replay.score} pts · L${replay.finalLevel} · ${seconds}s · ${date}`;
+
+      if (index === selected) {
+        ctx.fillStyle = "rgba(255, 215, 0, 0.3)";
+        ctx.fillRect(20, y - 24, canvas.width - 40, 34);
+        ctx.fillStyle = "#FFD700";
+      } else {
+        ctx.fillStyle = "white";
+      }
+
+      ctx.strokeText(text, centerX, y);
+      ctx.fillText(text, centerX, y);
+    });
+
+    ctx.fillStyle = "white";
+    ctx.font = "bold 14px Arial";
+    const helpY = canvas.height - 40;
+    const help = "↑↓ Select   SPACE Watch   DEL Delete   ESC Back";
+    ctx.strokeText(help, centerX, helpY);
+    ctx.fillText(help, centerX, helpY);
+
+    ctx.restore();
+  }
+}
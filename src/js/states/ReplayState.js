@@ -0,0 +1,258 @@
+/**
+ * ReplayState.js - Reproducción de una repetición guardada
+ * Vuelve a simular la partida con su semilla aplicando los inputs grabados
+ * en el mismo tick; permite pausar, cambiar velocidad y saltar en el tiempo
+ */
+
+class ReplayState extends GameState {
+  constructor(game, data) {
+    super(game, data);
+    this.playback = game.replayManager.createPlayback(data.replay);
+  }
+
+  enter() {
+    const game = this.game;
+    const replay = this.playback.replay;
+
+    game.replayManager.cancelRecording();
+    game.resetGame(
+      replay.seed,
+      replay.mode || null,
+      replay.adaptiveSkill ?? null,
+      replay.level ?? null,
+      replay.practice ?? null,
+      replay.timeAttack ?? null
+    );
+    game.resumeGame();
+    console.log(
+      `▶️ Playing replay ${replay.id} (score ${replay.score}, seed ${replay.seed})`
+    );
+  }
+
+  isSimulating() {
+    return !this.playback.paused && !this.playback.finished;
+  }
+
+  /**
+   * Avanza la reproducción según la velocidad elegida
+   * A velocidad 2x se simulan dos ticks por tick real; a 0.5x uno cada dos
+   */
+  update() {
+    const playback = this.playback;
+    if (playback.paused || playback.finished) return;
+
+    playback.tickBudget += playback.speed;
+    while (playback.tickBudget >= 1 && !playback.finished) {
+      this.stepTick();
+      playback.tickBudget -= 1;
+    }
+  }
+
+  /**
+   * Simula un tick aplicando los inputs grabados para ese momento
+   */
+  stepTick() {
+    const game = this.game;
+    const playback = this.playback;
+    const inputs = game.replayManager.consumeInputs(playback, game.tick);
+
+    inputs.forEach((input) => {
+      if (input.type === "jump") {
+        game.jump();
+      }
+    });
+
+    game.updateGameplay();
+
+    if (game.tick >= playback.replay.ticks) {
+      playback.finished = true;
+    }
+  }
+
+  /**
+   * La partida grabada terminó: la reproducción se queda en el último frame
+   */
+  onRunEnd() {
+    this.playback.finished = true;
+  }
+
+  /**
+   * Salta a un tick concreto de la repetición
+   * Hacia atrás se reinicia la partida con la misma semilla y se vuelve a
+   * simular en silencio hasta el tick pedido
+   * @param {number} targetTick - Tick de destino
+   */
+  seek(targetTick) {
+    const game = this.game;
+    const playback = this.playback;
+    const target = Math.max(
+      0,
+      Math.min(Math.round(targetTick), playback.replay.ticks)
+    );
+
+    if (target < game.tick) {
+      const replay = playback.replay;
+      game.resetGame(
+        replay.seed,
+        replay.mode || null,
+        replay.adaptiveSkill ?? null,
+        replay.level ?? null,
+        replay.practice ?? null,
+        replay.timeAttack ?? null
+      );
+      playback.inputIndex = 0;
+      playback.finished = false;
+    }
+
+    game.isSeeking = true;
+    while (game.tick < target && !playback.finished) {
+      this.stepTick();
+    }
+    game.isSeeking = false;
+
+    playback.tickBudget = 0;
+    game.resumeGame();
+  }
+
+  /**
+   * Pausa o reanuda la reproducción
+   */
+  togglePause() {
+    this.playback.paused = !this.playback.paused;
+    this.game.resumeGame();
+  }
+
+  /**
+   * Sale de la reproducción y vuelve al menú de repeticiones
+   */
+  exitReplay() {
+    this.game.resetGame();
+    this.game.openReplayMenu();
+  }
+
+  handleInput(action, event) {
+    const game = this.game;
+    const seekTicks = 2000 / game.fixedTimeStep;
+
+    if (action === "pointer") {
+      this.handlePointer(event.clientX, event.clientY);
+      return true;
+    }
+    if (action === "jump" || action === "pause") {
+      this.togglePause();
+      return true;
+    }
+    if (action !== "key") return false;
+
+    switch (event.code) {
+      case "ArrowLeft":
+        this.seek(game.tick - seekTicks);
+        return true;
+      case "ArrowRight":
+        this.seek(game.tick + seekTicks);
+        return true;
+      case "Minus":
+      case "NumpadSubtract":
+        game.replayManager.changeSpeed(this.playback, -1);
+        return true;
+      case "Equal":
+      case "NumpadAdd":
+        game.replayManager.changeSpeed(this.playback, 1);
+        return true;
+      case "KeyQ":
+        this.exitReplay();
+        return true;
+    }
+    return false;
+  }
+
+  /**
+   * Click/tap durante la reproducción: la barra de tiempo salta a ese
+   * punto, el resto de la pantalla pausa o reanuda
+   */
+  handlePointer(clientX, clientY) {
+    const canvas = this.game.canvas;
+    const rect = canvas.getBoundingClientRect();
+    const x = ((clientX - rect.left) / rect.width) * canvas.width;
+    const y = ((clientY - rect.top) / rect.height) * canvas.height;
+    const bar = this.getTimelineBounds();
+
+    if (y >= bar.y - 10 && y <= bar.y + bar.height + 10) {
+      const progress = Math.max(0, Math.min(1, (x - bar.x) / bar.width));
+      this.seek(Math.round(progress * this.playback.replay.ticks));
+      return;
+    }
+
+    this.togglePause();
+  }
+
+  /**
+   * Posición de la barra de tiempo del reproductor
+   */
+  getTimelineBounds() {
+    return {
+      x: 20,
+      y: this.game.canvas.height - 50,
+      width: this.game.canvas.width - 40,
+      height: 8,
+    };
+  }
+
+  /**
+   * Renderiza los controles del reproductor de repeticiones
+   */
+  render(ctx) {
+    const game = this.game;
+    const playback = this.playback;
+    const replay = playback.replay;
+    const bar = this.getTimelineBounds();
+    const progress =
+      replay.ticks > 0 ? Math.min(1, game.tick / replay.ticks) : 1;
+
+    // Puntuación y nivel como durante la partida
+    game.renderGameplayUI(ctx);
+
+    ctx.save();
+
+    // Estado de la reproducción
+    ctx.font = "bold 18px Arial";
+    ctx.textAlign = "right";
+    let status = `▶ ${playback.speed}x`;
+    if (playback.finished) status = "■ END";
+    else if (playback.paused) status = "❚❚ PAUSED";
+    ctx.strokeText(status, game.canvas.width - 10, 30);
+    ctx.fillText(status, game.canvas.width - 10, 30);
+
+    ctx.strokeText("REPLAY", game.canvas.width - 10, 60);
+    ctx.fillText("REPLAY", game.canvas.width - 10, 60);
+
+    // Barra de tiempo con marcas en las pausas de la partida original
+    ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+    ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+    ctx.fillStyle = "#FFD700";
+    ctx.fillRect(bar.x, bar.y, bar.width * progress, bar.height);
+
+    ctx.fillStyle = "#FF6B6B";
+    replay.inputs.forEach((input) => {
+      if (input.type !== "pause" || replay.ticks === 0) return;
+      const markerX = bar.x + (input.tick / replay.ticks) * bar.width;
+      ctx.fillRect(markerX - 1, bar.y - 3, 2, bar.height + 6);
+    });
+
+    // Tiempo actual / total
+    ctx.fillStyle = "white";
+    ctx.font = "bold 14px Arial";
+    ctx.textAlign = "left";
+    const current = ((game.tick * game.fixedTimeStep) / 1000).toFixed(1);
+    const total = (replay.duration / 1000).toFixed(1);
+    ctx.strokeText(`${current}s / ${total}s`, bar.x, bar.y - 10);
+    ctx.fillText(`${current}s / ${total}s`, bar.x, bar.y - 10);
+
+    ctx.textAlign = "center";
+    const help = "SPACE Pause   ←/→ Seek   -/+ Speed   Q Exit";
+    ctx.strokeText(help, game.canvas.width / 2, game.canvas.height - 15);
+    ctx.fillText(help, game.canvas.width / 2, game.canvas.height - 15);
+
+    ctx.restore();
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * AdaptiveDifficulty.js - Dificultad que se ajusta a la habilidad del jugador
+ * Un valor de habilidad entre -1 (más fácil) y 1 (más difícil) desplaza el
+ * hueco, la velocidad y el ritmo de las tuberías dentro de los límites de
+ * difficulty.adaptive de cada nivel (levels.json). La habilidad inicial sale
+ * del historial de partidas (duración y muertes tempranas) y durante la
+ * partida se mueve con los pasos justos y los limpios. Solo depende de lo
+ * que ocurre en la simulación, así que las repeticiones la reproducen igual
+ */
+
+class AdaptiveDifficulty {
+  /**
+   * @param {Object} config - Configuración del juego
+   */
+  constructor(config) {
+    const settings = config.DIFFICULTY.adaptiveSettings || {};
+
+    this.historySize = settings.historySize ?? 10;
+    this.targetRunTime = settings.targetRunTime ?? 30; // segundos
+    this.nearMissDistance = settings.nearMissDistance ?? 10; // px
+    this.nearMissStep = settings.nearMissStep ?? -0.06;
+    this.cleanPassStep = settings.cleanPassStep ?? 0.02;
+    this.easing = settings.easing ?? 0.01; // Fracción aplicada por tick
+
+    // Partidas anteriores: { score, time, cause, nearMisses }
+    this.history = [];
+
+    // Partida actual
+    this.enabled = false;
+    this.startSkill = 0;
+    this.skill = 0;
+    this.target = 0;
+    this.nearMisses = 0;
+    this.pipesPassed = 0;
+    this.cause = null;
+  }
+
+  /**
+   * Carga el historial guardado (las más recientes al final)
+   * @param {Array<Object>} history
+   */
+  setHistory(history = []) {
+    this.history = history.slice(-this.historySize);
+  }
+
+  /**
+   * Habilidad con la que empezar la siguiente partida según el historial:
+   * partidas más largas que targetRunTime la suben; las muertes tempranas
+   * y los pasos justos la bajan
+   * @returns {number} Entre -1 y 1 (0 sin historial)
+   */
+  getStartingSkill() {
+    if (this.history.length === 0) return 0;
+
+    const runs = this.history.length;
+    const averageTime =
+      this.history.reduce((sum, run) => sum + run.time, 0) / runs;
+    const earlyDeaths = this.history.filter(
+      (run) => run.time < this.targetRunTime / 4
+    ).length;
+    const passed = this.history.reduce((sum, run) => sum + run.score, 0);
+    const nearMisses = this.history.reduce(
+      (sum, run) => sum + (run.nearMisses || 0),
+      0
+    );
+
+    const length = (averageTime - this.targetRunTime) / this.targetRunTime;
+    const deaths = (earlyDeaths / runs) * 0.5;
+    const misses = Math.min(1, nearMisses / Math.max(1, passed)) * 0.3;
+
+    return AdaptiveDifficulty.clamp(length - deaths - misses);
+  }
+
+  /**
+   * Empieza una partida
+   * @param {number|null} skill - Habilidad inicial; null la desactiva
+   */
+  reset(skill = null) {
+    this.enabled = typeof skill === "number" && Number.isFinite(skill);
+    this.startSkill = this.enabled ? AdaptiveDifficulty.clamp(skill) : 0;
+    this.skill = this.startSkill;
+    this.target = this.startSkill;
+    this.nearMisses = 0;
+    this.pipesPassed = 0;
+    this.cause = null;
+  }
+
+  /**
+   * El pájaro ha pasado un par de tuberías. Los pasos justos se cuentan
+   * siempre (van al historial) aunque la partida no sea adaptativa
+   * @param {number} clearance - Distancia mínima (px) a la que pasó de ellas
+   */
+  onPipePassed(clearance) {
+    const nearMiss = clearance < this.nearMissDistance;
+
+    this.pipesPassed++;
+    if (nearMiss) this.nearMisses++;
+    if (!this.enabled) return;
+
+    const step = nearMiss ? this.nearMissStep : this.cleanPassStep;
+    this.target = AdaptiveDifficulty.clamp(this.target + step);
+  }
+
+  /**
+   * Acerca poco a poco la habilidad a su objetivo
+   * @param {number} deltaTime - Escala del tick (1 = 60 Hz)
+   */
+  update(deltaTime = 1) {
+    if (!this.enabled) return;
+
+    const easing = Math.min(1, this.easing * deltaTime);
+    this.skill += (this.target - this.skill) * easing;
+  }
+
+  /**
+   * Fin de la partida en la simulación
+   * @param {string} cause - "ground", "ceiling" o "pipe"
+   */
+  endRun(cause) {
+    this.cause = cause;
+  }
+
+  /**
+   * Dificultad efectiva de un nivel con la habilidad actual
+   * Con habilidad positiva cada valor se acerca a su extremo difícil (hueco
+   * y ritmo mínimos, velocidad máxima) y con negativa al fácil
+   * @param {Object} difficulty - difficulty del nivel
+   * @returns {Object} { pipeSpeed, gapSize, spawnInterval }
+   */
+  apply(difficulty) {
+    const result = {
+      pipeSpeed: difficulty.pipeSpeed,
+      gapSize: difficulty.gapSize,
+      spawnInterval: difficulty.spawnInterval,
+    };
+    if (!this.enabled || !difficulty.adaptive) return result;
+
+    const hardest = { pipeSpeed: 1, gapSize: 0, spawnInterval: 0 };
+
+    Object.keys(result).forEach((key) => {
+      const bounds = difficulty.adaptive[key];
+      if (!bounds) return;
+
+      const hard = bounds[hardest[key]];
+      const easy = bounds[1 - hardest[key]];
+      const end = this.skill >= 0 ? hard : easy;
+      result[key] += (end - result[key]) * Math.abs(this.skill);
+    });
+
+    return result;
+  }
+
+  /**
+   * Guarda la partida terminada en el historial
+   * @param {Object} run - { score, gameTime } (gameTime en ms)
+   * @returns {Array<Object>} Historial actualizado
+   */
+  recordRun({ score, gameTime }) {
+    this.history.push({
+      score: score,
+      time: Math.round(gameTime / 100) / 10,
+      cause: this.cause,
+      nearMisses: this.nearMisses,
+    });
+    this.history = this.history.slice(-this.historySize);
+    return this.history;
+  }
+
+  /**
+   * Resumen serializable (debug y API)
+   */
+  getState() {
+    return {
+      enabled: this.enabled,
+      startSkill: this.startSkill,
+      skill: this.skill,
+      target: this.target,
+      nearMisses: this.nearMisses,
+      pipesPassed: this.pipesPassed,
+      history: this.history.length,
+    };
+  }
+
+  static clamp(value) {
+    return Math.max(-1, Math.min(1, value));
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AdaptiveDifficulty;
+}
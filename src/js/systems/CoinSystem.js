@@ -0,0 +1,164 @@
+/**
+ * CoinSystem.js - Aparición y recogida de monedas
+ * Tras cada par de tuberías puede colocar una fila de monedas en el hueco o
+ * un arco en el espacio hasta la siguiente tubería. Usa su propio generador
+ * con semilla, así que no cambia el recorrido y las repeticiones recogen las
+ * mismas monedas
+ */
+
+class CoinSystem {
+  /**
+   * @param {Object} config - Configuración del juego
+   */
+  constructor(config) {
+    const settings = config.COINS || {};
+
+    this.enabled = settings.enabled !== false;
+    this.spawnChance = settings.spawnChance ?? 0.6;
+    this.value = settings.value ?? 1;
+    this.radius = settings.radius ?? 8;
+    this.spacing = settings.spacing ?? 24;
+    this.patterns = settings.patterns || { gap: 2, arc: 1 };
+    this.magnet = {
+      radius: settings.magnetRadius ?? 48,
+      speed: settings.magnetSpeed ?? 4,
+    };
+
+    this.rng = new SeededRandom();
+    this.items = []; // Monedas en pantalla
+    this.collected = 0; // Monedas de la partida actual
+  }
+
+  /**
+   * Empieza una partida nueva
+   * @param {number|string} seed - Semilla de la partida
+   */
+  reset(seed) {
+    this.rng.setSeed(`${seed}:coins`);
+    this.items = [];
+    this.collected = 0;
+  }
+
+  /**
+   * Puede colocar monedas en un par de tuberías recién creado
+   * @param {Object} gap
+   * @param {number} gap.x - Borde izquierdo de las tuberías
+   * @param {number} gap.width - Ancho de las tuberías
+   * @param {number} gap.centerY - Centro vertical del hueco
+   * @param {number} gap.distance - Distancia horizontal hasta el siguiente par
+   * @param {number} gap.speed - Velocidad de las tuberías
+   * @param {boolean} gap.blocked - El hueco se mueve o ya tiene un power-up
+   *   (solo se admite el arco, fuera de las tuberías)
+   * @returns {number} Monedas colocadas
+   */
+  trySpawn({ x, width, centerY, distance, speed, blocked = false }) {
+    if (!this.enabled || !this.rng.chance(this.spawnChance)) return 0;
+
+    const pattern = blocked ? "arc" : this.pickPattern();
+    const positions =
+      pattern === "arc"
+        ? this.arcPositions(x + width, centerY, distance - width)
+        : this.gapPositions(x + width / 2, centerY);
+
+    positions.forEach(([coinX, coinY]) => {
+      this.items.push(
+        new Coin({
+          x: coinX,
+          y: coinY,
+          speed: speed,
+          radius: this.radius,
+          value: this.value,
+        })
+      );
+    });
+
+    return positions.length;
+  }
+
+  /**
+   * Elige el patrón ponderando por patterns (config.json)
+   */
+  pickPattern() {
+    const types = Object.keys(this.patterns);
+    const total = types.reduce((sum, type) => sum + this.patterns[type], 0);
+
+    let roll = this.rng.range(0, total);
+    for (const type of types) {
+      roll -= this.patterns[type];
+      if (roll < 0) return type;
+    }
+    return types[types.length - 1];
+  }
+
+  /**
+   * Fila de tres monedas que atraviesa el hueco
+   */
+  gapPositions(centerX, centerY) {
+    return [-1, 0, 1].map((index) => [centerX + index * this.spacing, centerY]);
+  }
+
+  /**
+   * Arco de monedas entre este par y el siguiente, hacia arriba o abajo
+   * @param {number} startX - Borde derecho de las tuberías
+   * @param {number} centerY - Centro del hueco
+   * @param {number} space - Espacio libre hasta el siguiente par
+   */
+  arcPositions(startX, centerY, space) {
+    const margin = this.spacing;
+    const length = space - margin * 2;
+    const count = Math.min(5, Math.floor(length / this.spacing) + 1);
+    if (count < 2) return [];
+
+    const height = this.rng.range(20, 40) * (this.rng.chance(0.5) ? -1 : 1);
+    const step = length / (count - 1);
+
+    return Array.from({ length: count }, (_, index) => [
+      startX + margin + index * step,
+      centerY + height * Math.sin((Math.PI * index) / (count - 1)),
+    ]);
+  }
+
+  /**
+   * Avanza las monedas y recoge las que toca el pájaro
+   * @param {Bird} bird
+   * @param {number} deltaTime - Escala del movimiento en este tick
+   * @returns {Array<Coin>} Monedas recogidas en este tick
+   */
+  update(bird, deltaTime) {
+    const collected = [];
+
+    this.items = this.items.filter((coin) => {
+      if (!coin.update(deltaTime, bird, this.magnet)) return false;
+      if (!coin.collides(bird)) return true;
+
+      this.collected += coin.value;
+      collected.push(coin);
+      return false;
+    });
+
+    return collected;
+  }
+
+  /**
+   * Renderiza las monedas en pantalla
+   */
+  render(context, alpha = 1) {
+    this.items.forEach((coin) => coin.render(context, alpha));
+  }
+
+  /**
+   * Contador de monedas de la partida en el HUD
+   * @param {CanvasRenderingContext2D} context - Con el estilo de texto del HUD
+   * @param {number} x - Borde izquierdo
+   * @param {number} y - Línea base del texto
+   */
+  renderCounter(context, x, y) {
+    Coin.renderIcon(context, x + 10, y - 8, 10);
+    context.strokeText(`x ${this.collected}`, x + 26, y);
+    context.fillText(`x ${this.collected}`, x + 26, y);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CoinSystem;
+}
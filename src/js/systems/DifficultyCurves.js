@@ -0,0 +1,87 @@
+/**
+ * DifficultyCurves.js - Progresión de la dificultad dentro de un nivel
+ * Cada nivel puede definir en difficulty.curves (levels.json) cómo cambian
+ * la velocidad, el hueco y el ritmo de las tuberías según las tuberías
+ * pasadas o los segundos jugados en ese nivel. Una curva es una lista de
+ * puntos [x, desplazamiento] que se interpola linealmente; el desplazamiento
+ * se suma al valor del nivel y se mantiene el del último punto
+ */
+
+class DifficultyCurves {
+  /**
+   * @param {Object} config - Configuración del juego
+   */
+  constructor(config) {
+    // Interruptores de config.json: la velocidad y el ritmo cuelgan de
+    // increaseSpeedOverTime, el hueco de decreaseGapOverTime
+    const flags = config.DIFFICULTY;
+    this.enabled = {
+      pipeSpeed: !!flags.increaseSpeedOverTime,
+      spawnInterval: !!flags.increaseSpeedOverTime,
+      gapSize: !!flags.decreaseGapOverTime,
+    };
+  }
+
+  /**
+   * Valores con curva y variable de la que dependen
+   */
+  static get KEYS() {
+    return ["pipeSpeed", "gapSize", "spawnInterval"];
+  }
+
+  static get AXES() {
+    return ["pipes", "time"];
+  }
+
+  /**
+   * Aplica las curvas de un nivel a su dificultad
+   * @param {Object} difficulty - { pipeSpeed, gapSize, spawnInterval }
+   * @param {Object} curves - difficulty.curves del nivel (puede faltar)
+   * @param {Object} progress - { pipes, time } en el nivel (time en s)
+   * @returns {Object} Dificultad con los desplazamientos sumados
+   */
+  apply(difficulty, curves, progress) {
+    if (!curves) return difficulty;
+
+    const result = { ...difficulty };
+    DifficultyCurves.KEYS.forEach((key) => {
+      const curve = curves[key];
+      if (!curve || !this.enabled[key]) return;
+
+      const x = progress[curve.by] ?? 0;
+      result[key] += DifficultyCurves.evaluate(curve.points, x);
+    });
+
+    // Nunca tuberías paradas ni huecos o ritmos negativos
+    result.pipeSpeed = Math.max(0.1, result.pipeSpeed);
+    result.gapSize = Math.max(0, result.gapSize);
+    result.spawnInterval = Math.max(1, result.spawnInterval);
+
+    return result;
+  }
+
+  /**
+   * Interpola una curva en x (antes del primer punto vale el primero y
+   * después del último, el último)
+   * @param {Array<Array<number>>} points - [[x, valor], ...] con x creciente
+   * @param {number} x
+   */
+  static evaluate(points, x) {
+    if (points.length === 0) return 0;
+    if (x <= points[0][0]) return points[0][1];
+
+    for (let i = 1; i < points.length; i++) {
+      const [x1, y1] = points[i];
+      if (x <= x1) {
+        const [x0, y0] = points[i - 1];
+        return y0 + ((y1 - y0) * (x - x0)) / (x1 - x0);
+      }
+    }
+
+    return points[points.length - 1][1];
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DifficultyCurves;
+}
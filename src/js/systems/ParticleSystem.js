@@ -0,0 +1,390 @@
+/**
+ * ParticleSystem.js - Partículas de todo el juego con un pool compartido
+ * Las partículas se crean una sola vez (performance.maxParticles) y se
+ * reutilizan; si el presupuesto se agota, las nuevas se descartan. Cada
+ * preset define el aspecto y el movimiento de un tipo de partícula. Son solo
+ * visuales: usan Math.random y no afectan a la simulación
+ */
+
+class ParticleSystem {
+  /**
+   * @param {Object} config - Configuración del juego
+   * @param {Object} bounds - { width, height } del mundo
+   */
+  constructor(config, bounds) {
+    this.bounds = bounds;
+    this.maxParticles = config.PERFORMANCE.maxParticles ?? 100;
+
+    // Pool: todas las partículas existen desde el principio
+    this.active = [];
+    this.free = [];
+    for (let i = 0; i < this.maxParticles; i++) {
+      this.free.push(ParticleSystem.createParticle());
+    }
+
+    // Fuerza del viento (la del WindSystem) que arrastra las partículas
+    this.wind = { x: 0, y: 0 };
+
+    // Partículas descartadas por falta de presupuesto
+    this.dropped = 0;
+  }
+
+  /**
+   * Presets de emisión:
+   * colors, size y decay ([min, max]), speed ([min, max] px/tick),
+   * angle/spread (dirección en radianes), gravity, drag (fricción por
+   * tick), growth (escala del tamaño por tick), windScale (cuánto les afecta
+   * el viento), shape (circle, glow, star, feather, spark), count (por
+   * defecto en emit) y ambient (rate por tick y spawn: bottom, windward o
+   * anywhere) para los effects.particleType de los niveles
+   */
+  static get PRESETS() {
+    return {
+      fire: {
+        colors: ["#FFD27F", "#FF7A1A", "#FF4500"],
+        size: [1, 3.5],
+        speed: [0.3, 0.8],
+        angle: -Math.PI / 2,
+        spread: Math.PI / 3,
+        gravity: -0.005,
+        drag: 0.96,
+        decay: [0.004, 0.008],
+        windScale: 4,
+        shape: "glow",
+        count: 6,
+        ambient: { rate: 0.4, spawn: "windward" },
+      },
+      stars: {
+        colors: ["#FFFFFF", "#B0E0FF", "#FFD700"],
+        size: [1.5, 3],
+        speed: [0.1, 0.4],
+        angle: Math.PI,
+        spread: Math.PI / 6,
+        gravity: 0,
+        drag: 1,
+        decay: [0.006, 0.012],
+        windScale: 0,
+        shape: "star",
+        count: 5,
+        ambient: { rate: 0.12, spawn: "anywhere" },
+      },
+      feathers: {
+        colors: ["#FFFFFF", "#F5E6A8", "#E8D27A"],
+        size: [3, 5],
+        speed: [0.5, 1.5],
+        angle: (Math.PI * 3) / 4,
+        spread: Math.PI / 2,
+        gravity: 0.03,
+        drag: 0.97,
+        decay: [0.012, 0.02],
+        windScale: 2,
+        shape: "feather",
+        count: 3,
+      },
+      sparks: {
+        colors: ["#FFF3B0", "#FFD700", "#FFA500"],
+        size: [1.5, 3],
+        speed: [2, 5],
+        angle: 0,
+        spread: Math.PI * 2,
+        gravity: 0.1,
+        drag: 0.98,
+        decay: [0.02, 0.035],
+        windScale: 0.5,
+        shape: "spark",
+        count: 8,
+      },
+      dust: {
+        colors: ["#C8B89A", "#A89A84", "#8A7F70"],
+        size: [3, 6],
+        speed: [0.3, 1.5],
+        angle: -Math.PI / 2,
+        spread: (Math.PI * 2) / 3,
+        gravity: -0.005,
+        drag: 0.95,
+        growth: 1.02,
+        decay: [0.015, 0.025],
+        windScale: 1,
+        shape: "circle",
+        count: 10,
+      },
+    };
+  }
+
+  static createParticle() {
+    return {
+      preset: null,
+      x: 0,
+      y: 0,
+      prevX: 0,
+      prevY: 0,
+      velocityX: 0,
+      velocityY: 0,
+      size: 1,
+      alpha: 1,
+      decay: 0.01,
+      color: "white",
+      rotation: 0,
+      spin: 0,
+      phase: 0,
+    };
+  }
+
+  /**
+   * Emite partículas de un preset
+   * @param {string} type - Clave de PRESETS
+   * @param {number} x
+   * @param {number} y
+   * @param {Object} options - { count, color, angle, spread, width, height }
+   *   (width/height reparten el origen en un rectángulo centrado)
+   * @returns {number} Partículas emitidas (menos si no hay presupuesto)
+   */
+  emit(type, x, y, options = {}) {
+    const preset = ParticleSystem.PRESETS[type];
+    if (!preset) {
+      console.warn(`Unknown particle preset: ${type}`);
+      return 0;
+    }
+
+    const count = options.count ?? preset.count;
+    const angle = options.angle ?? preset.angle;
+    const spread = options.spread ?? preset.spread;
+    const width = options.width ?? 0;
+    const height = options.height ?? 0;
+    const random = (min, max) => min + Math.random() * (max - min);
+
+    let emitted = 0;
+    for (let i = 0; i < count; i++) {
+      const particle = this.free.pop();
+      if (!particle) {
+        this.dropped += count - i;
+        break;
+      }
+
+      const direction = angle + (Math.random() - 0.5) * spread;
+      const speed = random(...preset.speed);
+
+      particle.preset = preset;
+      particle.x = x + (Math.random() - 0.5) * width;
+      particle.y = y + (Math.random() - 0.5) * height;
+      particle.prevX = particle.x;
+      particle.prevY = particle.y;
+      particle.velocityX = Math.cos(direction) * speed;
+      particle.velocityY = Math.sin(direction) * speed;
+      particle.size = random(...preset.size);
+      particle.alpha = 1;
+      particle.decay = random(...preset.decay);
+      particle.color =
+        options.color ??
+        preset.colors[Math.floor(Math.random() * preset.colors.length)];
+      particle.rotation = Math.random() * Math.PI * 2;
+      particle.spin = (Math.random() - 0.5) * 0.2;
+      particle.phase = Math.random() * Math.PI * 2;
+
+      this.active.push(particle);
+      emitted++;
+    }
+
+    return emitted;
+  }
+
+  /**
+   * Partículas ambientales de un nivel (effects.particleType)
+   * @param {string} type - Preset con ambient
+   * @param {number} deltaTime - Escala del tick (1 = 60 Hz)
+   */
+  emitAmbient(type, deltaTime = 1) {
+    const preset = ParticleSystem.PRESETS[type];
+    if (!preset || !preset.ambient) return;
+    if (Math.random() >= preset.ambient.rate * deltaTime) return;
+
+    const { width, height } = this.bounds;
+    let x = Math.random() * width;
+    let y = Math.random() * height;
+
+    if (preset.ambient.spawn === "bottom") {
+      y = height + 5;
+    } else if (preset.ambient.spawn === "windward") {
+      // Entran por el lado desde el que sopla el viento (o desde abajo)
+      if (Math.abs(this.wind.x) > 0.001) {
+        x = this.wind.x > 0 ? -5 : width + 5;
+      } else {
+        y = height + 5;
+      }
+    }
+
+    this.emit(type, x, y, { count: 1 });
+  }
+
+  /**
+   * Avanza las partículas y devuelve al pool las que se apagan
+   * @param {number} deltaTime - Escala del tick (1 = 60 Hz)
+   */
+  update(deltaTime = 1) {
+    const { width, height } = this.bounds;
+
+    for (let i = this.active.length - 1; i >= 0; i--) {
+      const particle = this.active[i];
+      const preset = particle.preset;
+
+      particle.prevX = particle.x;
+      particle.prevY = particle.y;
+
+      particle.velocityX += this.wind.x * preset.windScale * deltaTime;
+      particle.velocityY += this.wind.y * preset.windScale * 0.5 * deltaTime;
+      particle.velocityY += preset.gravity * deltaTime;
+      particle.velocityX *= Math.pow(preset.drag, deltaTime);
+      particle.velocityY *= Math.pow(preset.drag, deltaTime);
+
+      // Las plumas se mecen al caer
+      if (preset.shape === "feather") {
+        particle.velocityX += Math.sin(particle.phase) * 0.05 * deltaTime;
+      }
+
+      particle.x += particle.velocityX * deltaTime;
+      particle.y += particle.velocityY * deltaTime;
+      particle.rotation += particle.spin * deltaTime;
+      particle.phase += 0.15 * deltaTime;
+      particle.alpha -= particle.decay * deltaTime;
+      if (preset.growth) {
+        particle.size *= Math.pow(preset.growth, deltaTime);
+      }
+
+      const outside =
+        particle.x < -20 ||
+        particle.x > width + 20 ||
+        particle.y < -20 ||
+        particle.y > height + 20;
+
+      if (particle.alpha <= 0 || outside) {
+        this.release(i);
+      }
+    }
+  }
+
+  /**
+   * Devuelve al pool la partícula activa de un índice
+   */
+  release(index) {
+    const particle = this.active[index];
+    const last = this.active.pop();
+    if (last !== particle) {
+      this.active[index] = last;
+    }
+    particle.preset = null;
+    this.free.push(particle);
+  }
+
+  /**
+   * Apaga todas las partículas (nueva partida)
+   */
+  clear() {
+    while (this.active.length > 0) {
+      this.release(this.active.length - 1);
+    }
+  }
+
+  /**
+   * Renderiza las partículas activas
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} alpha - Interpolación entre el tick anterior y el actual
+   */
+  render(context, alpha = 1) {
+    if (this.active.length === 0) return;
+
+    context.save();
+
+    this.active.forEach((particle) => {
+      const x = particle.prevX + (particle.x - particle.prevX) * alpha;
+      const y = particle.prevY + (particle.y - particle.prevY) * alpha;
+
+      context.globalAlpha = Math.max(0, Math.min(1, particle.alpha));
+      context.fillStyle = particle.color;
+      context.strokeStyle = particle.color;
+
+      switch (particle.preset.shape) {
+        case "glow":
+          this.renderGlow(context, particle, x, y);
+          break;
+        case "star":
+          this.renderStar(context, particle, x, y);
+          break;
+        case "feather":
+          this.renderFeather(context, particle, x, y);
+          break;
+        case "spark":
+          this.renderSpark(context, particle, x, y);
+          break;
+        default:
+          context.beginPath();
+          context.arc(x, y, particle.size, 0, Math.PI * 2);
+          context.fill();
+      }
+    });
+
+    context.restore();
+  }
+
+  renderGlow(context, particle, x, y) {
+    // Parpadeo como el de una brasa
+    const glow = 0.7 + Math.sin(particle.phase) * 0.3;
+    context.globalAlpha *= glow;
+    context.shadowColor = particle.color;
+    context.shadowBlur = 6;
+    context.beginPath();
+    context.arc(x, y, particle.size, 0, Math.PI * 2);
+    context.fill();
+    context.shadowBlur = 0;
+  }
+
+  renderStar(context, particle, x, y) {
+    const twinkle = 0.6 + Math.sin(particle.phase * 2) * 0.4;
+    const size = particle.size * (1 + twinkle);
+    context.globalAlpha *= twinkle;
+    context.fillRect(x - size, y - 0.5, size * 2, 1);
+    context.fillRect(x - 0.5, y - size, 1, size * 2);
+    context.fillRect(x - 1, y - 1, 2, 2);
+  }
+
+  renderFeather(context, particle, x, y) {
+    context.save();
+    context.translate(x, y);
+    context.rotate(particle.rotation);
+    context.beginPath();
+    context.ellipse(
+      0,
+      0,
+      particle.size,
+      particle.size * 0.4,
+      0,
+      0,
+      Math.PI * 2
+    );
+    context.fill();
+    context.restore();
+  }
+
+  renderSpark(context, particle, x, y) {
+    context.lineWidth = particle.size * 0.6;
+    context.beginPath();
+    context.moveTo(x, y);
+    context.lineTo(x - particle.velocityX * 2, y - particle.velocityY * 2);
+    context.stroke();
+  }
+
+  /**
+   * Uso del pool
+   */
+  getStats() {
+    return {
+      active: this.active.length,
+      free: this.free.length,
+      maxParticles: this.maxParticles,
+      dropped: this.dropped,
+    };
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ParticleSystem;
+}
@@ -0,0 +1,219 @@
+/**
+ * PowerUpSystem.js - Aparición, recogida y efectos de los power-ups
+ * Los tipos vienen de "powerups" en levels.json. Aparecen en el hueco de
+ * algunas tuberías según su rareza, con su propio generador con semilla
+ * para que las repeticiones los reproduzcan igual
+ */
+
+class PowerUpSystem {
+  /**
+   * @param {Object} config - Configuración del juego
+   */
+  constructor(config) {
+    this.definitions = config.POWERUPS || {};
+    this.settings = config.LEVEL_SETTINGS;
+    this.rng = new SeededRandom();
+
+    this.items = []; // Power-ups en pantalla
+    this.active = new Map(); // effect -> { type, name, remaining, duration }
+  }
+
+  /**
+   * Peso de cada rareza si levels.json no define powerupRarityWeights
+   */
+  static get DEFAULT_RARITY_WEIGHTS() {
+    return { common: 6, uncommon: 3, rare: 1 };
+  }
+
+  /**
+   * Empieza una partida nueva
+   * @param {number|string} seed - Semilla de la partida
+   */
+  reset(seed) {
+    this.rng.setSeed(`${seed}:powerups`);
+    this.items = [];
+    this.active.clear();
+  }
+
+  /**
+   * Puede crear un power-up en el hueco de un par de tuberías recién creado
+   * @param {number} x - Centro horizontal del hueco
+   * @param {number} y - Centro vertical del hueco
+   * @param {number} speed - Velocidad de las tuberías
+   */
+  trySpawn(x, y, speed) {
+    const types = Object.keys(this.definitions);
+    if (types.length === 0 || this.items.length > 0) return null;
+    if (!this.rng.chance(this.settings.powerupSpawnChance ?? 0.15)) {
+      return null;
+    }
+
+    const type = this.pickType(types);
+    const item = new PowerUp({
+      type: type,
+      definition: this.definitions[type],
+      x: x,
+      y: y,
+      speed: speed,
+    });
+    this.items.push(item);
+    return item;
+  }
+
+  /**
+   * Elige un tipo ponderando por su rareza
+   */
+  pickType(types) {
+    const weights = {
+      ...PowerUpSystem.DEFAULT_RARITY_WEIGHTS,
+      ...this.settings.powerupRarityWeights,
+    };
+    const weightOf = (type) => weights[this.definitions[type].rarity] ?? 1;
+    const total = types.reduce((sum, type) => sum + weightOf(type), 0);
+
+    let roll = this.rng.range(0, total);
+    for (const type of types) {
+      roll -= weightOf(type);
+      if (roll < 0) return type;
+    }
+    return types[types.length - 1];
+  }
+
+  /**
+   * Avanza los power-ups en pantalla, recoge los que toca el pájaro y
+   * descuenta la duración de los efectos activos
+   * @param {Bird} bird
+   * @param {number} deltaTime - Escala del movimiento en este tick
+   * @param {number} elapsed - Tiempo real del tick en ms (no se ralentiza)
+   * @returns {Object} { collected: [], expired: [] }
+   */
+  update(bird, deltaTime, elapsed) {
+    const collected = [];
+    const expired = [];
+
+    this.items = this.items.filter((item) => {
+      if (!item.update(deltaTime)) return false;
+      if (!item.collides(bird)) return true;
+
+      this.activate(item.type);
+      collected.push(this.active.get(item.effect));
+      return false;
+    });
+
+    this.active.forEach((effect, key) => {
+      if (collected.includes(effect)) return;
+
+      effect.remaining -= elapsed;
+      if (effect.remaining <= 0) {
+        this.active.delete(key);
+        expired.push(effect);
+      }
+    });
+
+    return { collected, expired };
+  }
+
+  /**
+   * Activa el efecto de un tipo (si ya estaba activo, renueva la duración)
+   */
+  activate(type) {
+    const definition = this.definitions[type];
+
+    this.active.set(definition.effect, {
+      type: type,
+      name: definition.name,
+      effect: definition.effect,
+      duration: definition.duration,
+      remaining: definition.duration,
+    });
+  }
+
+  /**
+   * Indica si un efecto está activo
+   * @param {string} effect - collision_immunity, time_slow o score_multiplier
+   */
+  isActive(effect) {
+    return this.active.has(effect);
+  }
+
+  /**
+   * El escudo absorbe una colisión y se gasta
+   * @returns {Object|null} Efecto consumido, o null si no había escudo
+   */
+  consumeShield() {
+    const shield = this.active.get("collision_immunity");
+    if (!shield) return null;
+
+    this.active.delete("collision_immunity");
+    return shield;
+  }
+
+  /**
+   * Escala del paso de simulación (cámara lenta)
+   */
+  get timeScale() {
+    return this.isActive("time_slow") ? 0.5 : 1;
+  }
+
+  /**
+   * Multiplicador de puntos (puntos dobles)
+   */
+  get scoreMultiplier() {
+    return this.isActive("score_multiplier") ? 2 : 1;
+  }
+
+  /**
+   * Renderiza los power-ups en pantalla
+   */
+  render(context, alpha = 1) {
+    this.items.forEach((item) => item.render(context, alpha));
+  }
+
+  /**
+   * Temporizadores de los efectos activos en el HUD (esquina derecha)
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} right - Borde derecho
+   * @param {number} top - Primera fila
+   */
+  renderTimers(context, right, top) {
+    let y = top;
+
+    this.active.forEach((effect) => {
+      const style = PowerUp.STYLES[effect.effect];
+      const progress = Math.max(0, effect.remaining / effect.duration);
+      const barWidth = 70;
+      const barX = right - barWidth;
+
+      PowerUp.renderIcon(context, barX - 16, y, 11, style);
+
+      context.save();
+      context.fillStyle = "rgba(0, 0, 0, 0.4)";
+      context.fillRect(barX, y - 5, barWidth, 10);
+      context.fillStyle = style.color;
+      context.fillRect(barX, y - 5, barWidth * progress, 10);
+
+      context.font = "bold 11px Arial";
+      context.textAlign = "right";
+      context.fillStyle = "white";
+      context.fillText(
+        `${(effect.remaining / 1000).toFixed(1)}s`,
+        right,
+        y + 18
+      );
+      context.restore();
+
+      y += 36;
+    });
+  }
+
+  /**
+   * Efectos activos (para HUD externos y debug)
+   */
+  getActiveEffects() {
+    return [...this.active.values()].map((effect) => ({ ...effect }));
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PowerUpSystem;
+}
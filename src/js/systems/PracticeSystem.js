@@ -0,0 +1,87 @@
+/**
+ * PracticeSystem.js - Puntos de control del modo práctica
+ * Una partida de práctica empieza en cualquier nivel y tubería, guarda un
+ * punto de control cada checkpointInterval tuberías (config.json) y al morir
+ * vuelve al último en lugar de terminar. GameSimulation guarda y restaura el
+ * estado; aquí solo se lleva la cuenta
+ */
+
+class PracticeSystem {
+  /**
+   * @param {Object} config - Configuración del juego
+   */
+  constructor(config) {
+    this.defaultInterval = config.PRACTICE.CHECKPOINT_INTERVAL;
+    this.reset(null);
+  }
+
+  /**
+   * Empieza una partida nueva
+   * @param {Object|null} options - { startPipe, interval }; null = partida
+   *   normal
+   */
+  reset(options) {
+    this.enabled = !!options;
+    this.startPipe = options ? options.startPipe || 0 : 0;
+    this.interval = (options && options.interval) || this.defaultInterval;
+
+    this.checkpoint = null; // Último estado guardado
+    this.checkpoints = 0; // Guardados en la partida (sin contar el inicial)
+    this.deaths = 0;
+  }
+
+  /**
+   * Opciones con las que se repite la partida (repeticiones)
+   */
+  getOptions() {
+    if (!this.enabled) return null;
+    return { startPipe: this.startPipe, interval: this.interval };
+  }
+
+  /**
+   * Indica si toca guardar un punto de control
+   * @param {number} pipesPassed - Tuberías superadas en el nivel
+   */
+  shouldSave(pipesPassed) {
+    if (!this.enabled || !this.checkpoint) return false;
+    return (
+      pipesPassed > this.checkpoint.pipe && pipesPassed % this.interval === 0
+    );
+  }
+
+  /**
+   * Guarda un punto de control
+   * @param {Object} snapshot - Estado de GameSimulation en ese momento
+   * @param {boolean} initial - El del inicio de la partida
+   */
+  save(snapshot, initial = false) {
+    this.checkpoint = snapshot;
+    if (!initial) this.checkpoints++;
+  }
+
+  /**
+   * Cuenta una muerte y devuelve el punto de control al que volver
+   */
+  respawn() {
+    this.deaths++;
+    return this.checkpoint;
+  }
+
+  /**
+   * Resumen serializable (null si no es una partida de práctica)
+   */
+  getState() {
+    if (!this.enabled) return null;
+    return {
+      startPipe: this.startPipe,
+      interval: this.interval,
+      checkpoint: this.checkpoint ? this.checkpoint.pipe : this.startPipe,
+      checkpoints: this.checkpoints,
+      deaths: this.deaths,
+    };
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PracticeSystem;
+}
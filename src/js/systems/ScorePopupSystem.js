@@ -0,0 +1,99 @@
+/**
+ * ScorePopupSystem.js - Textos animados con los puntos de cada tubería
+ * Suben y se desvanecen desde el hueco superado. Son solo visuales (no
+ * forman parte de la simulación) y se desactivan con
+ * gameplay.scoring.showScorePopups en config.json
+ */
+
+class ScorePopupSystem {
+  /**
+   * @param {Object} config - Configuración del juego
+   */
+  constructor(config) {
+    this.enabled = config.SCORING.SHOW_SCORE_POPUPS !== false;
+    this.duration = 50; // Ticks a 60 Hz
+    this.popups = [];
+  }
+
+  /**
+   * Añade un popup con los puntos de un paso
+   * @param {Object} pass - Evento "score" de la simulación
+   */
+  add(pass) {
+    if (!this.enabled) return;
+
+    const lines = [{ text: `+${pass.points}`, color: "white", size: 22 }];
+    if (pass.isPerfect) {
+      lines.push({ text: "PERFECT!", color: "#7CFC00", size: 14 });
+    }
+    if (pass.combo > 0) {
+      const multiplier = `x${pass.comboMultiplier.toFixed(1)}`;
+      lines.push({
+        text: `COMBO ${pass.comboCount} ${multiplier}`,
+        color: "#FFD700",
+        size: 14,
+      });
+    }
+
+    this.popups.push({
+      x: pass.x,
+      y: pass.y,
+      prevY: pass.y,
+      age: 0,
+      lines: lines,
+    });
+  }
+
+  /**
+   * Avanza las animaciones
+   * @param {number} deltaTime - Escala del tick (1 = 60 Hz)
+   */
+  update(deltaTime = 1) {
+    this.popups = this.popups.filter((popup) => {
+      popup.prevY = popup.y;
+      popup.y -= 0.8 * deltaTime;
+      popup.age += deltaTime;
+      return popup.age < this.duration;
+    });
+  }
+
+  clear() {
+    this.popups = [];
+  }
+
+  /**
+   * Renderiza los popups activos
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} alpha - Interpolación entre el tick anterior y el actual
+   */
+  render(context, alpha = 1) {
+    if (this.popups.length === 0) return;
+
+    context.save();
+    context.textAlign = "center";
+    context.strokeStyle = "black";
+    context.lineWidth = 3;
+
+    this.popups.forEach((popup) => {
+      const progress = popup.age / this.duration;
+      // Crece al aparecer y se desvanece en la segunda mitad
+      const scale = Math.min(1, 0.6 + progress * 4);
+      let y = popup.prevY + (popup.y - popup.prevY) * alpha;
+
+      context.globalAlpha = Math.min(1, 2 - progress * 2);
+      popup.lines.forEach(({ text, color, size }) => {
+        context.font = `bold ${Math.round(size * scale)}px Arial`;
+        context.fillStyle = color;
+        context.strokeText(text, popup.x, y);
+        context.fillText(text, popup.x, y);
+        y += size + 2;
+      });
+    });
+
+    context.restore();
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ScorePopupSystem;
+}
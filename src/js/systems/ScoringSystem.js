@@ -0,0 +1,150 @@
+/**
+ * ScoringSystem.js - Puntos de cada par de tuberías superado
+ * Cada par vale los basePoints del nivel (levels.json) por pointsPerPipe
+ * (config.json). Los pasos limpios seguidos forman un combo que sube de
+ * escalón cada comboStep pasos y multiplica esos puntos; bonusMultiplier del
+ * nivel escala lo que aporta cada escalón. Pasar cerca del centro del hueco
+ * suma además el perfectBonus del nivel. Atravesar una tubería con el escudo
+ * o romperla corta el combo
+ */
+
+class ScoringSystem {
+  /**
+   * @param {Object} config - Configuración del juego
+   */
+  constructor(config) {
+    const scoring = config.SCORING;
+
+    this.pointsPerPipe = scoring.POINTS_PER_PIPE;
+    this.comboEnabled = !!scoring.COMBO_MULTIPLIER;
+    this.perfectEnabled = !!scoring.BONUS_FOR_PERFECT_RUNS;
+    this.comboStep = scoring.COMBO_STEP ?? 5;
+    this.comboBonus = scoring.COMBO_BONUS ?? 0.5; // Por escalón
+    this.maxComboTier = scoring.MAX_COMBO_TIER ?? 3;
+    this.perfectTolerance = scoring.PERFECT_TOLERANCE ?? 12; // px
+
+    this.reset();
+  }
+
+  /**
+   * Empieza una partida nueva
+   */
+  reset() {
+    this.combo = 0; // Pasos limpios seguidos
+    this.bestCombo = 0;
+    this.perfects = 0;
+
+    // Puntos de la partida según su origen
+    this.breakdown = { base: 0, combo: 0, perfect: 0, powerUp: 0 };
+  }
+
+  /**
+   * Escalón del combo actual (0 = sin bonus)
+   */
+  get comboTier() {
+    if (!this.comboEnabled) return 0;
+    const tier = Math.floor(this.combo / this.comboStep);
+    return Math.min(this.maxComboTier, tier);
+  }
+
+  /**
+   * Multiplicador del combo actual en un nivel
+   * @param {Object} levelScoring - scoring del nivel
+   */
+  getComboMultiplier(levelScoring) {
+    const bonusMultiplier = levelScoring.bonusMultiplier ?? 1;
+    return 1 + this.comboTier * this.comboBonus * bonusMultiplier;
+  }
+
+  /**
+   * Indica si el pájaro salió del par cerca del centro del hueco
+   * @param {number} offset - Distancia vertical (px) entre el centro del
+   *   pájaro y el del hueco al superarlo
+   */
+  isPerfect(offset) {
+    return Math.abs(offset) <= this.perfectTolerance;
+  }
+
+  /**
+   * Puntúa un par superado
+   * @param {Object} pass
+   * @param {Object} pass.level - scoring del nivel actual
+   * @param {boolean} pass.clean - Sin atravesar ninguna tubería
+   * @param {boolean} pass.perfect - Por el centro del hueco
+   * @param {number} pass.multiplier - Multiplicador de los power-ups
+   * @returns {Object} { points, base, combo, perfect, powerUp, comboCount,
+   *   comboMultiplier, isPerfect }
+   */
+  scorePass({ level, clean, perfect, multiplier = 1 }) {
+    if (clean) {
+      this.combo++;
+      this.bestCombo = Math.max(this.bestCombo, this.combo);
+    } else {
+      this.combo = 0;
+    }
+
+    const isPerfect = clean && perfect;
+    if (isPerfect) this.perfects++;
+
+    const comboMultiplier = this.getComboMultiplier(level);
+    const base = this.pointsPerPipe * (level.basePoints ?? 1);
+    const combo = Math.round(base * comboMultiplier) - base;
+    const perfectPoints =
+      isPerfect && this.perfectEnabled ? (level.perfectBonus ?? 0) : 0;
+
+    const subtotal = base + combo + perfectPoints;
+    const points = Math.round(subtotal * multiplier);
+
+    const result = {
+      points: points,
+      base: base,
+      combo: combo,
+      perfect: perfectPoints,
+      powerUp: points - subtotal,
+      comboCount: this.combo,
+      comboMultiplier: comboMultiplier,
+      isPerfect: isPerfect,
+    };
+
+    Object.keys(this.breakdown).forEach((key) => {
+      this.breakdown[key] += result[key];
+    });
+
+    return result;
+  }
+
+  /**
+   * Corta el combo (un par roto no da puntos)
+   */
+  breakCombo() {
+    this.combo = 0;
+  }
+
+  /**
+   * Vuelve a un resumen guardado con getState() (puntos de control del modo
+   * práctica); el combo empieza de cero
+   */
+  restore({ bestCombo, perfects, breakdown }) {
+    this.combo = 0;
+    this.bestCombo = bestCombo;
+    this.perfects = perfects;
+    this.breakdown = { ...breakdown };
+  }
+
+  /**
+   * Resumen serializable de la partida
+   */
+  getState() {
+    return {
+      combo: this.combo,
+      comboTier: this.comboTier,
+      bestCombo: this.bestCombo,
+      perfects: this.perfects,
+      breakdown: { ...this.breakdown },
+    };
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ScoringSystem;
+}
@@ -0,0 +1,123 @@
+/**
+ * TimeAttackSystem.js - Reloj, penalizaciones y parciales de la contrarreloj
+ * La partida termina al superar un número fijo de tuberías (una de las
+ * categorías de timeAttack.targets en config.json). Chocar no termina la
+ * partida: suma collisionPenalty ms al reloj y GameSimulation recoloca al
+ * pájaro con la pantalla vacía. El reloj cuenta ticks reales, así que la
+ * cámara lenta no lo frena
+ */
+
+class TimeAttackSystem {
+  /**
+   * @param {Object} config - Configuración del juego
+   */
+  constructor(config) {
+    this.settings = config.TIME_ATTACK;
+    this.reset(null);
+  }
+
+  /**
+   * Empieza una partida nueva
+   * @param {Object|null} options - { pipes, penalty, splits }; null =
+   *   partida normal
+   */
+  reset(options) {
+    this.enabled = !!options;
+    this.pipes = (options && options.pipes) || this.settings.TARGETS[0];
+    this.penalty = (options && options.penalty) ?? this.settings.PENALTY;
+    this.splitCount = (options && options.splits) || this.settings.SPLITS;
+    this.splitEvery = Math.max(1, Math.ceil(this.pipes / this.splitCount));
+
+    this.elapsed = 0; // ms de juego sin penalizaciones
+    this.passed = 0;
+    this.penalties = 0;
+    this.penaltyTime = 0;
+    this.splits = []; // { pipe, time } con el reloj al llegar a esa tubería
+    this.completed = false;
+  }
+
+  /**
+   * Opciones con las que se repite la partida (repeticiones)
+   */
+  getOptions() {
+    if (!this.enabled) return null;
+    return {
+      pipes: this.pipes,
+      penalty: this.penalty,
+      splits: this.splitCount,
+    };
+  }
+
+  /**
+   * Tiempo del reloj (ms), penalizaciones incluidas
+   */
+  get time() {
+    return this.elapsed + this.penaltyTime;
+  }
+
+  /**
+   * Avanza el reloj un tick
+   * @param {number} ms - Duración real del tick
+   */
+  update(ms) {
+    if (this.enabled && !this.completed) this.elapsed += ms;
+  }
+
+  /**
+   * Cuenta una tubería superada
+   * @returns {Object|null} El parcial si esta tubería cierra un tramo (la
+   *   última siempre lo cierra)
+   */
+  passPipe() {
+    this.passed++;
+    if (this.passed >= this.pipes) this.completed = true;
+
+    if (this.passed % this.splitEvery !== 0 && !this.completed) return null;
+
+    const split = { pipe: this.passed, time: this.time };
+    this.splits.push(split);
+    return split;
+  }
+
+  /**
+   * Penaliza un choque
+   * @returns {number} Penalizaciones acumuladas
+   */
+  penalize() {
+    this.penalties++;
+    this.penaltyTime += this.penalty;
+    return this.penalties;
+  }
+
+  /**
+   * Resumen serializable (null si no es una contrarreloj)
+   */
+  getState() {
+    if (!this.enabled) return null;
+    return {
+      pipes: this.pipes,
+      passed: this.passed,
+      time: this.time,
+      penalties: this.penalties,
+      penaltyTime: this.penaltyTime,
+      splits: this.splits.map((split) => ({ ...split })),
+      completed: this.completed,
+    };
+  }
+
+  /**
+   * Formatea un tiempo del reloj como m:ss.cc
+   * @param {number} ms
+   */
+  static formatTime(ms) {
+    const pad = (value) => String(value).padStart(2, "0");
+    const centiseconds = Math.floor(Math.max(0, ms) / 10);
+    const minutes = Math.floor(centiseconds / 6000);
+    const seconds = Math.floor(centiseconds / 100) % 60;
+    return `${minutes}:${pad(seconds)}.${pad(centiseconds % 100)}`;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TimeAttackSystem;
+}
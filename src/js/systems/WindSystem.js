@@ -0,0 +1,170 @@
+/**
+ * WindSystem.js - Rachas de viento de los niveles con effects.wind
+ * La fuerza se decide con su propio generador con semilla (forma parte de
+ * la simulación y se repite igual en las repeticiones); las brasas que la
+ * hacen visible son partículas del ParticleSystem que arrastra esta fuerza
+ */
+
+class WindSystem {
+  constructor() {
+    this.rng = new SeededRandom();
+
+    // Ajustes del nivel actual
+    this.enabled = false;
+    this.strength = 0;
+    this.gustDuration = { min: 1500, max: 4000 };
+
+    // Fuerza actual (px/tick²) y la de la racha hacia la que se mueve
+    this.force = { x: 0, y: 0 };
+    this.target = { x: 0, y: 0 };
+    this.gustTimer = 0;
+    this.easing = 0.02; // Fracción del cambio de racha aplicada por tick
+  }
+
+  /**
+   * Empieza una partida nueva
+   * @param {number|string} seed - Semilla de la partida
+   */
+  reset(seed) {
+    this.rng.setSeed(`${seed}:wind`);
+    this.force = { x: 0, y: 0 };
+    this.target = { x: 0, y: 0 };
+    this.gustTimer = 0;
+  }
+
+  /**
+   * Aplica los efectos de un nivel (levels.json)
+   * @param {Object} effects - effects del nivel
+   */
+  configure(effects = {}) {
+    this.enabled = !!effects.wind;
+    this.strength = effects.windStrength ?? 0;
+    this.gustDuration = {
+      min: effects.windGustMin ?? 1500,
+      max: effects.windGustMax ?? 4000,
+    };
+    this.gustTimer = 0;
+
+    if (!this.enabled) {
+      this.target = { x: 0, y: 0 };
+    }
+  }
+
+  /**
+   * Avanza el viento un tick
+   * @param {number} deltaTime - Duración del tick en ms
+   * @param {number} tickScale - Escala de la física respecto a 60 Hz
+   */
+  update(deltaTime, tickScale = 1) {
+    if (this.enabled) {
+      this.gustTimer -= deltaTime;
+      if (this.gustTimer <= 0) {
+        this.startGust();
+      }
+    }
+
+    const easing = Math.min(1, this.easing * tickScale);
+    this.force.x += (this.target.x - this.force.x) * easing;
+    this.force.y += (this.target.y - this.force.y) * easing;
+  }
+
+  /**
+   * Elige la siguiente racha: sobre todo horizontal, con algo de componente
+   * vertical, y con una intensidad entre el 30% y el 100% de windStrength
+   */
+  startGust() {
+    const direction = this.rng.chance(0.5) ? 1 : -1;
+    const angle = this.rng.range(-0.4, 0.4);
+    const strength = this.strength * this.rng.range(0.3, 1);
+
+    this.target = {
+      x: Math.cos(angle) * strength * direction,
+      y: Math.sin(angle) * strength,
+    };
+    this.gustTimer = this.rng.range(
+      this.gustDuration.min,
+      this.gustDuration.max
+    );
+  }
+
+  /**
+   * Indica si hay viento apreciable (también mientras se calma)
+   */
+  isActive() {
+    return this.enabled || Math.hypot(this.force.x, this.force.y) > 0.001;
+  }
+
+  /**
+   * Intensidad actual respecto al máximo del nivel (0-1)
+   */
+  getIntensity() {
+    if (!this.strength) return 0;
+    return Math.min(1, Math.hypot(this.force.x, this.force.y) / this.strength);
+  }
+
+  /**
+   * Indicador del HUD: flecha con la dirección y barras con la intensidad
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} x - Centro del indicador
+   * @param {number} y - Centro del indicador
+   */
+  renderIndicator(context, x, y) {
+    const intensity = this.getIntensity();
+    const angle = Math.atan2(this.force.y, this.force.x);
+
+    context.save();
+
+    // Fondo
+    context.fillStyle = "rgba(0, 0, 0, 0.35)";
+    context.beginPath();
+    context.arc(x, y, 20, 0, Math.PI * 2);
+    context.fill();
+
+    // Flecha
+    context.translate(x, y);
+    context.rotate(angle);
+    context.strokeStyle = "#FFB347";
+    context.fillStyle = "#FFB347";
+    context.lineWidth = 3;
+    context.beginPath();
+    context.moveTo(-12, 0);
+    context.lineTo(8, 0);
+    context.stroke();
+    context.beginPath();
+    context.moveTo(14, 0);
+    context.lineTo(5, -6);
+    context.lineTo(5, 6);
+    context.closePath();
+    context.fill();
+    context.restore();
+
+    // Intensidad (5 barras)
+    context.save();
+    const bars = Math.round(intensity * 5);
+    for (let i = 0; i < 5; i++) {
+      context.fillStyle = i < bars ? "#FF7A1A" : "rgba(255, 255, 255, 0.3)";
+      context.fillRect(x - 14 + i * 6, y + 26 - i * 2, 4, 4 + i * 2);
+    }
+
+    context.font = "bold 12px Arial";
+    context.textAlign = "center";
+    context.fillStyle = "white";
+    context.fillText("WIND", x, y + 44);
+    context.restore();
+  }
+
+  /**
+   * Estado del viento
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      strength: this.strength,
+      force: { ...this.force },
+    };
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = WindSystem;
+}
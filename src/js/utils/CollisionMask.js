@@ -0,0 +1,160 @@
+/**
+ * CollisionMask.js - Máscara de colisión por píxel a partir del alfa de un
+ * sprite
+ * Cada máscara guarda qué píxeles son sólidos al tamaño al que se dibuja el
+ * sprite en el mundo. Sin DOM (headless) o si la imagen no se puede leer se
+ * usa una máscara rectangular, que es lo que se dibuja en ese caso
+ */
+
+class CollisionMask {
+  /**
+   * @param {number} width - Ancho en píxeles del mundo
+   * @param {number} height - Alto en píxeles del mundo
+   * @param {Uint8Array|null} data - 1 = sólido por píxel; null = todo sólido
+   */
+  constructor(width, height, data = null) {
+    this.width = Math.round(width);
+    this.height = Math.round(height);
+    this.data = data;
+
+    // Canvas con la máscara pintada (solo para el overlay de debug)
+    this.debugCanvas = null;
+  }
+
+  /**
+   * Máscara rectangular
+   */
+  static solid(width, height) {
+    return new CollisionMask(width, height);
+  }
+
+  /**
+   * Máscaras ya construidas por imagen y tamaño (las tuberías del pool
+   * comparten sprite)
+   */
+  static get cache() {
+    if (!CollisionMask._cache) CollisionMask._cache = new Map();
+    return CollisionMask._cache;
+  }
+
+  /**
+   * Construye la máscara de una imagen cargada escalada a width x height
+   * @param {HTMLImageElement} image
+   * @param {number} width
+   * @param {number} height
+   * @param {number} threshold - Alfa mínimo (0-255) de un píxel sólido
+   * @returns {CollisionMask} Rectangular si la imagen no se puede leer
+   */
+  static fromImage(image, width, height, threshold = 128) {
+    const key = `${image.src}|${width}x${height}|${threshold}`;
+    const cached = CollisionMask.cache.get(key);
+    if (cached) return cached;
+
+    let mask;
+    try {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width);
+      canvas.height = Math.round(height);
+      const context = canvas.getContext("2d");
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+      const data = new Uint8Array(canvas.width * canvas.height);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = pixels.data[i * 4 + 3] >= threshold ? 1 : 0;
+      }
+      mask = new CollisionMask(width, height, data);
+    } catch (error) {
+      // Canvas contaminado (file://) o sin soporte: caja completa
+      console.warn("Collision mask unavailable, using box:", error.message);
+      mask = CollisionMask.solid(width, height);
+    }
+
+    CollisionMask.cache.set(key, mask);
+    return mask;
+  }
+
+  /**
+   * Indica si un punto (coordenadas locales de la máscara) es sólido
+   */
+  isSolid(x, y) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return false;
+    if (!this.data) return true;
+    return this.data[Math.floor(y) * this.width + Math.floor(x)] === 1;
+  }
+
+  /**
+   * Comprueba si dos máscaras se tocan. La primera puede estar girada y
+   * escalada alrededor de su centro; la segunda está alineada con los ejes.
+   * Se recorren los píxeles del mundo donde se solapan sus rectángulos
+   * @param {Object} a - { mask, x, y, rotation (grados), scale }
+   * @param {Object} b - { mask, x, y }
+   * @param {Object} overlap - { left, top, right, bottom } en el mundo
+   */
+  static overlaps(a, b, overlap) {
+    const radians = ((a.rotation || 0) * Math.PI) / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const scale = a.scale || 1;
+    const centerX = a.x + a.mask.width / 2;
+    const centerY = a.y + a.mask.height / 2;
+
+    const startX = Math.floor(overlap.left);
+    const startY = Math.floor(overlap.top);
+    const endX = Math.ceil(overlap.right);
+    const endY = Math.ceil(overlap.bottom);
+
+    for (let y = startY; y < endY; y++) {
+      for (let x = startX; x < endX; x++) {
+        // Centro del píxel, primero en la máscara alineada
+        const worldX = x + 0.5;
+        const worldY = y + 0.5;
+        if (!b.mask.isSolid(worldX - b.x, worldY - b.y)) continue;
+
+        // Deshacer el giro y la escala de la otra
+        const dx = worldX - centerX;
+        const dy = worldY - centerY;
+        const localX = (dx * cos + dy * sin) / scale + a.mask.width / 2;
+        const localY = (-dx * sin + dy * cos) / scale + a.mask.height / 2;
+        if (a.mask.isSolid(localX, localY)) return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Dibuja la máscara semitransparente (overlay de debug). Las
+   * transformaciones del contexto (giro y escala) se aplican igual que al
+   * sprite
+   */
+  render(context, x, y, color = "rgba(255, 0, 255, 0.45)") {
+    if (!this.data) {
+      context.fillStyle = color;
+      context.fillRect(x, y, this.width, this.height);
+      return;
+    }
+
+    if (!this.debugCanvas) {
+      const canvas = document.createElement("canvas");
+      canvas.width = this.width;
+      canvas.height = this.height;
+      const maskContext = canvas.getContext("2d");
+      maskContext.fillStyle = color;
+      for (let row = 0; row < this.height; row++) {
+        for (let column = 0; column < this.width; column++) {
+          if (this.data[row * this.width + column]) {
+            maskContext.fillRect(column, row, 1, 1);
+          }
+        }
+      }
+      this.debugCanvas = canvas;
+    }
+
+    context.drawImage(this.debugCanvas, x, y);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CollisionMask;
+}
@@ -2,131 +2,39 @@
  * Constants.js - Configuraciones globales del juego
  */
 
-export const GAME_CONFIG = {
-  // Dimensiones del canvas
-  BOARD_WIDTH: 360,
-  BOARD_HEIGHT: 640,
+// La configuración del juego (física, tuberías, puntuación, controles y
+// niveles) vive en src/data/config.json y src/data/levels.json, y la carga
+// ConfigManager al arrancar. No duplicar esos valores aquí.
 
-  // Configuración del pájaro
-  BIRD: {
-    WIDTH: 34,
-    HEIGHT: 24,
-    INITIAL_X: 45, // BOARD_WIDTH / 8
-    INITIAL_Y: 320, // BOARD_HEIGHT / 2
-    JUMP_VELOCITY: -6,
-    GRAVITY: 0.4,
-    MAX_FALL_SPEED: 8,
-  },
-
-  // Configuración de tuberías
-  PIPES: {
-    WIDTH: 64,
-    HEIGHT: 512,
-    INITIAL_X: 360, // BOARD_WIDTH
-    VELOCITY_X: -2,
-    GAP_SIZE: 106, // BOARD_HEIGHT / 6
-    SPAWN_INTERVAL: 1500, // milisegundos
-    MIN_HEIGHT: 50,
-    MAX_HEIGHT: 350,
-  },
-
-  // Sistema de puntuación
-  SCORING: {
-    POINTS_PER_PIPE: 0.5, // Se duplicará por par de tuberías
-    LEVEL_2_THRESHOLD: 20,
-    LEVEL_3_THRESHOLD: 50,
-  },
-
-  // Rutas de assets
-  ASSETS: {
-    IMAGES: {
-      BIRD: "./assets/images/flappybird.png",
-      BACKGROUND_LEVEL_1: "./assets/images/flappybirdbg.png",
-      BACKGROUND_LEVEL_2: "./assets/images/Hell.png",
-      TOP_PIPE_LEVEL_1: "./assets/images/toppipe.png",
-      BOTTOM_PIPE_LEVEL_1: "./assets/images/bottompipe.png",
-      TOP_PIPE_LEVEL_2: "./assets/images/toppipe_infernal.png",
-      BOTTOM_PIPE_LEVEL_2: "./assets/images/bottompipe_infernal.png",
-    },
-    AUDIO: {
-      JUMP: "./assets/audio/jumpSound2.wav",
-      GAME_OVER: "./assets/audio/gameOver.wav",
-      SCORE: "./assets/audio/coinSound.wav",
-    },
-  },
-
-  // Estados del juego
-  STATES: {
-    MENU: "menu",
-    PLAYING: "playing",
-    PAUSED: "paused",
-    GAME_OVER: "gameOver",
-    LOADING: "loading",
-  },
-
-  // Configuración de audio
-  AUDIO: {
-    DEFAULT_VOLUME: 0.7,
-    SOUND_ENABLED: true,
-    MUSIC_ENABLED: true,
-  },
-
-  // Configuración de controles
-  CONTROLS: {
-    KEYBOARD: {
-      JUMP: ["Space", "ArrowUp", "KeyX"],
-      PAUSE: ["KeyP", "Escape"],
-      RESTART: ["KeyR"],
-    },
-    TOUCH: {
-      ENABLED: true,
-      GESTURES: ["tap", "swipeUp"],
-    },
-  },
-
-  // Configuración de niveles
-  LEVELS: {
-    1: {
-      name: "Sky World",
-      background: "BACKGROUND_LEVEL_1",
-      pipes: {
-        top: "TOP_PIPE_LEVEL_1",
-        bottom: "BOTTOM_PIPE_LEVEL_1",
-      },
-      difficulty: {
-        pipeSpeed: -2,
-        spawnInterval: 1500,
-        gapSize: 106,
-      },
-    },
-    2: {
-      name: "Infernal World",
-      background: "BACKGROUND_LEVEL_2",
-      pipes: {
-        top: "TOP_PIPE_LEVEL_2",
-        bottom: "BOTTOM_PIPE_LEVEL_2",
-      },
-      difficulty: {
-        pipeSpeed: -2.5,
-        spawnInterval: 1300,
-        gapSize: 90,
-      },
-    },
-  },
-
-  // Configuración de performance
-  PERFORMANCE: {
-    MAX_PIPES: 10,
-    TARGET_FPS: 60,
-    ENABLE_DEBUG: false,
-  },
-};
-
-// Eventos personalizados del juego
-export const GAME_EVENTS = {
+// Eventos del juego (Game.events). Todos los payloads de partida incluyen
+// además `tick` y `replay` (true si vienen de una repetición):
+//   bird:jump        { y, velocityY, totalJumps }
+//   bird:collision   { cause: "ground" | "ceiling" | "pipe", score }
+//   pipe:passed      { points, score, combo, perfect }
+//   pipe:break       { pipe: "top" | "bottom", score }
+//   score:update     { score, points, isNewRecord }
+//   level:change     { level, previousLevel, name, timeAttack }
+//   game:start       { seed, level, mode, adaptiveSkill, practice,
+//                      timeAttack }
+//   game:pause       { gameTime }
+//   game:resume      { gameTime }
+//   game:over        { score, bestScore, isNewRecord, level, startLevel,
+//                      seed, mode, adaptive, coins, breakdown, practice,
+//                      timeAttack, gameTime, stats }
+//   game:restart     { previousScore }
+//   powerup:collect  { type, name, effect, duration }
+//   powerup:end      { type, name, effect, reason: "expired" | "consumed" }
+//   coin:collect     { value, coins }
+//   practice:checkpoint { pipe }
+//   practice:respawn { cause, pipe, deaths }
+//   timeattack:split { index, pipe, time }
+//   timeattack:penalty { cause, penalty, penalties, time }
+//   achievement:unlock { id, name, description, unlockedAt }
+const GAME_EVENTS = {
   BIRD_JUMP: "bird:jump",
   BIRD_COLLISION: "bird:collision",
   PIPE_PASSED: "pipe:passed",
+  PIPE_BREAK: "pipe:break",
   SCORE_UPDATE: "score:update",
   LEVEL_CHANGE: "level:change",
   GAME_START: "game:start",
@@ -134,10 +42,18 @@ export const GAME_EVENTS = {
   GAME_RESUME: "game:resume",
   GAME_OVER: "game:over",
   GAME_RESTART: "game:restart",
+  POWERUP_COLLECT: "powerup:collect",
+  POWERUP_END: "powerup:end",
+  COIN_COLLECT: "coin:collect",
+  PRACTICE_CHECKPOINT: "practice:checkpoint",
+  PRACTICE_RESPAWN: "practice:respawn",
+  TIME_ATTACK_SPLIT: "timeattack:split",
+  TIME_ATTACK_PENALTY: "timeattack:penalty",
+  ACHIEVEMENT_UNLOCK: "achievement:unlock",
 };
 
 // Teclas del juego
-export const KEYS = {
+const KEYS = {
   SPACE: 32,
   UP_ARROW: 38,
   X: 88,
@@ -147,7 +63,7 @@ export const KEYS = {
 };
 
 // Configuración de almacenamiento local
-export const STORAGE_KEYS = {
+const STORAGE_KEYS = {
   HIGH_SCORE: "flappybird_high_score",
   SETTINGS: "flappybird_settings",
   STATS: "flappybird_stats",
@@ -0,0 +1,104 @@
+/**
+ * EventEmitter.js - Bus de eventos con tipos cerrados
+ * Solo acepta los nombres declarados al crearlo (p. ej. GAME_EVENTS), así un
+ * nombre mal escrito falla al suscribirse en lugar de no dispararse nunca
+ */
+
+class EventEmitter {
+  /**
+   * @param {Object<string, string>} eventTypes - Mapa de constantes a nombres
+   */
+  constructor(eventTypes) {
+    this.validEvents = new Set(Object.values(eventTypes));
+    this.listeners = new Map();
+  }
+
+  /**
+   * Suscribe un handler a un evento
+   * @param {string} eventName - Nombre del evento (valor de eventTypes)
+   * @param {Function} handler - Recibe el payload del evento
+   * @returns {Function} Función que cancela la suscripción
+   */
+  on(eventName, handler) {
+    this._assertValid(eventName);
+
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, []);
+    }
+    this.listeners.get(eventName).push(handler);
+
+    return () => this.off(eventName, handler);
+  }
+
+  /**
+   * Suscribe un handler que se ejecuta una sola vez
+   */
+  once(eventName, handler) {
+    const unsubscribe = this.on(eventName, (payload) => {
+      unsubscribe();
+      handler(payload);
+    });
+    return unsubscribe;
+  }
+
+  /**
+   * Cancela una suscripción
+   */
+  off(eventName, handler) {
+    const handlers = this.listeners.get(eventName);
+    if (!handlers) return;
+
+    const index = handlers.indexOf(handler);
+    if (index !== -1) {
+      handlers.splice(index, 1);
+    }
+  }
+
+  /**
+   * Dispara un evento
+   * Un handler que falla no impide que se ejecuten los demás
+   * @param {string} eventName - Nombre del evento
+   * @param {Object} payload - Datos del evento
+   */
+  emit(eventName, payload = {}) {
+    this._assertValid(eventName);
+
+    const handlers = this.listeners.get(eventName);
+    if (!handlers || handlers.length === 0) return;
+
+    // Copia: un handler puede desuscribirse mientras se recorre la lista
+    [...handlers].forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`Error in "${eventName}" listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Número de handlers de un evento (o de todos)
+   */
+  listenerCount(eventName = null) {
+    if (eventName) {
+      return (this.listeners.get(eventName) || []).length;
+    }
+
+    let total = 0;
+    this.listeners.forEach((handlers) => (total += handlers.length));
+    return total;
+  }
+
+  /**
+   * Elimina todas las suscripciones
+   */
+  clear() {
+    this.listeners.clear();
+  }
+
+  _assertValid(eventName) {
+    if (!this.validEvents.has(eventName)) {
+      throw new Error(`Unknown event: "${eventName}"`);
+    }
+  }
+}
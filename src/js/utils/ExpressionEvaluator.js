@@ -0,0 +1,198 @@
+/**
+ * ExpressionEvaluator.js - Evaluador seguro de expresiones de datos
+ * Compila condiciones como "score >= 20 && level == 1" (requirement de los
+ * logros en levels.json) sin eval ni new Function: solo admite números,
+ * true/false, variables conocidas, aritmética, comparaciones, && || ! y
+ * paréntesis
+ */
+
+class ExpressionEvaluator {
+  /**
+   * @param {Array<string>} variables - Nombres de variables permitidos
+   */
+  constructor(variables) {
+    this.variables = new Set(variables);
+  }
+
+  /**
+   * Compila una expresión
+   * @param {string} source - Texto de la expresión
+   * @returns {Function} (context) => valor
+   * @throws {Error} Si la expresión no es válida o usa variables desconocidas
+   */
+  compile(source) {
+    this.source = String(source);
+    this.tokens = this._tokenize(this.source);
+    this.position = 0;
+
+    const ast = this._parseOr();
+    if (this.position < this.tokens.length) {
+      this._fail(`unexpected "${this.tokens[this.position].value}"`);
+    }
+
+    return (context) => ExpressionEvaluator._evaluate(ast, context);
+  }
+
+  /**
+   * Operadores binarios por nivel de precedencia (de menor a mayor)
+   */
+  static get BINARY_LEVELS() {
+    return [
+      ["||"],
+      ["&&"],
+      ["==", "!="],
+      [">=", "<=", ">", "<"],
+      ["+", "-"],
+      ["*", "/", "%"],
+    ];
+  }
+
+  _tokenize(source) {
+    const tokens = [];
+    const pattern =
+      /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(&&|\|\||[=!<>]=|[<>!()+\-*/%]))/y;
+
+    let index = 0;
+    while (index < source.length) {
+      if (/^\s*$/.test(source.slice(index))) break;
+
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+      if (!match) {
+        throw new Error(
+          `Invalid expression "${source}": unexpected character at ${index}`
+        );
+      }
+
+      if (match[1] !== undefined) {
+        tokens.push({ type: "number", value: Number(match[1]) });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: "name", value: match[2] });
+      } else {
+        tokens.push({ type: "operator", value: match[3] });
+      }
+      index = pattern.lastIndex;
+    }
+
+    return tokens;
+  }
+
+  _parseOr() {
+    return this._parseBinary(0);
+  }
+
+  _parseBinary(level) {
+    const levels = ExpressionEvaluator.BINARY_LEVELS;
+    if (level >= levels.length) return this._parseUnary();
+
+    let left = this._parseBinary(level + 1);
+    while (this._peekOperator(levels[level])) {
+      const operator = this.tokens[this.position++].value;
+      const right = this._parseBinary(level + 1);
+      left = { type: "binary", operator, left, right };
+    }
+    return left;
+  }
+
+  _parseUnary() {
+    if (this._peekOperator(["!", "-"])) {
+      const operator = this.tokens[this.position++].value;
+      return { type: "unary", operator, argument: this._parseUnary() };
+    }
+    return this._parsePrimary();
+  }
+
+  _parsePrimary() {
+    const token = this.tokens[this.position++];
+    if (!token) this._fail("unexpected end");
+
+    if (token.type === "number") {
+      return { type: "literal", value: token.value };
+    }
+
+    if (token.type === "name") {
+      if (token.value === "true" || token.value === "false") {
+        return { type: "literal", value: token.value === "true" };
+      }
+      if (!this.variables.has(token.value)) {
+        this._fail(`unknown variable "${token.value}"`);
+      }
+      return { type: "variable", name: token.value };
+    }
+
+    if (token.value === "(") {
+      const expression = this._parseOr();
+      if (!this._peekOperator([")"])) this._fail('missing ")"');
+      this.position++;
+      return expression;
+    }
+
+    this._fail(`unexpected "${token.value}"`);
+  }
+
+  _peekOperator(operators) {
+    const token = this.tokens[this.position];
+    return (
+      !!token && token.type === "operator" && operators.includes(token.value)
+    );
+  }
+
+  _fail(message) {
+    throw new Error(`Invalid expression "${this.source}": ${message}`);
+  }
+
+  static _evaluate(node, context) {
+    switch (node.type) {
+      case "literal":
+        return node.value;
+      case "variable":
+        return context[node.name] ?? 0;
+      case "unary": {
+        const value = ExpressionEvaluator._evaluate(node.argument, context);
+        return node.operator === "!" ? !value : -value;
+      }
+      case "binary": {
+        const left = ExpressionEvaluator._evaluate(node.left, context);
+
+        // && y || cortocircuitan como en JavaScript
+        if (node.operator === "&&") {
+          return left && ExpressionEvaluator._evaluate(node.right, context);
+        }
+        if (node.operator === "||") {
+          return left || ExpressionEvaluator._evaluate(node.right, context);
+        }
+
+        const right = ExpressionEvaluator._evaluate(node.right, context);
+        switch (node.operator) {
+          case "==":
+            return left === right;
+          case "!=":
+            return left !== right;
+          case ">=":
+            return left >= right;
+          case "<=":
+            return left <= right;
+          case ">":
+            return left > right;
+          case "<":
+            return left < right;
+          case "+":
+            return left + right;
+          case "-":
+            return left - right;
+          case "*":
+            return left * right;
+          case "/":
+            return left / right;
+          case "%":
+            return left % right;
+        }
+      }
+    }
+    return undefined;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ExpressionEvaluator;
+}
@@ -0,0 +1,106 @@
+/**
+ * SeededRandom.js - Generador pseudoaleatorio con semilla (mulberry32)
+ * Toda la aleatoriedad que afecta al gameplay debe salir de aquí para que
+ * una misma semilla produzca exactamente el mismo recorrido
+ */
+
+class SeededRandom {
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Genera una semilla nueva a partir de Math.random
+   * @returns {number} Entero de 32 bits sin signo
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Convierte cualquier semilla (número o texto) en un entero de 32 bits
+   * @param {number|string} seed - Semilla original
+   * @returns {number}
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === "number" && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+
+    // Hash FNV-1a para semillas de texto ("daily-challenge", "abc123"...)
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Reinicia el generador con una semilla
+   * @param {number|string} seed - Semilla
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.state = SeededRandom.normalizeSeed(seed);
+  }
+
+  /**
+   * Siguiente número en [0, 1)
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Número real en [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Entero en [min, max] (ambos incluidos)
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Devuelve true con probabilidad p (0-1)
+   */
+  chance(p) {
+    return this.next() < p;
+  }
+
+  /**
+   * Elige un elemento aleatorio de un array
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Estado interno (para guardar/restaurar la secuencia)
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restaura un estado obtenido con getState()
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SeededRandom;
+}